@@ -2,25 +2,22 @@
   example - index.js
 */
 
-(function() {
+import { getMp4Info } from '../src/index.js';
 
-  var inputEl = document.getElementById('file-input');
-  var outputEl = document.getElementById('mp4-output');
-  
-  inputEl.addEventListener('change', function (event) {
-    if (event.target.files.length > 0) {
+const inputEl = document.getElementById('file-input');
+const outputEl = document.getElementById('mp4-output');
 
-      var file = event.target.files[0];
+inputEl.addEventListener('change', async function (event) {
+  if (event.target.files.length > 0) {
 
-      getMp4Info(file, function (err, result) {
-        if (err) {
-          outputEl.innerText = err;
-        } else {
-          outputEl.innerText = JSON.stringify(result, null, 2);
-        }
-      });
+    const file = event.target.files[0];
 
+    try {
+      const result = await getMp4Info(file);
+      outputEl.innerText = JSON.stringify(result, null, 2);
+    } catch (err) {
+      outputEl.innerText = err;
     }
-  });
 
-})();
+  }
+});
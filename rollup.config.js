@@ -0,0 +1,22 @@
+/*
+  mp4-info - rollup.config.js
+
+  Builds the CommonJS entry points from the ES module sources.
+*/
+
+export default {
+  input: {
+    index: 'src/index.js',
+    node: 'src/node.js',
+    worker: 'src/worker.js',
+    'node-worker': 'src/node-worker.js',
+  },
+  external: [/^node:/],
+  output: {
+    dir: 'dist',
+    format: 'cjs',
+    entryFileNames: '[name].cjs',
+    chunkFileNames: 'chunks/[name]-[hash].cjs',
+    exports: 'named',
+  },
+};
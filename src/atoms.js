@@ -0,0 +1,240 @@
+/*
+  mp4-info - atoms.js
+
+  Parsed atoms, and finding atoms in a tree of them.
+
+  An atom's `parent` and `siblings` aren't enumerable, so a tree can
+  still be serialized with `JSON.stringify`, and comes out as it did
+  when atoms were plain objects.
+
+  Paths name atoms by type from the top of the tree, such as
+  'moov/trak[1]/mdia/hdlr', with a 1-based index for atoms that can
+  repeat. Selectors, used to find atoms, are paths relative to where
+  the search starts, where:
+
+  - 'trak' matches every 'trak', and 'trak[2]' only the second.
+  - '*' matches an atom of any type.
+  - '**' matches any number of levels of atoms, including none, to
+    search at any depth. On its own, it matches every atom.
+*/
+
+// Atoms whose path always has an index, as files usually have more than one.
+const INDEXED_TYPES = ['trak', 'moof', 'traf', 'trun', 'mdat', 'sidx'];
+
+// A step of a selector, such as 'trak', 'trak[2]', '*' or '**'.
+const SELECTOR_STEP = /^(?:(\*\*)|(\*|.{4})(?:\[(\d+)\])?)$/;
+
+/**
+ * Gets the name of an atom in a path, such as 'tkhd' or 'trak[1]'.
+ *
+ * @arg {Object} atom.
+ * @arg {Array} siblings - the atoms in the same list, including `atom`.
+ * @returns {String} name.
+ */
+function getAtomName(atom, siblings) {
+  const sameType = siblings.filter(sibling => sibling.type === atom.type);
+  return sameType.length > 1 || INDEXED_TYPES.includes(atom.type)
+    ? `${atom.type}[${sameType.indexOf(atom) + 1}]`
+    : atom.type;
+}
+
+/**
+ * Sets a property that isn't enumerable, so it isn't serialized.
+ */
+function setHidden(object, name, value) {
+  Object.defineProperty(object, name, { value, writable: true, configurable: true });
+}
+
+/**
+ * Parses a selector into its steps.
+ *
+ * @arg {String} selector - such as 'moov/trak[1]/mdia'.
+ * @returns {Array} steps, as {type, index, isDeep}.
+ */
+function parseSelector(selector) {
+  const segments = selector.split('/').filter(Boolean);
+  if (segments.length === 0) {
+    throw new Error(`Invalid atom selector "${selector}"`);
+  }
+  return segments.map(segment => {
+    const match = SELECTOR_STEP.exec(segment);
+    if (!match) {
+      throw new Error(`Invalid atom selector "${selector}"`);
+    }
+    return {
+      isDeep: Boolean(match[1]),
+      type: match[2],
+      index: match[3] ? Number(match[3]) : undefined,
+    };
+  });
+}
+
+/**
+ * Calls `visitor` for each atom in a list and every atom inside them, in
+ * file order. If `visitor` returns false, the atoms inside that one are skipped.
+ *
+ * @arg {Array} atoms - atoms to walk.
+ * @arg {Function} visitor - called with each atom and its depth, from 0.
+ * @arg {Number} [depth] - depth of `atoms`.
+ */
+function walkAtoms(atoms, visitor, depth = 0) {
+  for (const atom of atoms) {
+    if (visitor(atom, depth) !== false && atom.atoms) {
+      walkAtoms(atom.atoms, visitor, depth + 1);
+    }
+  }
+}
+
+/**
+ * Finds every atom matching a selector.
+ *
+ * @arg {Array} atoms - atoms to search from, such as the top-level atoms.
+ * @arg {String|Function} selector - selector, or a predicate to test every atom with.
+ * @arg {Function} [predicate] - only keeps the atoms it returns true for.
+ * @returns {Array} matching atoms, in file order.
+ */
+function findAllAtoms(atoms, selector, predicate) {
+  if (typeof selector === 'function') {
+    return findAllAtoms(atoms, '**/*', selector);
+  }
+
+  // Each step matches among the children of what the step before matched.
+  const steps = parseSelector(selector);
+  let lists = [atoms];
+  let matches = [];
+  for (const step of steps) {
+    if (step.isDeep) {
+      const deepLists = [];
+      lists.forEach(list => {
+        deepLists.push(list);
+        walkAtoms(list, atom => {
+          if (atom.atoms) {
+            deepLists.push(atom.atoms);
+          }
+        });
+      });
+      lists = [...new Set(deepLists)];
+      matches = lists.flat();
+      continue;
+    }
+
+    matches = [];
+    for (const list of lists) {
+      const sameType = step.type === '*' ? list : list.filter(atom => atom.type === step.type);
+      matches.push(...(step.index ? sameType.slice(step.index - 1, step.index) : sameType));
+    }
+    lists = matches.filter(atom => atom.atoms).map(atom => atom.atoms);
+  }
+
+  // '**' can reach the same atom more than one way, and out of order.
+  if (steps.some(step => step.isDeep)) {
+    matches = [...new Set(matches)].sort((a, b) => a.offset - b.offset);
+  }
+  return predicate ? matches.filter(predicate) : matches;
+}
+
+/**
+ * Finds the first atom matching a selector.
+ *
+ * @arg {Array} atoms - atoms to search from, such as the top-level atoms.
+ * @arg {String|Function} selector - selector, or a predicate to test every atom with.
+ * @arg {Function} [predicate] - only matches atoms it returns true for.
+ * @returns {Object|undefined} atom, if found.
+ */
+function findAtom(atoms, selector, predicate) {
+  return findAllAtoms(atoms, selector, predicate)[0];
+}
+
+/**
+ * Sets the parent and siblings of a list of atoms.
+ *
+ * @arg {Array} atoms - atoms in a list.
+ * @arg {Atom|null} parent - atom they are in, or null for the top level.
+ */
+function linkAtoms(atoms, parent) {
+  for (const atom of atoms) {
+    setHidden(atom, 'parent', parent);
+    setHidden(atom, 'siblings', atoms);
+  }
+}
+
+/**
+ * Turns a tree of plain objects back into atoms, such as
+ * after it's been posted from a worker, or serialized.
+ *
+ * @arg {Array} atoms - atoms, as plain objects.
+ * @arg {Atom|null} [parent] - atom they are in.
+ * @returns {Array} atoms.
+ */
+function reviveAtoms(atoms, parent = null) {
+  const revived = atoms.map(fields => new Atom(fields));
+  revived.forEach(atom => {
+    if (atom.atoms) {
+      atom.atoms = reviveAtoms(atom.atoms, atom);
+    }
+  });
+  linkAtoms(revived, parent);
+  return revived;
+}
+
+/**
+ * A parsed atom (box).
+ *
+ * Its own properties are those read from the file: `size`, `type`,
+ * `offset` and `headerSize`, and `atoms` and `data` where the atom is
+ * understood. `parent` and `siblings` are set once it's in a tree.
+ */
+class Atom {
+
+  constructor(fields) {
+    Object.assign(this, fields);
+    setHidden(this, 'parent', null);
+    setHidden(this, 'siblings', [this]);
+  }
+
+  /**
+   * Atoms inside this one.
+   */
+  get children() {
+    return this.atoms || [];
+  }
+
+  /**
+   * Path from the top of the tree, such as 'moov/trak[1]/mdia/hdlr'.
+   */
+  get path() {
+    const name = getAtomName(this, this.siblings);
+    return this.parent ? `${this.parent.path}/${name}` : name;
+  }
+
+  /**
+   * Finds the first atom inside this one matching a selector.
+   */
+  find(selector, predicate) {
+    return findAtom(this.children, selector, predicate);
+  }
+
+  /**
+   * Finds every atom inside this one matching a selector.
+   */
+  findAll(selector, predicate) {
+    return findAllAtoms(this.children, selector, predicate);
+  }
+
+  /**
+   * Calls `visitor` for this atom and every atom inside it.
+   */
+  walk(visitor) {
+    walkAtoms([this], visitor);
+  }
+}
+
+export {
+  Atom,
+  getAtomName,
+  linkAtoms,
+  reviveAtoms,
+  walkAtoms,
+  findAtom,
+  findAllAtoms,
+};
@@ -0,0 +1,161 @@
+/*
+  mp4-info - brands.js
+
+  File type brands ('ftyp' and 'styp'), and telling the different
+  kinds of ISO base media file apart by them.
+*/
+
+import { bytesToNumber, bytesToString } from './bytes.js';
+import { toSource } from './sources.js';
+import { readFields } from './registry.js';
+import { isHttpUrl, createHttpSource } from './http.js';
+
+// How many bytes `sniff` reads from the start of the file.
+const SNIFF_SIZE = 4096;
+
+// Containers by major brand, and their MIME types.
+const CONTAINERS = {
+  'qt  ': ['mov', 'video/quicktime'],
+  'M4A ': ['m4a', 'audio/mp4'],
+  'M4B ': ['m4b', 'audio/mp4'],
+  'M4P ': ['m4a', 'audio/mp4'],
+  'M4V ': ['m4v', 'video/x-m4v'],
+  'M4VH': ['m4v', 'video/x-m4v'],
+  'M4VP': ['m4v', 'video/x-m4v'],
+  'F4V ': ['f4v', 'video/mp4'],
+  'F4A ': ['f4v', 'audio/mp4'],
+  'avif': ['avif', 'image/avif'],
+  'avis': ['avif', 'image/avif'],
+  'heic': ['heif', 'image/heic'],
+  'heix': ['heif', 'image/heic'],
+  'hevc': ['heif', 'image/heic-sequence'],
+  'hevx': ['heif', 'image/heic-sequence'],
+  'mif1': ['heif', 'image/heif'],
+  'msf1': ['heif', 'image/heif-sequence'],
+};
+
+// Top-level atoms that QuickTime files without an 'ftyp' start with.
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot', 'PICT'];
+
+/**
+ * Fields of a Ftyp or Styp atom (file or segment type).
+ */
+const FTYP_FIELDS = [
+  { name: 'majorBrand', type: 'fourcc' },
+  { name: 'minorVersion', type: 'uint32' },
+  { name: 'compatibleBrands', type: 'array', items: 'fourcc' },
+  // Some writers pad the list with null brands, which are left out.
+  { name: 'compatibleBrands', value: data => data.compatibleBrands.filter(brand => brand) },
+];
+
+/**
+ * Classifies a file by its brands.
+ *
+ * @arg {Object} [brands] - 'ftyp' or 'styp' data.
+ * @arg {String} [firstAtomType] - type of the first top-level atom.
+ * @returns {Object|undefined} {container, mimeType}, or undefined if the file isn't recognised.
+ */
+function getContainer(brands, firstAtomType) {
+
+  // Older QuickTime files have no 'ftyp'.
+  if (!brands) {
+    if (QUICKTIME_ATOMS.includes(firstAtomType)) {
+      return { container: 'mov', mimeType: 'video/quicktime' };
+    }
+    return undefined;
+  }
+
+  // An 'ftyp' cut short in tolerant mode may be missing fields.
+  const { majorBrand = '', compatibleBrands = [] } = brands;
+  const allBrands = [majorBrand, ...compatibleBrands];
+
+  if (CONTAINERS[majorBrand]) {
+    const [container, mimeType] = CONTAINERS[majorBrand];
+    return { container, mimeType };
+  }
+  if (majorBrand.startsWith('3gp') || majorBrand.startsWith('3gs') || majorBrand.startsWith('3ge')) {
+    return { container: '3gp', mimeType: 'video/3gpp' };
+  }
+  if (majorBrand.startsWith('3g2')) {
+    return { container: '3g2', mimeType: 'video/3gpp2' };
+  }
+  if (allBrands.some(brand => brand.startsWith('cmf'))) {
+    return { container: 'cmaf', mimeType: 'video/mp4' };
+  }
+  if (allBrands.includes('avif')) {
+    return { container: 'avif', mimeType: 'image/avif' };
+  }
+  if (allBrands.includes('mif1') || allBrands.includes('msf1')) {
+    return { container: 'heif', mimeType: 'image/heif' };
+  }
+  return { container: 'mp4', mimeType: 'video/mp4' };
+}
+
+/**
+ * Gets the brands and container of an atom tree.
+ *
+ * @arg {Array} atoms - top-level atoms.
+ * @returns {Object} container, mimeType, majorBrand, minorVersion and compatibleBrands.
+ */
+function getBrandInfo(atoms) {
+  const brands = (atoms.find(atom => atom.type === 'ftyp') || atoms.find(atom => atom.type === 'styp') || {}).data;
+  return Object.assign({}, getContainer(brands, atoms[0] && atoms[0].type), brands);
+}
+
+/**
+ * Checks whether a file is an mp4 or QuickTime file, reading only its
+ * first few KB, and classifies it. The file's own MIME type isn't used,
+ * as browsers often leave it empty.
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or file data.
+ * @returns {Promise<Object|null>} container, mimeType and brands, or null if the file isn't recognised.
+ */
+async function sniff(file) {
+  const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+  const buff = await source.read(0, Math.min(source.size, SNIFF_SIZE));
+
+  // Walk the top-level atoms that start in the bytes read.
+  let brands;
+  let firstAtomType;
+  let n = 0;
+  while (n + 8 <= buff.length) {
+    let size = bytesToNumber(buff.slice(n, n + 4));
+    const type = bytesToString(buff.slice(n + 4, n + 8));
+    if (!/^[\x20-\x7e\xa9]{4}$/.test(type)) {
+      return null;
+    }
+    if (size === 1 && n + 16 <= buff.length) {
+      size = bytesToNumber(buff.slice(n + 8, n + 16));
+    } else if (size === 0) {
+      size = source.size - n;
+    }
+    if (size < 8) {
+      return null;
+    }
+    if (n === 0) {
+      firstAtomType = type;
+    }
+    if ((type === 'ftyp' || type === 'styp') && !brands && n + size <= buff.length) {
+      brands = readFields(buff.subarray(n + 8, n + size), FTYP_FIELDS);
+    }
+    n += size;
+  }
+
+  const container = getContainer(brands, firstAtomType);
+  if (!container) {
+    return null;
+  }
+  return Object.assign(container, brands);
+}
+
+// Atoms read by `consumeAtoms`.
+const boxes = {
+  ftyp: { fields: FTYP_FIELDS },
+  styp: { fields: FTYP_FIELDS },
+};
+
+export {
+  boxes,
+  getBrandInfo,
+  sniff,
+};
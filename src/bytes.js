@@ -0,0 +1,73 @@
+/*
+  mp4-info - bytes.js
+*/
+
+/**
+ * Converts bytes to an unsigned Big Endian number,
+ * as used in mp4 format.
+ *
+ * Values up to 2^53 (Number.MAX_SAFE_INTEGER) are exact, which covers
+ * 64-bit sizes and durations in practice. Use `bytesToBigInt` where
+ * the full 64-bit range matters.
+ *
+ * @arg {ArrayBuffer|Uint8Array} bytes.
+ * @returns {Number} Big endian representation.
+ */
+function bytesToNumber(bytes) {
+  bytes = new Uint8Array(bytes);
+  let num = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    num = num * 256 + bytes[i];  // Multiply rather than shift, which wraps at 32 bits.
+  }
+  return num;
+}
+
+/**
+ * Converts bytes to an unsigned Big Endian BigInt.
+ *
+ * @arg {ArrayBuffer|Uint8Array} bytes.
+ * @returns {BigInt} Big endian representation.
+ */
+function bytesToBigInt(bytes) {
+  bytes = new Uint8Array(bytes);
+  let num = BigInt(0);
+  for (let i = 0; i < bytes.length; i++) {
+    num = (num << BigInt(8)) + BigInt(bytes[i]);
+  }
+  return num;
+}
+
+/**
+ * Reads an unsigned 64-bit Big Endian number from a DataView.
+ * Exact up to 2^53, as for `bytesToNumber`.
+ *
+ * @arg {DataView} view.
+ * @arg {Number} n - position.
+ * @returns {Number} value.
+ */
+function getUint64(view, n) {
+  return view.getUint32(n) * 2 ** 32 + view.getUint32(n + 4);
+}
+
+/**
+ * Converts bytes to a String.
+ * Null bytes are treated as empty.
+ *
+ * @arg {ArrayBuffer|Uint8Array} bytes.
+ * @returns {String} resulting string.
+ */
+function bytesToString(bytes) {
+  bytes = new Uint8Array(bytes);
+  let str = '';
+  for (let i = 0; i < bytes.length; i++) {
+    str += bytes[i] ? String.fromCharCode(bytes[i]) : '';
+  }
+  return str;
+}
+
+export {
+  bytesToNumber,
+  bytesToBigInt,
+  bytesToString,
+  getUint64,
+};
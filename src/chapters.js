@@ -0,0 +1,115 @@
+/*
+  mp4-info - chapters.js
+
+  Chapters, from either of the two places they are stored:
+
+  - QuickTime chapter tracks: a text track referenced by another
+    track's 'tref/chap', with one sample per chapter title.
+  - Nero chapters: a 'udta/chpl' atom listing start times and titles.
+*/
+
+import { bytesToNumber } from './bytes.js';
+
+// 'chpl' start times are in units of 100 nanoseconds.
+const CHPL_TIMESCALE = 10000000;
+
+/**
+ * Fields of a Chpl atom (Nero chapter list).
+ */
+const CHPL_FIELDS = [
+  { type: 'skip', length: 4, when: data => data.version === 1 },  // Reserved.
+  {
+    name: 'chapters',
+    type: 'array',
+    count: 'uint8',
+    fields: [
+      { name: 'startTime', type: 'uint64' },
+      { name: 'titleLength', type: 'uint8' },
+      { name: 'title', type: 'string', length: chapter => chapter.titleLength },
+    ],
+  },
+];
+
+/**
+ * Decodes the text of a QuickTime text sample.
+ * The text is preceded by its 16-bit length, and is UTF-16 if
+ * it starts with a byte order mark, or UTF-8 otherwise.
+ *
+ * @arg {Uint8Array} bytes - sample data.
+ * @returns {String} text.
+ */
+function decodeTextSample(bytes) {
+  if (bytes.length < 2) {
+    return '';
+  }
+  const length = Math.min(bytesToNumber(bytes.subarray(0, 2)), bytes.length - 2);
+  const text = bytes.subarray(2, 2 + length);
+  if (text[0] === 0xfe && text[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(text.subarray(2));
+  }
+  if (text[0] === 0xff && text[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(text.subarray(2));
+  }
+  return new TextDecoder('utf-8').decode(text);
+}
+
+/**
+ * Reads the chapter titles from the samples of a chapter track.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Array} samples - samples from `getSampleIndex`.
+ * @arg {Number} timeScale - chapter track timescale.
+ * @returns {Promise<Array>} chapters, as {title, start, end} in seconds.
+ */
+async function readTextChapters(source, samples, timeScale) {
+  const chapters = [];
+  for (const sample of samples) {
+    const bytes = await source.read(sample.offset, sample.offset + sample.size);
+    chapters.push({
+      title: decodeTextSample(bytes),
+      start: sample.cts / timeScale,
+      end: (sample.cts + sample.duration) / timeScale,
+    });
+  }
+  return chapters;
+}
+
+/**
+ * Gets chapters from a 'udta/chpl' atom.
+ * Each chapter ends where the next starts, and the last at the end of the movie.
+ *
+ * @arg {Array} atoms - top-level atoms.
+ * @arg {Number} duration - movie duration in seconds.
+ * @returns {Array} chapters, as {title, start, end} in seconds.
+ */
+function getNeroChapters(atoms, duration) {
+  let list = [];
+  (atoms || []).filter(atom => atom.type === 'moov').forEach(moov => {
+    (moov.atoms || []).filter(atom => atom.type === 'udta').forEach(udta => {
+      (udta.atoms || []).filter(atom => atom.type === 'chpl' && atom.data && atom.data.chapters).forEach(atom => {
+        list = atom.data.chapters;
+      });
+    });
+  });
+
+  return list.map((chapter, i) => {
+    const next = list[i + 1];
+    const start = chapter.startTime / CHPL_TIMESCALE;
+    return {
+      title: chapter.title,
+      start,
+      end: next ? next.startTime / CHPL_TIMESCALE : Math.max(start, duration || 0),
+    };
+  });
+}
+
+// Atoms read by `consumeAtoms`.
+const boxes = {
+  chpl: { fullBox: true, fields: CHPL_FIELDS },
+};
+
+export {
+  boxes,
+  readTextChapters,
+  getNeroChapters,
+};
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+/*
+  mp4-info - cli.js
+
+  Command-line tool for inspecting files:
+
+    mp4-info [options] <file...>
+
+  Prints a summary of each file by default. Exits with 0 if every file
+  was read, 1 if any was invalid, 2 if any couldn't be read, and 64 if
+  the options were wrong.
+*/
+
+import { readdir, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { getMp4Info, findAllAtoms } from './node.js';
+
+const EXIT_INVALID = 1;
+const EXIT_UNREADABLE = 2;
+const EXIT_USAGE = 64;
+
+const USAGE = `Usage: mp4-info [options] <file...>
+
+Prints a summary of each mp4 or QuickTime file: its container,
+duration, tracks and codecs. Files can be glob patterns, such as
+'videos/**/*.mp4'.
+
+Options:
+  --tree         print the atom tree, with offsets and sizes
+  --json         print the full result as JSON
+  --path <path>  print the atoms at a path, such as 'moov/trak/mdia/hdlr',
+                 'moov/trak[2]/tkhd' or '**/stsd'. Can be given more than once
+  --csv          print one CSV row per file (or per atom, with --path)
+  --ndjson       print one JSON line per file (or per atom, with --path)
+  --help         print this help
+
+Exit codes:
+  0   every file was read
+  1   a file isn't a valid mp4 or QuickTime file
+  2   a file couldn't be read
+  64  the options were wrong`;
+
+// Columns of the summary, for --csv and --ndjson.
+const SUMMARY_COLUMNS = [
+  'file', 'status', 'error', 'size', 'container', 'mimeType', 'duration', 'isFragmented',
+  'trackCount', 'width', 'height', 'frameRate', 'videoCodec', 'audioCodec', 'channelCount', 'sampleRate',
+];
+
+// Columns of atoms, for --path with --csv.
+const ATOM_COLUMNS = ['file', 'path', 'type', 'offset', 'size'];
+
+// Names of the common track types.
+const TRACK_TYPES = {
+  vide: 'video',
+  soun: 'audio',
+  text: 'text',
+  sbtl: 'subtitle',
+  subt: 'subtitle',
+  clcp: 'captions',
+  meta: 'metadata',
+  tmcd: 'timecode',
+  hint: 'hint',
+};
+
+/**
+ * Error for files that couldn't be read, as opposed to ones that aren't valid.
+ */
+class UnreadableFileError extends Error {
+  constructor(err) {
+    super(err.message);
+    this.name = 'UnreadableFileError';
+    this.code = err.code;
+  }
+}
+
+/**
+ * Checks if a path is a glob pattern.
+ */
+function isGlob(path) {
+  return /[*?[]/.test(path);
+}
+
+/**
+ * Converts a glob pattern into a regular expression. `**` matches any
+ * number of directories, `*` anything but a '/', and `?` any one character.
+ *
+ * @arg {String} pattern - glob pattern, with '/' between directories.
+ * @returns {RegExp} regular expression.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      source += end === -1 ? '\\[' : pattern.slice(i, end + 1);
+      i = end === -1 ? i : end;
+    } else {
+      source += char.replace(/[\\^$.+()|{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Finds the files matching a glob pattern.
+ *
+ * @arg {String} pattern - glob pattern.
+ * @returns {Promise<Array>} file paths, sorted.
+ */
+async function expandGlob(pattern) {
+  const segments = pattern.replace(/\\/g, '/').split('/');
+  const globStart = segments.findIndex(isGlob);
+  const base = segments.slice(0, globStart).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  const rest = segments.slice(globStart);
+  const regExp = globToRegExp(rest.join('/'));
+  const maxDepth = rest.includes('**') ? Infinity : rest.length;
+
+  const files = [];
+  const walk = async (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    for (const entry of entries) {
+      const path = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && depth < maxDepth) {
+        await walk(join(dir, entry.name), path, depth + 1);
+      } else if (entry.isFile() && regExp.test(path)) {
+        files.push(base === '.' && !pattern.startsWith('./') ? path : join(base, path));
+      }
+    }
+  };
+  await walk(base, '', 1);
+  return files.sort();
+}
+
+/**
+ * Gets the files to read, expanding any glob patterns.
+ * Patterns that match nothing are kept, so they're reported as unreadable.
+ *
+ * @arg {Array} args - file arguments.
+ * @returns {Promise<Array>} file paths.
+ */
+async function getFiles(args) {
+  const files = [];
+  for (const arg of args) {
+    const matches = isGlob(arg) ? await expandGlob(arg) : [];
+    files.push(...(matches.length > 0 ? matches : [arg]));
+  }
+  return files;
+}
+
+/**
+ * Reads a file.
+ *
+ * @arg {String} file - file path.
+ * @returns {Promise<Object>} {size, info}.
+ * @throws {UnreadableFileError} if the file couldn't be read.
+ * @throws {Error} if the file isn't valid.
+ */
+async function readFile(file) {
+  let size;
+  try {
+    const stats = await stat(file);
+    if (!stats.isFile()) {
+      throw Object.assign(new Error('Not a file'), { code: 'EISDIR' });
+    }
+    size = stats.size;
+  } catch (err) {
+    throw new UnreadableFileError(err);
+  }
+
+  let info;
+  try {
+    info = await getMp4Info(file);
+  } catch (err) {
+    throw err.code ? new UnreadableFileError(err) : err;
+  }
+  if (!info.atoms.some(atom => atom.type === 'moov' || atom.type === 'moof')) {
+    throw new Error('Not an mp4 or QuickTime file');
+  }
+  return { size, info };
+}
+
+/**
+ * Formats a duration in seconds, as H:MM:SS.mmm.
+ */
+function formatDuration(seconds) {
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds)) {
+    return '-';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds / 60) % 60;
+  const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${hours}:${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+/**
+ * Formats a size in bytes.
+ */
+function formatSize(size) {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (size >= 1024 && i < units.length - 1) {
+    size /= 1024;
+    i++;
+  }
+  return i === 0 ? `${size} bytes` : `${size.toFixed(1)} ${units[i]}`;
+}
+
+/**
+ * Formats a track's details for the summary.
+ */
+function formatTrack(track) {
+  const details = [
+    String(track.id),
+    TRACK_TYPES[track.type] || track.type || '-',
+    track.codec || track.format || '-',
+  ];
+  if (track.width) {
+    details.push(`${track.displayWidth || track.width}x${track.displayHeight || track.height}`);
+  }
+  if (track.frameRate) {
+    details.push(`${Number(track.frameRate.toFixed(3))} fps`);
+  }
+  if (track.channelCount) {
+    details.push(`${track.channelCount} ch`, `${track.sampleRate} Hz`);
+  }
+  details.push(formatDuration(track.duration));
+  if (track.languageCode) {
+    details.push(track.languageCode);
+  }
+  return details.join('  ');
+}
+
+/**
+ * Formats a file's summary.
+ *
+ * @arg {String} file - file path.
+ * @arg {Object} result - from `readFile`.
+ * @returns {String} summary lines.
+ */
+function formatSummary(file, { size, info }) {
+  const brands = [info.majorBrand, ...(info.compatibleBrands || []).filter(brand => brand !== info.majorBrand)].filter(Boolean);
+  const lines = [
+    file,
+    `  Container   ${info.container || '-'}${info.mimeType ? ` (${info.mimeType})` : ''}${brands.length > 0 ? `, brands ${brands.join(', ')}` : ''}`,
+    `  Size        ${formatSize(size)}`,
+    `  Duration    ${formatDuration(info.duration)}${info.isFragmented ? ', fragmented' : ''}`,
+  ];
+  if (info.truncated) {
+    lines.push(`  Truncated   ${info.missingBytes} bytes missing`);
+  }
+  lines.push('  Tracks');
+  info.tracks.forEach(track => lines.push(`    ${formatTrack(track)}`));
+  return lines.join('\n');
+}
+
+/**
+ * Formats an atom tree, one atom per line, with its offset and size.
+ *
+ * @arg {Array} atoms - atoms to format.
+ * @arg {String} [indent] - indent for the top-level atoms.
+ * @returns {Array} lines.
+ */
+function formatTree(atoms, indent = '') {
+  const lines = [];
+  for (const atom of atoms) {
+    const extra = [atom.uuid, atom.truncated ? `truncated to ${atom.availableBytes}` : ''].filter(Boolean);
+    lines.push(`${indent}${atom.type}  offset ${atom.offset}  size ${atom.size}${extra.length > 0 ? `  (${extra.join(', ')})` : ''}`);
+    lines.push(...formatTree(atom.atoms || [], `${indent}  `));
+  }
+  return lines;
+}
+
+/**
+ * Gets a file's summary, as a row for --csv and --ndjson.
+ *
+ * @arg {String} file - file path.
+ * @arg {Object} [result] - from `readFile`.
+ * @arg {Error} [err] - error, if the file couldn't be read.
+ * @returns {Object} summary, with `SUMMARY_COLUMNS` as keys.
+ */
+function getSummaryRow(file, result, err) {
+  if (err) {
+    return { file, status: err instanceof UnreadableFileError ? 'unreadable' : 'invalid', error: err.message };
+  }
+  const { size, info } = result;
+  const video = info.tracks.find(track => track.type === 'vide');
+  const audio = info.tracks.find(track => track.type === 'soun');
+  return {
+    file,
+    status: 'ok',
+    error: '',
+    size,
+    container: info.container,
+    mimeType: info.mimeType,
+    duration: info.duration,
+    isFragmented: info.isFragmented,
+    trackCount: info.tracks.length,
+    width: video ? video.displayWidth || video.width : undefined,
+    height: video ? video.displayHeight || video.height : undefined,
+    frameRate: video ? video.frameRate : undefined,
+    videoCodec: video ? video.codec : undefined,
+    audioCodec: audio ? audio.codec : undefined,
+    channelCount: audio ? audio.channelCount : undefined,
+    sampleRate: audio ? audio.sampleRate : undefined,
+  };
+}
+
+/**
+ * Formats a CSV row.
+ *
+ * @arg {Array} values - cell values.
+ * @returns {String} CSV line.
+ */
+function toCsvRow(values) {
+  return values.map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Serializes to JSON, with bytes as base64.
+ */
+function toJson(value, space) {
+  return JSON.stringify(value, (key, value) => {
+    return value instanceof Uint8Array ? Buffer.from(value).toString('base64') : value;
+  }, space);
+}
+
+/**
+ * Gets the atoms matching the --path options, with their paths.
+ *
+ * @arg {Object} info - from `getMp4Info`.
+ * @arg {Array} paths - --path options.
+ * @returns {Array} atoms, as {path, type, offset, size, ...}.
+ */
+function getPathMatches(info, paths) {
+  const matches = [];
+  for (const path of paths) {
+    for (const atom of findAllAtoms(info.atoms, path)) {
+      matches.push(Object.assign({ path: atom.path }, atom));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Runs the tool.
+ *
+ * @arg {Array} argv - command-line arguments, without the node and script paths.
+ * @returns {Promise<Number>} exit code.
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        tree: { type: 'boolean' },
+        json: { type: 'boolean' },
+        path: { type: 'string', multiple: true },
+        csv: { type: 'boolean' },
+        ndjson: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    console.error(`mp4-info: ${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = options;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0 || ['tree', 'json', 'csv', 'ndjson'].filter(name => values[name]).length > 1) {
+    console.error(positionals.length === 0 ? USAGE : `mp4-info: Only one of --tree, --json, --csv and --ndjson can be used\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const paths = values.path || [];
+  try {
+    paths.forEach(path => findAllAtoms([], path));
+  } catch (err) {
+    console.error(`mp4-info: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  const files = await getFiles(positionals);
+  const isMultiple = files.length > 1;
+  const jsonResults = {};
+  let exitCode = 0;
+
+  if (values.csv) {
+    console.log(toCsvRow(paths.length > 0 ? ATOM_COLUMNS : SUMMARY_COLUMNS));
+  }
+
+  for (const file of files) {
+    let result;
+    let error;
+    try {
+      result = await readFile(file);
+    } catch (err) {
+      error = err;
+    }
+
+    const matches = result && paths.length > 0 ? getPathMatches(result.info, paths) : undefined;
+
+    if (error) {
+      exitCode = Math.max(exitCode, error instanceof UnreadableFileError ? EXIT_UNREADABLE : EXIT_INVALID);
+      if (!values.csv && !values.ndjson) {
+        console.error(`mp4-info: ${file}: ${error.message}`);
+      }
+    }
+
+    if (values.csv || values.ndjson) {
+      const rows = matches
+        ? matches.map(atom => Object.assign({ file }, atom))
+        : [getSummaryRow(file, result, error)];
+      for (const row of rows) {
+        if (values.csv) {
+          console.log(toCsvRow((matches ? ATOM_COLUMNS : SUMMARY_COLUMNS).map(column => row[column])));
+        } else {
+          console.log(toJson(row));
+        }
+      }
+    } else if (values.json) {
+      jsonResults[file] = error ? { error: error.message } : matches || Object.assign({ size: result.size }, result.info);
+    } else if (result && values.tree) {
+      // Matching atoms are shown by their path, rather than their type.
+      const lines = matches
+        ? formatTree(matches.map(atom => Object.assign({}, atom, { type: atom.path })))
+        : formatTree(result.info.atoms);
+      console.log([...(isMultiple ? [file] : []), ...lines].join('\n'));
+    } else if (result && matches) {
+      console.log(toJson(isMultiple ? { [file]: matches } : matches, 2));
+    } else if (result) {
+      console.log(`${file === files[0] ? '' : '\n'}${formatSummary(file, result)}`);
+    }
+  }
+
+  if (values.json) {
+    console.log(toJson(isMultiple ? jsonResults : jsonResults[files[0]], 2));
+  }
+
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+}, err => {
+  console.error(`mp4-info: ${err.stack || err.message}`);
+  process.exitCode = EXIT_UNREADABLE;
+});
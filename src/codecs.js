@@ -0,0 +1,533 @@
+/*
+  mp4-info - codecs.js
+
+  Parses the decoder configuration boxes found inside sample entries
+  (avcC, hvcC, av1C, vpcC and esds), and builds RFC 6381 codec strings
+  from them, e.g. 'avc1.64001F' or 'mp4a.40.2'.
+*/
+
+import { bytesToNumber } from './bytes.js';
+
+const AVC_PROFILES = {
+  44: 'CAVLC 4:4:4 Intra',
+  66: 'Baseline',
+  77: 'Main',
+  88: 'Extended',
+  100: 'High',
+  110: 'High 10',
+  118: 'Multiview High',
+  122: 'High 4:2:2',
+  128: 'Stereo High',
+  244: 'High 4:4:4 Predictive',
+};
+
+const HEVC_PROFILES = {
+  1: 'Main',
+  2: 'Main 10',
+  3: 'Main Still Picture',
+  4: 'Format Range Extensions',
+  5: 'High Throughput',
+  9: 'Screen Content Coding',
+};
+
+const AV1_PROFILES = {
+  0: 'Main',
+  1: 'High',
+  2: 'Professional',
+};
+
+const AAC_OBJECT_TYPES = {
+  1: 'AAC Main',
+  2: 'AAC LC',
+  3: 'AAC SSR',
+  4: 'AAC LTP',
+  5: 'HE-AAC',
+  23: 'AAC LD',
+  29: 'HE-AAC v2',
+  39: 'AAC ELD',
+  42: 'xHE-AAC',
+};
+
+const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000,
+  24000, 22050, 16000, 12000, 11025, 8000, 7350,
+];
+
+// AVC profiles whose avcC and SPS carry chroma format and bit depth.
+const AVC_HIGH_PROFILES = [100, 110, 122, 144, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+const CHROMA_FORMATS = ['4:0:0', '4:2:0', '4:2:2', '4:4:4'];
+
+/**
+ * Reads bit fields from bytes, most significant bit first.
+ */
+class BitReader {
+
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const byte = this.bytes[this.pos >> 3];
+      if (byte === undefined) {
+        throw new Error('Unexpected end of data');
+      }
+      value = value * 2 + ((byte >> (7 - (this.pos & 7))) & 1);
+      this.pos++;
+    }
+    return value;
+  }
+
+  // Unsigned Exp-Golomb code, as used in H.264 parameter sets.
+  readUE() {
+    let zeros = 0;
+    while (this.readBits(1) === 0) {
+      zeros++;
+    }
+    return 2 ** zeros - 1 + this.readBits(zeros);
+  }
+}
+
+/**
+ * Formats a number as upper case hex, padded to the given length.
+ *
+ * @arg {Number} num.
+ * @arg {Number} length - minimum number of digits.
+ * @returns {String} hex string.
+ */
+function toHex(num, length) {
+  return num.toString(16).toUpperCase().padStart(length, '0');
+}
+
+/**
+ * Formats a number as decimal, padded to two digits.
+ *
+ * @arg {Number} num.
+ * @returns {String} padded string.
+ */
+function pad2(num) {
+  return String(num).padStart(2, '0');
+}
+
+/**
+ * Removes H.264/H.265 emulation prevention bytes (the 3 in 00 00 03).
+ *
+ * @arg {Uint8Array} bytes - NAL unit.
+ * @returns {Uint8Array} raw byte sequence payload.
+ */
+function unescapeNal(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    if (i >= 2 && bytes[i] === 3 && bytes[i - 1] === 0 && bytes[i - 2] === 0) {
+      continue;
+    }
+    out.push(bytes[i]);
+  }
+  return Uint8Array.from(out);
+}
+
+/**
+ * Reads chroma format and bit depth from an H.264 sequence parameter set.
+ *
+ * @arg {Uint8Array} sps - SPS NAL unit, including its header byte.
+ * @returns {Object} chromaFormat, bitDepthLuma and bitDepthChroma.
+ */
+function parseAvcSps(sps) {
+  const reader = new BitReader(unescapeNal(sps.subarray(1)));
+  const profile = reader.readBits(8);
+  reader.readBits(16);  // Constraint flags and level.
+  reader.readUE();  // seq_parameter_set_id.
+
+  if (!AVC_HIGH_PROFILES.includes(profile)) {
+    return { chromaFormat: 1, bitDepthLuma: 8, bitDepthChroma: 8 };
+  }
+
+  const chromaFormat = reader.readUE();
+  if (chromaFormat === 3) {
+    reader.readBits(1);  // separate_colour_plane_flag.
+  }
+  return {
+    chromaFormat,
+    bitDepthLuma: reader.readUE() + 8,
+    bitDepthChroma: reader.readUE() + 8
+  };
+}
+
+/**
+ * Consumes an AvcC atom (AVCDecoderConfigurationRecord).
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeAvcC(source, start, end) {
+  const buff = await source.read(start, end);
+  const data = {
+    //configurationVersion: bytesToNumber(buff.slice(0, 1)),
+    profile: bytesToNumber(buff.slice(1, 2)),
+    compatibility: bytesToNumber(buff.slice(2, 3)),
+    level: bytesToNumber(buff.slice(3, 4)),
+    nalLengthSize: (buff[4] & 0x3) + 1,
+  };
+
+  // Parameter sets.
+  let n = 5;
+  const sps = [];
+  const spsCount = buff[n++] & 0x1f;
+  for (let i = 0; i < spsCount && n + 2 <= buff.length; i++) {
+    const length = bytesToNumber(buff.slice(n, n += 2));
+    sps.push(buff.subarray(n, n += length));
+  }
+  const ppsCount = buff[n++];
+  for (let i = 0; i < ppsCount && n + 2 <= buff.length; i++) {
+    n += 2 + bytesToNumber(buff.slice(n, n + 2));
+  }
+
+  // High profiles may have an extension with the chroma format and bit depth.
+  // Otherwise, fall back to reading them from the first SPS.
+  if (AVC_HIGH_PROFILES.includes(data.profile) && n + 3 <= buff.length) {
+    data.chromaFormat = buff[n] & 0x3;
+    data.bitDepthLuma = (buff[n + 1] & 0x7) + 8;
+    data.bitDepthChroma = (buff[n + 2] & 0x7) + 8;
+  } else if (sps.length > 0) {
+    try {
+      Object.assign(data, parseAvcSps(sps[0]));
+    } catch (err) {
+      // Leave chroma format and bit depth unknown.
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Consumes a HvcC atom (HEVCDecoderConfigurationRecord).
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeHvcC(source, start, end) {
+  const buff = await source.read(start, start + 23);
+  return {
+    //configurationVersion: bytesToNumber(buff.slice(0, 1)),
+    profileSpace: buff[1] >> 6,
+    tier: (buff[1] >> 5) & 0x1,
+    profile: buff[1] & 0x1f,
+    compatibilityFlags: bytesToNumber(buff.slice(2, 6)),
+    constraintFlags: Array.from(buff.slice(6, 12)),
+    level: bytesToNumber(buff.slice(12, 13)),
+    chromaFormat: buff[16] & 0x3,
+    bitDepthLuma: (buff[17] & 0x7) + 8,
+    bitDepthChroma: (buff[18] & 0x7) + 8,
+  };
+}
+
+/**
+ * Consumes an Av1C atom (AV1CodecConfigurationRecord).
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeAv1C(source, start, end) {
+  const buff = await source.read(start, start + 4);
+  const highBitDepth = (buff[2] >> 6) & 0x1;
+  const twelveBit = (buff[2] >> 5) & 0x1;
+  return {
+    //marker and version: bytesToNumber(buff.slice(0, 1)),
+    profile: buff[1] >> 5,
+    level: buff[1] & 0x1f,
+    tier: buff[2] >> 7,
+    bitDepth: highBitDepth ? (twelveBit ? 12 : 10) : 8,
+    monochrome: Boolean((buff[2] >> 4) & 0x1),
+    chromaSubsamplingX: (buff[2] >> 3) & 0x1,
+    chromaSubsamplingY: (buff[2] >> 2) & 0x1,
+    chromaSamplePosition: buff[2] & 0x3,
+  };
+}
+
+/**
+ * Consumes a VpcC atom (VPCodecConfigurationRecord).
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeVpcC(source, start, end) {
+  const buff = await source.read(start, start + 12);
+  const version = bytesToNumber(buff.slice(0, 1));
+  const data = {
+    version,
+    //flags: bytesToNumber(buff.slice(1, 4)),
+    profile: bytesToNumber(buff.slice(4, 5)),
+    level: bytesToNumber(buff.slice(5, 6)),
+    bitDepth: buff[6] >> 4,
+  };
+
+  if (version === 0) {
+
+    // Version 0 has a colour space before the chroma subsampling.
+    data.chromaSubsampling = buff[7] >> 4;
+    data.fullRange = Boolean(buff[7] & 0x1);
+
+  } else {
+    data.chromaSubsampling = (buff[6] >> 1) & 0x7;
+    data.fullRange = Boolean(buff[6] & 0x1);
+    data.colourPrimaries = bytesToNumber(buff.slice(7, 8));
+    data.transferCharacteristics = bytesToNumber(buff.slice(8, 9));
+    data.matrixCoefficients = bytesToNumber(buff.slice(9, 10));
+  }
+
+  return data;
+}
+
+/**
+ * Reads an MPEG-4 descriptor header: a tag, then a size made of
+ * up to four bytes of 7 bits each.
+ *
+ * @arg {Uint8Array} buff.
+ * @arg {Number} n - position of the descriptor.
+ * @returns {Object} tag, start and end of the descriptor body.
+ */
+function readDescriptorHeader(buff, n) {
+  const tag = buff[n++];
+  let size = 0;
+  for (let i = 0; i < 4; i++) {
+    const byte = buff[n++];
+    size = size * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      break;
+    }
+  }
+  return { tag, start: n, end: n + size };
+}
+
+/**
+ * Consumes an Esds atom (ES_Descriptor), reading the
+ * DecoderConfigDescriptor and, for audio, the AudioSpecificConfig.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeEsds(source, start, end) {
+  const buff = await source.read(start, end);
+  const data = {};
+
+  // ES_Descriptor, after the version and flags.
+  const es = readDescriptorHeader(buff, 4);
+  if (es.tag !== 0x03) {
+    return data;
+  }
+  let n = es.start + 2;  // ES_ID.
+  const esFlags = buff[n++];
+  if (esFlags & 0x80) {
+    n += 2;  // dependsOn_ES_ID.
+  }
+  if (esFlags & 0x40) {
+    n += 1 + buff[n];  // URL.
+  }
+  if (esFlags & 0x20) {
+    n += 2;  // OCR_ES_Id.
+  }
+
+  // DecoderConfigDescriptor.
+  const config = readDescriptorHeader(buff, n);
+  if (config.tag !== 0x04) {
+    return data;
+  }
+  n = config.start;
+  data.objectTypeIndication = bytesToNumber(buff.slice(n, n += 1));
+  data.streamType = buff[n++] >> 2;
+  data.bufferSize = bytesToNumber(buff.slice(n, n += 3));
+  data.maxBitrate = bytesToNumber(buff.slice(n, n += 4));
+  data.avgBitrate = bytesToNumber(buff.slice(n, n += 4));
+
+  // DecoderSpecificInfo. For MPEG-4 audio, this is the AudioSpecificConfig.
+  if (n >= config.end) {
+    return data;
+  }
+  const info = readDescriptorHeader(buff, n);
+  if (info.tag !== 0x05 || data.objectTypeIndication !== 0x40) {
+    return data;
+  }
+  try {
+    const reader = new BitReader(buff.subarray(info.start, info.end));
+    let audioObjectType = reader.readBits(5);
+    if (audioObjectType === 31) {
+      audioObjectType = 32 + reader.readBits(6);
+    }
+    const frequencyIndex = reader.readBits(4);
+    data.audioObjectType = audioObjectType;
+    data.samplingFrequency = frequencyIndex === 15
+      ? reader.readBits(24)
+      : AAC_SAMPLE_RATES[frequencyIndex];
+    data.channelConfiguration = reader.readBits(4);
+  } catch (err) {
+    // Leave the audio config unknown.
+  }
+
+  return data;
+}
+
+/**
+ * Short-hand for finding a child atom of a certain type.
+ */
+function findAtom(atoms, type) {
+  return atoms ? atoms.find(atom => atom.type === type) : undefined;
+}
+
+/**
+ * Short-hand for finding a decoder configuration atom of a certain type.
+ * Atoms whose contents couldn't be read in tolerant mode are skipped.
+ */
+function findConfig(atoms, type) {
+  return atoms ? atoms.find(atom => atom.type === type && atom.data) : undefined;
+}
+
+/**
+ * Gets the RFC 6381 codec string and codec details for a sample entry.
+ *
+ * @arg {Object} entry - sample entry atom, e.g. 'avc1', with child atoms.
+ * @returns {Object} `codec` string, and profile, level, bit depth and
+ *   chroma subsampling details where known.
+ */
+function getCodecInfo(entry) {
+
+  const format = entry.type;
+  const atoms = entry.atoms;
+  let config;
+
+  if ((config = findConfig(atoms, 'avcC'))) {
+    const { profile, compatibility, level, chromaFormat, bitDepthLuma } = config.data;
+    let profileName = AVC_PROFILES[profile];
+    if (profile === 66 && compatibility & 0x40) {
+      profileName = 'Constrained Baseline';
+    }
+    return {
+      codec: `${format}.${toHex(profile, 2)}${toHex(compatibility, 2)}${toHex(level, 2)}`,
+      profile,
+      profileName,
+      level: level / 10,
+      bitDepth: bitDepthLuma,
+      chromaSubsampling: CHROMA_FORMATS[chromaFormat],
+    };
+  }
+
+  if ((config = findConfig(atoms, 'hvcC'))) {
+    const { profileSpace, tier, profile, compatibilityFlags, constraintFlags, level } = config.data;
+
+    // Compatibility flags are written in reverse bit order.
+    let reversed = 0;
+    for (let i = 0; i < 32; i++) {
+      reversed = reversed * 2 + ((compatibilityFlags >>> i) & 1);
+    }
+
+    // Trailing zero bytes of the constraint flags are left out.
+    const constraints = constraintFlags.slice();
+    while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+      constraints.pop();
+    }
+
+    const parts = [
+      format,
+      ['', 'A', 'B', 'C'][profileSpace] + profile,
+      reversed.toString(16).toUpperCase(),
+      (tier ? 'H' : 'L') + level,
+    ].concat(constraints.map(byte => toHex(byte, 2)));
+
+    return {
+      codec: parts.join('.'),
+      profile,
+      profileName: HEVC_PROFILES[profile],
+      level: level / 30,
+      tier: tier ? 'High' : 'Main',
+      bitDepth: config.data.bitDepthLuma,
+      chromaSubsampling: CHROMA_FORMATS[config.data.chromaFormat],
+    };
+  }
+
+  if ((config = findConfig(atoms, 'av1C'))) {
+    const { profile, level, tier, bitDepth, monochrome, chromaSubsamplingX, chromaSubsamplingY } = config.data;
+    let chromaSubsampling = '4:4:4';
+    if (monochrome) {
+      chromaSubsampling = '4:0:0';
+    } else if (chromaSubsamplingX && chromaSubsamplingY) {
+      chromaSubsampling = '4:2:0';
+    } else if (chromaSubsamplingX) {
+      chromaSubsampling = '4:2:2';
+    }
+    return {
+      codec: `${format}.${profile}.${pad2(level)}${tier ? 'H' : 'M'}.${pad2(bitDepth)}`,
+      profile,
+      profileName: AV1_PROFILES[profile],
+      level: 2 + (level >> 2) + (level & 3) / 10,
+      tier: tier ? 'High' : 'Main',
+      bitDepth,
+      chromaSubsampling,
+    };
+  }
+
+  if ((config = findConfig(atoms, 'vpcC'))) {
+    const { profile, level, bitDepth, chromaSubsampling } = config.data;
+    return {
+      codec: `${format}.${pad2(profile)}.${pad2(level)}.${pad2(bitDepth)}`,
+      profile,
+      level: level / 10,
+      bitDepth,
+      chromaSubsampling: ['4:2:0', '4:2:0', '4:2:2', '4:4:4'][chromaSubsampling],
+    };
+  }
+
+  // QuickTime files keep the esds of audio entries in a 'wave' atom.
+  if ((config = findConfig(atoms, 'esds') || findConfig((findAtom(atoms, 'wave') || {}).atoms, 'esds'))) {
+    const { objectTypeIndication, audioObjectType } = config.data;
+    if (objectTypeIndication === undefined) {
+      return { codec: format };
+    }
+    let codec = `${format}.${toHex(objectTypeIndication, 2)}`;
+    if (audioObjectType) {
+      codec += `.${audioObjectType}`;
+    }
+    return {
+      codec,
+      objectTypeIndication,
+      profile: audioObjectType,
+      profileName: AAC_OBJECT_TYPES[audioObjectType],
+    };
+  }
+
+  // Some formats are written in lower case in codec strings.
+  switch (format) {
+    case 'Opus':
+      return { codec: 'opus' };
+    case 'fLaC':
+      return { codec: 'flac' };
+    default:
+      return { codec: format };
+  }
+}
+
+// Atoms read by `consumeAtoms`. Decoder configurations are made of bit
+// fields and descriptors, so they're read by hand.
+const boxes = {
+  avcC: { parse: consumeAvcC },
+  hvcC: { parse: consumeHvcC },
+  av1C: { parse: consumeAv1C },
+  vpcC: { parse: consumeVpcC },
+  esds: { parse: consumeEsds },
+};
+
+export {
+  boxes,
+  getCodecInfo,
+};
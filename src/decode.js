@@ -0,0 +1,106 @@
+/*
+  mp4-info - decode.js
+
+  Decoding of the packed values used in mp4 headers: timestamps,
+  language codes, fixed-point numbers and transformation matrices.
+*/
+
+// Seconds from 1904-01-01 (the mp4 epoch) to 1970-01-01.
+const EPOCH_OFFSET = 2082844800;
+
+// Macintosh language codes, used by QuickTime files instead of
+// ISO 639-2/T codes when the value is below 0x400.
+const MAC_LANGUAGES = [
+  'eng', 'fra', 'deu', 'ita', 'nld', 'swe', 'spa', 'dan', 'por', 'nor',
+  'heb', 'jpn', 'ara', 'fin', 'ell', 'isl', 'mlt', 'tur', 'hrv', 'zho',
+  'urd', 'hin', 'tha', 'kor', 'lit', 'pol', 'hun', 'est', 'lav', 'sme',
+  'fao', 'fas', 'rus', 'zho', 'nld', 'gle', 'sqi', 'ron', 'ces', 'slk',
+  'slv', 'yid', 'srp', 'mkd', 'bul', 'ukr', 'bel', 'uzb', 'kaz', 'aze',
+];
+
+/**
+ * Converts an mp4 timestamp (seconds since 1904-01-01 UTC) to a Date.
+ *
+ * @arg {Number} seconds - mp4 timestamp.
+ * @returns {Date|undefined} date, or undefined if the time isn't set.
+ */
+function toDate(seconds) {
+  if (!seconds) {
+    return undefined;
+  }
+  return new Date((seconds - EPOCH_OFFSET) * 1000);
+}
+
+/**
+ * Decodes an 'mdhd' language into a three letter ISO 639-2/T code.
+ * The value is three 5-bit letters, each offset from 0x60.
+ *
+ * @arg {Number} code - packed language.
+ * @returns {String|undefined} language code, e.g. 'eng', or undefined if unknown.
+ */
+function decodeLanguage(code) {
+  if (code === undefined || code === 0x7fff) {
+    return undefined;
+  }
+  if (code < 0x400) {
+    return MAC_LANGUAGES[code];
+  }
+  return String.fromCharCode(
+    ((code >> 10) & 0x1f) + 0x60,
+    ((code >> 5) & 0x1f) + 0x60,
+    (code & 0x1f) + 0x60
+  );
+}
+
+/**
+ * Converts a signed fixed-point number to a float,
+ * e.g. 16.16 for rates or 8.8 for volumes.
+ *
+ * @arg {Number} value - unsigned raw value.
+ * @arg {Number} bits - total size in bits.
+ * @arg {Number} fractionBits - size of the fractional part in bits.
+ * @returns {Number} value.
+ */
+function fromFixedPoint(value, bits, fractionBits) {
+  if (value >= 2 ** (bits - 1)) {
+    value -= 2 ** bits;
+  }
+  return value / 2 ** fractionBits;
+}
+
+/**
+ * Decodes a transformation matrix into floats.
+ * The matrix is stored as {a, b, u, c, d, v, x, y, w}, where
+ * u, v and w are 2.30 fixed-point and the others are 16.16.
+ *
+ * @arg {Array} matrix - nine raw values.
+ * @returns {Array} nine values.
+ */
+function decodeMatrix(matrix) {
+  return matrix.map((value, i) => fromFixedPoint(value, 32, i % 3 === 2 ? 30 : 16));
+}
+
+/**
+ * Gets the clockwise rotation of a decoded matrix, to the nearest
+ * quarter turn. Phones record portrait video as landscape frames
+ * with a 90 or 270 degree rotation.
+ *
+ * @arg {Array} [transform] - decoded matrix.
+ * @returns {Number|undefined} 0, 90, 180 or 270, or undefined without a matrix.
+ */
+function getRotation(transform) {
+  if (!transform) {
+    return undefined;
+  }
+  const [a, b] = transform;
+  const degrees = Math.round(Math.atan2(b, a) * 2 / Math.PI) * 90;
+  return (degrees + 360) % 360;
+}
+
+export {
+  toDate,
+  decodeLanguage,
+  fromFixedPoint,
+  decodeMatrix,
+  getRotation,
+};
@@ -0,0 +1,266 @@
+/*
+  mp4-info - faststart.js
+
+  Rewriting a file's 'moov', for example so it comes before 'mdat',
+  letting the file play while it downloads. As in qt-faststart, 'moov'
+  is moved ahead of the first 'mdat', and the chunk offsets in each
+  'stco' and 'co64' are moved along with the data they point to.
+
+  The output is described as a list of parts: either new bytes, or
+  a range of the original file. The media data is never read until
+  the output is, so it doesn't need to fit in memory.
+*/
+
+import { getUint64 } from './bytes.js';
+import { isBlob } from './sources.js';
+import { getAtomSize, serializeAtom, fromParsedAtom } from './writer.js';
+import { walkAtoms } from './atoms.js';
+
+// How much of the file a stream reads at once.
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Reads the offsets of a 'stco' or 'co64' atom.
+ *
+ * @arg {Object} atom - 'stco' or 'co64' atom.
+ * @arg {Uint8Array} bytes - file bytes covering the atom.
+ * @arg {Number} offset - file position of `bytes`.
+ * @returns {Array} chunk offsets.
+ */
+function readChunkOffsets(atom, bytes, offset) {
+  const start = atom.offset - offset + atom.headerSize;
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, atom.size - atom.headerSize);
+  const entrySize = atom.type === 'co64' ? 8 : 4;
+  const count = Math.min(view.getUint32(4), Math.floor((view.byteLength - 8) / entrySize));
+  const offsets = [];
+  for (let i = 0, n = 8; i < count; i++, n += entrySize) {
+    offsets.push(entrySize === 8 ? getUint64(view, n) : view.getUint32(n));
+  }
+  return offsets;
+}
+
+/**
+ * Creates a 'stco' or 'co64' atom to write.
+ *
+ * @arg {Array} offsets - chunk offsets.
+ * @arg {Boolean} is64Bit - true for 'co64'.
+ * @returns {Object} atom to write.
+ */
+function createChunkOffsetAtom(offsets, is64Bit) {
+  const entrySize = is64Bit ? 8 : 4;
+  const data = new Uint8Array(8 + offsets.length * entrySize);
+  const view = new DataView(data.buffer);
+  view.setUint32(4, offsets.length);
+  offsets.forEach((offset, i) => {
+    const n = 8 + i * entrySize;
+    if (is64Bit) {
+      view.setUint32(n, Math.floor(offset / 2 ** 32));
+      view.setUint32(n + 4, offset % 2 ** 32);
+    } else {
+      view.setUint32(n, offset);
+    }
+  });
+  return { type: is64Bit ? 'co64' : 'stco', data };
+}
+
+/**
+ * Works out the parts of a file with a rewritten 'moov'.
+ *
+ * Chunk offsets are moved along with the data they point to, whether
+ * that's because 'moov' moved ahead of it, or changed size. If any
+ * no longer fits in 32 bits, every 'stco' is upgraded to 'co64'.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Array} atoms - top-level atoms, from `consumeAtoms`.
+ * @arg {Object} [options] - rewrite options.
+ * @arg {Boolean} [options.moveToFront] - move 'moov' before the first 'mdat'.
+ * @arg {Function} [options.replace] - changes atoms in 'moov', as for `fromParsedAtom`.
+ * @arg {Function} [options.edit] - changes the 'moov' atom to write, e.g. to add atoms.
+ * @returns {Promise<Array>} parts, as {bytes} or {offset, size}.
+ */
+async function getRewriteParts(source, atoms, options = {}) {
+
+  const { moveToFront = false, replace = () => undefined, edit = atom => atom } = options;
+
+  const moov = atoms.find(atom => atom.type === 'moov');
+  if (!moov) {
+    throw new Error('File has no "moov" atom');
+  }
+  if (atoms.some(atom => atom.type === 'moof')) {
+    throw new Error('Fragmented files are not supported');
+  }
+
+  let order = atoms;
+  const mdatIndex = atoms.findIndex(atom => atom.type === 'mdat');
+  if (moveToFront && mdatIndex !== -1 && mdatIndex < atoms.indexOf(moov)) {
+    order = [...atoms.slice(0, mdatIndex), moov, ...atoms.slice(mdatIndex).filter(atom => atom !== moov)];
+  }
+
+  const bytes = await source.read(moov.offset, moov.offset + moov.size);
+
+  const tables = new Map();
+  walkAtoms([moov], atom => {
+    if (atom.type === 'stco' || atom.type === 'co64') {
+      tables.set(atom, readChunkOffsets(atom, bytes, moov.offset));
+    }
+  });
+
+  // Upgrading to 'co64' makes 'moov' bigger, which moves everything
+  // after it, so try without first.
+  for (const useCo64 of [false, true]) {
+
+    const buildMoov = mapOffset => edit(fromParsedAtom(moov, bytes, moov.offset, atom => {
+      if (tables.has(atom)) {
+        return createChunkOffsetAtom(tables.get(atom).map(mapOffset), useCo64 || atom.type === 'co64');
+      }
+      return replace(atom);
+    }));
+
+    // Where each top-level atom ends up.
+    const moovSize = getAtomSize(buildMoov(offset => offset));
+    const positions = new Map();
+    let n = 0;
+    for (const atom of order) {
+      positions.set(atom, n);
+      n += atom === moov ? moovSize : atom.size;
+    }
+
+    // Offsets move with the atom they point into.
+    const mapOffset = offset => {
+      const atom = atoms.find(atom => offset >= atom.offset && offset < atom.offset + atom.size);
+      return atom && atom !== moov ? offset - atom.offset + positions.get(atom) : offset;
+    };
+
+    if (!useCo64) {
+      const overflows = [...tables].some(([atom, offsets]) => {
+        return atom.type === 'stco' && offsets.some(offset => mapOffset(offset) > 0xffffffff);
+      });
+      if (overflows) {
+        continue;
+      }
+    }
+
+    const moovBytes = serializeAtom(buildMoov(mapOffset));
+    return order.map(atom => atom === moov ? { bytes: moovBytes } : { offset: atom.offset, size: atom.size });
+  }
+}
+
+/**
+ * Works out the parts of a file rewritten with 'moov' first.
+ * Files that already have 'moov' first come back as a single part
+ * covering the whole file.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Array} atoms - top-level atoms, from `consumeAtoms`.
+ * @returns {Promise<Array>} parts, as {bytes} or {offset, size}.
+ */
+async function getFastStartParts(source, atoms) {
+  const moov = atoms.find(atom => atom.type === 'moov');
+  const mdatIndex = atoms.findIndex(atom => atom.type === 'mdat');
+  if (moov && (mdatIndex === -1 || mdatIndex > atoms.indexOf(moov))) {
+    return [{ offset: 0, size: source.size }];
+  }
+  return getRewriteParts(source, atoms, { moveToFront: true });
+}
+
+/**
+ * Joins parts into a Blob. If the file is a Blob, ranges of it are sliced
+ * rather than read, so the media data isn't loaded into memory.
+ *
+ * @arg {Object} source - byte source for the file.
+ * @arg {Array} parts - from `getFastStartParts`.
+ * @arg {*} file - the original file.
+ * @returns {Promise<Blob>} output.
+ */
+async function partsToBlob(source, parts, file) {
+  const blobParts = [];
+  for (const part of parts) {
+    if (part.bytes) {
+      blobParts.push(part.bytes);
+    } else if (isBlob(file)) {
+      blobParts.push(file.slice(part.offset, part.offset + part.size));
+    } else {
+      blobParts.push(await source.read(part.offset, part.offset + part.size));
+    }
+  }
+  return new Blob(blobParts, { type: isBlob(file) ? file.type : '' });
+}
+
+/**
+ * Joins parts into a single array of bytes.
+ *
+ * @arg {Object} source - byte source for the file.
+ * @arg {Array} parts - from `getFastStartParts`.
+ * @returns {Promise<Uint8Array>} output.
+ */
+async function partsToBytes(source, parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + (part.bytes ? part.bytes.length : part.size), 0));
+  let n = 0;
+  for (const part of parts) {
+    const bytes = part.bytes || await source.read(part.offset, part.offset + part.size);
+    output.set(bytes, n);
+    n += bytes.length;
+  }
+  return output;
+}
+
+/**
+ * Streams parts, reading ranges of the file as the stream is read.
+ *
+ * @arg {Object} source - byte source for the file.
+ * @arg {Array} parts - from `getFastStartParts`.
+ * @arg {Function} [onEnd] - called once the stream ends, errors or is cancelled.
+ * @returns {ReadableStream} output.
+ */
+function partsToStream(source, parts, onEnd = async () => {}) {
+  let index = 0;
+  let position = 0;
+  let ended = false;
+
+  const end = async () => {
+    if (!ended) {
+      ended = true;
+      await onEnd();
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        while (index < parts.length) {
+          const part = parts[index];
+          if (part.bytes) {
+            index++;
+            controller.enqueue(part.bytes);
+            return;
+          }
+          if (position < part.size) {
+            const chunkEnd = Math.min(part.size, position + STREAM_CHUNK_SIZE);
+            const chunk = await source.read(part.offset + position, part.offset + chunkEnd);
+            position = chunkEnd;
+            controller.enqueue(chunk);
+            return;
+          }
+          index++;
+          position = 0;
+        }
+        controller.close();
+        await end();
+      } catch (err) {
+        await end();
+        throw err;
+      }
+    },
+    cancel() {
+      return end();
+    }
+  });
+}
+
+export {
+  getRewriteParts,
+  getFastStartParts,
+  partsToBlob,
+  partsToBytes,
+  partsToStream,
+};
@@ -0,0 +1,434 @@
+/*
+  mp4-info - fragments.js
+
+  Fragmented MP4 (fMP4 / CMAF) atoms: mvex/trex/mehd, moof/mfhd/traf/
+  tfhd/tfdt/trun, and the sidx and mfra/tfra seek indexes. Also sums
+  the fragments up, as the movie header of a fragmented file usually
+  has no duration or samples.
+*/
+
+import { getUint64 } from './bytes.js';
+import { readView } from './sources.js';
+
+/**
+ * Adds a duration to a run-length encoded list of durations.
+ *
+ * @arg {Array} entries - {sampleCount, sampleDelta} entries, as in 'stts'.
+ * @arg {Number} delta - sample duration.
+ * @arg {Number} [count] - number of samples.
+ */
+function pushDuration(entries, delta, count = 1) {
+  const last = entries[entries.length - 1];
+  if (last && last.sampleDelta === delta) {
+    last.sampleCount += count;
+  } else {
+    entries.push({ sampleCount: count, sampleDelta: delta });
+  }
+}
+
+// Version 1 atoms have 64-bit times and durations.
+const TIME = data => data.version === 1 ? 'uint64' : 'uint32';
+
+/**
+ * Fields of a Trex atom (track extends defaults).
+ */
+const TREX_FIELDS = [
+  { name: 'trackId', type: 'uint32' },
+  { name: 'defaultSampleDescriptionIndex', type: 'uint32' },
+  { name: 'defaultSampleDuration', type: 'uint32' },
+  { name: 'defaultSampleSize', type: 'uint32' },
+  { name: 'defaultSampleFlags', type: 'uint32' },
+];
+
+/**
+ * Fields of a Mehd atom (movie extends header).
+ */
+const MEHD_FIELDS = [
+  { name: 'fragmentDuration', type: TIME },
+];
+
+/**
+ * Fields of a Mfhd atom (movie fragment header).
+ */
+const MFHD_FIELDS = [
+  { name: 'sequenceNumber', type: 'uint32' },
+];
+
+/**
+ * Fields of a Tfhd atom (track fragment header).
+ * Which fields are present depends on the flags.
+ */
+const TFHD_FIELDS = [
+  { name: 'trackId', type: 'uint32' },
+  { name: 'baseDataOffset', type: 'uint64', when: data => data.flags & 0x1 },
+  { name: 'sampleDescriptionIndex', type: 'uint32', when: data => data.flags & 0x2 },
+  { name: 'defaultSampleDuration', type: 'uint32', when: data => data.flags & 0x8 },
+  { name: 'defaultSampleSize', type: 'uint32', when: data => data.flags & 0x10 },
+  { name: 'defaultSampleFlags', type: 'uint32', when: data => data.flags & 0x20 },
+  { name: 'durationIsEmpty', value: data => Boolean(data.flags & 0x10000) },
+  { name: 'defaultBaseIsMoof', value: data => Boolean(data.flags & 0x20000) },
+];
+
+/**
+ * Fields of a Tfdt atom (track fragment decode time).
+ */
+const TFDT_FIELDS = [
+  { name: 'baseMediaDecodeTime', type: TIME },
+];
+
+/**
+ * Consumes a Trun atom (track fragment run).
+ *
+ * Per-sample durations are kept run-length encoded, as in 'stts', and
+ * sizes are summed. The full per-sample list is only kept if
+ * `context.parseSampleTables` is set.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @arg {Object} context - parse context.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeTrun(source, start, end, context) {
+  const view = await readView(source, start, end);
+  const version = view.getUint8(0);
+  const flags = view.getUint32(0) & 0xffffff;
+  const data = {
+    version,
+    flags,
+    sampleCount: view.getUint32(4),
+  };
+
+  let n = 8;
+  if (flags & 0x1) {
+    data.dataOffset = view.getInt32(n);
+    n += 4;
+  }
+  if (flags & 0x4) {
+    data.firstSampleFlags = view.getUint32(n);
+    n += 4;
+  }
+
+  const hasDuration = Boolean(flags & 0x100);
+  const hasSize = Boolean(flags & 0x200);
+  const hasFlags = Boolean(flags & 0x400);
+  const hasOffset = Boolean(flags & 0x800);
+  const sampleBytes = 4 * (hasDuration + hasSize + hasFlags + hasOffset);
+
+  if (hasDuration) {
+    data.durations = [];
+  }
+  if (hasSize) {
+    data.totalSize = 0;
+  }
+  if (context.parseSampleTables) {
+    data.samples = [];
+  }
+
+  const count = sampleBytes ? Math.min(data.sampleCount, Math.floor((view.byteLength - n) / sampleBytes)) : 0;
+  for (let i = 0; i < count; i++) {
+    const sample = {};
+    if (hasDuration) {
+      sample.duration = view.getUint32(n);
+      pushDuration(data.durations, sample.duration);
+      n += 4;
+    }
+    if (hasSize) {
+      sample.size = view.getUint32(n);
+      data.totalSize += sample.size;
+      n += 4;
+    }
+    if (hasFlags) {
+      sample.flags = view.getUint32(n);
+      n += 4;
+    }
+    if (hasOffset) {
+      sample.compositionTimeOffset = version === 0 ? view.getUint32(n) : view.getInt32(n);
+      n += 4;
+    }
+    if (data.samples) {
+      data.samples.push(sample);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Consumes a Sidx atom (segment index).
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeSidx(source, start, end) {
+  const view = await readView(source, start, end);
+  const version = view.getUint8(0);
+  const data = {
+    version,
+    referenceId: view.getUint32(4),
+    timeScale: view.getUint32(8),
+  };
+
+  let n = 12;
+  if (version === 0) {
+    data.earliestPresentationTime = view.getUint32(n);
+    data.firstOffset = view.getUint32(n + 4);
+    n += 8;
+  } else {
+    data.earliestPresentationTime = getUint64(view, n);
+    data.firstOffset = getUint64(view, n + 8);
+    n += 16;
+  }
+
+  const count = Math.min(view.getUint16(n + 2), Math.floor((view.byteLength - n - 4) / 12));
+  n += 4;
+
+  data.references = [];
+  for (let i = 0; i < count; i++, n += 12) {
+    const sizeField = view.getUint32(n);
+    const sapField = view.getUint32(n + 8);
+    data.references.push({
+      referenceType: sizeField >>> 31,
+      referencedSize: sizeField & 0x7fffffff,
+      subsegmentDuration: view.getUint32(n + 4),
+      startsWithSap: Boolean(sapField >>> 31),
+      sapType: (sapField >>> 28) & 0x7,
+      sapDeltaTime: sapField & 0xfffffff,
+    });
+  }
+
+  return data;
+}
+
+// Types of the traf, trun and sample numbers in a Tfra atom, by the
+// size of each stored in its length sizes, from 1 to 4 bytes.
+const TFRA_NUMBER_TYPES = ['uint8', 'uint16', 'uint24', 'uint32'];
+
+/**
+ * Fields of a Tfra atom (track fragment random access).
+ */
+const TFRA_FIELDS = [
+  { name: 'trackId', type: 'uint32' },
+  { name: 'lengthSizes', type: 'uint32' },
+  {
+    name: 'entries',
+    type: 'array',
+    count: 'uint32',
+    fields: [
+      { name: 'time', type: (entry, data) => TIME(data) },
+      { name: 'moofOffset', type: (entry, data) => TIME(data) },
+      { name: 'trafNumber', type: (entry, data) => TFRA_NUMBER_TYPES[(data.lengthSizes >> 4) & 0x3] },
+      { name: 'trunNumber', type: (entry, data) => TFRA_NUMBER_TYPES[(data.lengthSizes >> 2) & 0x3] },
+      { name: 'sampleNumber', type: (entry, data) => TFRA_NUMBER_TYPES[data.lengthSizes & 0x3] },
+    ],
+  },
+];
+
+/**
+ * Fields of a Mfro atom (movie fragment random access offset).
+ */
+const MFRO_FIELDS = [
+  { name: 'size', type: 'uint32' },
+];
+
+// Atoms read by `consumeAtoms`. 'trun' is summed up as it's read, and
+// 'sidx' packs its references into bit fields, so they're read by hand.
+const boxes = {
+  trex: { fullBox: true, fields: TREX_FIELDS },
+  mehd: { fullBox: true, fields: MEHD_FIELDS },
+  mfhd: { fullBox: true, fields: MFHD_FIELDS },
+  tfhd: { fullBox: true, fields: TFHD_FIELDS },
+  tfdt: { fullBox: true, fields: TFDT_FIELDS },
+  trun: { parse: consumeTrun },
+  sidx: { parse: consumeSidx },
+  tfra: { fullBox: true, fields: TFRA_FIELDS },
+  mfro: { fullBox: true, fields: MFRO_FIELDS },
+};
+
+/**
+ * Short-hand for accessing atoms of a certain type.
+ */
+function filterAtoms(atoms, type) {
+  return atoms ? atoms.filter(atom => atom.type === type) : [];
+}
+
+/**
+ * Short-hand for accessing atoms of a certain type that have data. Atoms
+ * whose contents couldn't be read in tolerant mode are skipped.
+ */
+function filterAtomsWithData(atoms, type) {
+  return filterAtoms(atoms, type).filter(atom => atom.data);
+}
+
+/**
+ * Summarises the movie fragments, and the seek indexes, of a file.
+ *
+ * @arg {Array} atoms - top-level atoms.
+ * @arg {Array} tracks - tracks from 'moov', for their timescales.
+ * @returns {Object} `fragments`, per-track totals in `trackTotals`,
+ *   `fragmentDuration` from 'mehd', and the seek indexes.
+ */
+function getFragmentInfo(atoms, tracks) {
+
+  const timeScales = {};
+  tracks.forEach(track => {
+    timeScales[track.id] = track.timeScale;
+  });
+
+  // Defaults from 'moov/mvex/trex', and the duration from 'mehd'.
+  const trex = {};
+  let fragmentDuration;
+  filterAtoms(atoms, 'moov').forEach(moov => {
+    filterAtoms(moov.atoms, 'mvex').forEach(mvex => {
+      filterAtomsWithData(mvex.atoms, 'trex').forEach(atom => {
+        if (atom.data.trackId !== undefined) {
+          trex[atom.data.trackId] = atom.data;
+        }
+      });
+      filterAtomsWithData(mvex.atoms, 'mehd').forEach(atom => {
+        fragmentDuration = atom.data.fragmentDuration;
+      });
+    });
+  });
+
+  const fragments = [];
+  const trackTotals = {};
+
+  atoms.forEach((moof, i) => {
+    if (moof.type !== 'moof') {
+      return;
+    }
+
+    // The byte range includes the media data that follows.
+    const next = atoms[i + 1];
+    const fragment = {
+      offset: moof.offset,
+      size: moof.size + (next && next.type === 'mdat' ? next.size : 0),
+      sampleCount: 0,
+      tracks: [],
+    };
+
+    filterAtomsWithData(moof.atoms, 'mfhd').forEach(atom => {
+      fragment.sequenceNumber = atom.data.sequenceNumber;
+    });
+
+    filterAtoms(moof.atoms, 'traf').forEach(traf => {
+      const tfhd = (filterAtoms(traf.atoms, 'tfhd')[0] || {}).data;
+      if (!tfhd) {
+        return;
+      }
+
+      const defaults = trex[tfhd.trackId] || {};
+      const defaultDuration = tfhd.defaultSampleDuration !== undefined
+        ? tfhd.defaultSampleDuration
+        : defaults.defaultSampleDuration;
+
+      const trackFragment = {
+        trackId: tfhd.trackId,
+        sampleCount: 0,
+        duration: 0,
+      };
+      filterAtomsWithData(traf.atoms, 'tfdt').forEach(atom => {
+        trackFragment.baseDecodeTime = atom.data.baseMediaDecodeTime;
+      });
+
+      const totals = trackTotals[tfhd.trackId] || (trackTotals[tfhd.trackId] = {
+        sampleCount: 0,
+        duration: 0,
+        timeToSample: [],
+      });
+
+      filterAtomsWithData(traf.atoms, 'trun').forEach(atom => {
+        const trun = atom.data;
+        let durations = trun.durations;
+        if (!durations) {
+          durations = defaultDuration !== undefined && trun.sampleCount > 0
+            ? [{ sampleCount: trun.sampleCount, sampleDelta: defaultDuration }]
+            : [];
+        }
+        durations.forEach(entry => {
+          trackFragment.duration += entry.sampleCount * entry.sampleDelta;
+          pushDuration(totals.timeToSample, entry.sampleDelta, entry.sampleCount);
+        });
+        trackFragment.sampleCount += trun.sampleCount;
+      });
+
+      totals.sampleCount += trackFragment.sampleCount;
+      totals.duration += trackFragment.duration;
+
+      fragment.sampleCount += trackFragment.sampleCount;
+      fragment.tracks.push(trackFragment);
+    });
+
+    // Overall times, in seconds, from the longest track.
+    fragment.tracks.forEach(trackFragment => {
+      const timeScale = timeScales[trackFragment.trackId];
+      if (!timeScale) {
+        return;
+      }
+      if (trackFragment.baseDecodeTime !== undefined) {
+        const baseDecodeTime = trackFragment.baseDecodeTime / timeScale;
+        if (fragment.baseDecodeTime === undefined || baseDecodeTime < fragment.baseDecodeTime) {
+          fragment.baseDecodeTime = baseDecodeTime;
+        }
+      }
+      fragment.duration = Math.max(fragment.duration || 0, trackFragment.duration / timeScale);
+    });
+
+    fragments.push(fragment);
+  });
+
+  // Seek indexes.
+  const segmentIndexes = filterAtomsWithData(atoms, 'sidx').map(atom => {
+
+    // Offsets are from the end of the 'sidx' atom.
+    let offset = atom.offset + atom.size + atom.data.firstOffset;
+    let time = atom.data.earliestPresentationTime;
+    const references = atom.data.references.map(reference => {
+      const result = {
+        type: reference.referenceType ? 'index' : 'media',
+        offset,
+        size: reference.referencedSize,
+        time,
+        duration: reference.subsegmentDuration,
+        startsWithSap: reference.startsWithSap,
+        sapType: reference.sapType,
+      };
+      offset += reference.referencedSize;
+      time += reference.subsegmentDuration;
+      return result;
+    });
+    return {
+      referenceId: atom.data.referenceId,
+      timeScale: atom.data.timeScale,
+      references,
+    };
+  });
+
+  const randomAccess = [];
+  filterAtoms(atoms, 'mfra').forEach(mfra => {
+    filterAtomsWithData(mfra.atoms, 'tfra').forEach(atom => {
+      randomAccess.push({
+        trackId: atom.data.trackId,
+        timeScale: timeScales[atom.data.trackId],
+        entries: atom.data.entries || [],
+      });
+    });
+  });
+
+  return {
+    fragments,
+    trackTotals,
+    fragmentDuration,
+    segmentIndexes,
+    randomAccess,
+    isFragmented: Boolean(fragments.length) || Object.keys(trex).length > 0,
+  };
+}
+
+export {
+  boxes,
+  getFragmentInfo,
+};
@@ -0,0 +1,176 @@
+/*
+  mp4-info - http.js
+
+  Byte source for files behind a URL, read with HTTP Range requests.
+
+  Reads are rounded out to fixed-size blocks which are cached, so the
+  many small header reads made while walking atoms share a handful of
+  requests. Adjacent missing blocks are fetched in a single request.
+*/
+
+const DEFAULT_BLOCK_SIZE = 64 * 1024;
+const DEFAULT_CACHE_SIZE = 32 * 1024 * 1024;
+
+/**
+ * Checks if the value is an http(s) URL.
+ *
+ * @arg {*} value.
+ * @returns {Boolean} true if value is an http(s) URL string or URL object.
+ */
+function isHttpUrl(value) {
+  if (typeof URL !== 'undefined' && value instanceof URL) {
+    return value.protocol === 'http:' || value.protocol === 'https:';
+  }
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+/**
+ * Gets the total size from a Content-Range header,
+ * e.g. "bytes 0-65535/1048576".
+ *
+ * @arg {String} contentRange - header value.
+ * @returns {Number} total size, or NaN if unknown.
+ */
+function parseContentRangeSize(contentRange) {
+  const match = /\/(\d+)\s*$/.exec(contentRange || '');
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Creates a byte source that reads a remote file with Range requests.
+ * The server must respond to Range requests with "206 Partial Content".
+ *
+ * @arg {String|URL} url - file URL.
+ * @arg {Object} [options].
+ * @arg {Object|Headers} [options.headers] - extra request headers.
+ * @arg {Number} [options.blockSize] - bytes per cached block.
+ * @arg {Number} [options.cacheSize] - max bytes kept in the cache.
+ * @arg {Function} [options.fetch] - fetch implementation to use.
+ * @arg {AbortSignal} [options.signal] - aborts any requests in progress.
+ * @returns {Promise<Object>} byte source.
+ */
+async function createHttpSource(url, options = {}) {
+  const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+  const cacheSize = options.cacheSize || DEFAULT_CACHE_SIZE;
+  const fetchFn = options.fetch || globalThis.fetch;
+
+  if (typeof fetchFn !== 'function') {
+    throw new Error('fetch is not available');
+  }
+
+  const maxBlocks = Math.max(1, Math.floor(cacheSize / blockSize));
+  const blocks = new Map();  // block index -> Promise<Uint8Array>, oldest first.
+  let size = NaN;
+
+  // Fetches a byte range in a single request.
+  async function fetchRange(start, end) {
+    const headers = new Headers(options.headers);
+    headers.set('Range', `bytes=${start}-${end - 1}`);
+
+    const res = await fetchFn(String(url), { headers, signal: options.signal });
+    if (res.status !== 206) {
+      throw new Error(`Range request failed with status ${res.status}`);
+    }
+    if (Number.isNaN(size)) {
+      size = parseContentRangeSize(res.headers.get('Content-Range'));
+    }
+    return new Uint8Array(await res.arrayBuffer());
+  }
+
+  // Fetches blocks [first, last] in one request, caching each of them.
+  function fetchBlocks(first, last) {
+    const start = first * blockSize;
+    const end = Math.min((last + 1) * blockSize, size);
+    const request = fetchRange(start, end);
+
+    const fetched = [];
+    for (let i = first; i <= last; i++) {
+      const offset = (i - first) * blockSize;
+      const block = request.then(bytes => bytes.subarray(offset, offset + blockSize));
+      block.catch(() => blocks.delete(i));
+      blocks.set(i, block);
+      fetched.push(block);
+    }
+    return fetched;
+  }
+
+  // Drops the least recently used blocks once over the cache size.
+  function evict() {
+    for (const i of blocks.keys()) {
+      if (blocks.size <= maxBlocks) {
+        break;
+      }
+      blocks.delete(i);
+    }
+  }
+
+  // Gets the blocks [first, last], fetching runs of missing blocks
+  // with one request each.
+  function getBlocks(first, last) {
+    const parts = [];
+    let runStart = -1;
+    for (let i = first; i <= last + 1; i++) {
+      const missing = i <= last && !blocks.has(i);
+      if (missing && runStart === -1) {
+        runStart = i;
+      } else if (!missing && runStart !== -1) {
+        parts.push(...fetchBlocks(runStart, i - 1));
+        runStart = -1;
+      }
+      if (i <= last && !missing) {
+
+        // Re-insert to mark the block as recently used.
+        const block = blocks.get(i);
+        blocks.delete(i);
+        blocks.set(i, block);
+        parts.push(block);
+      }
+    }
+    evict();
+    return parts;
+  }
+
+  // The first block also tells us the total size.
+  const firstBlock = await fetchRange(0, blockSize);
+  if (Number.isNaN(size)) {
+    throw new Error('Server did not report the file size');
+  }
+  blocks.set(0, Promise.resolve(firstBlock));
+
+  return {
+    size,
+    async read(start, end) {
+      end = Math.min(end, size);
+      if (end <= start) {
+        return new Uint8Array(0);
+      }
+
+      const first = Math.floor(start / blockSize);
+      const last = Math.floor((end - 1) / blockSize);
+      const chunks = await Promise.all(getBlocks(first, last));
+
+      const result = new Uint8Array(end - start);
+      for (let i = 0; i < chunks.length; i++) {
+        const blockStart = (first + i) * blockSize;
+        const from = Math.max(start - blockStart, 0);
+        const to = Math.min(end - blockStart, chunks[i].length);
+        result.set(chunks[i].subarray(from, to), blockStart + from - start);
+      }
+      return result;
+    },
+    async prefetch(start, end) {
+      end = Math.min(end, size);
+      if (end <= start || end - start > cacheSize) {
+        return;
+      }
+      const first = Math.floor(start / blockSize);
+      const last = Math.floor((end - 1) / blockSize);
+      await Promise.all(getBlocks(first, last));
+    }
+  };
+}
+
+export {
+  isHttpUrl,
+  createHttpSource,
+};
@@ -0,0 +1,1024 @@
+/*
+  mp4-info - index.d.ts
+*/
+
+/**
+ * Anything that can read byte ranges on demand.
+ * `read` may resolve fewer bytes than asked for at the end of the data.
+ */
+export interface ByteSource {
+  size: number;
+  read(start: number, end: number): Promise<Uint8Array>;
+}
+
+/** A byte source that can be asked to fetch a range ahead of reading it. */
+export interface PrefetchingByteSource extends ByteSource {
+  prefetch(start: number, end: number): Promise<void>;
+}
+
+/** Data accepted by `getMp4Info`. Strings and URLs must be http(s). */
+export type Mp4Input = string | URL | ByteSource | Blob | ArrayBuffer | ArrayBufferView | number[];
+
+export interface HttpSourceOptions {
+  /** Extra request headers, e.g. for authorization. */
+  headers?: HeadersInit;
+  /** Bytes per cached block. Defaults to 64 KiB. */
+  blockSize?: number;
+  /** Max bytes kept in the cache. Defaults to 32 MiB. */
+  cacheSize?: number;
+  /** fetch implementation to use. Defaults to the global fetch. */
+  fetch?: typeof fetch;
+  /** Aborts the requests made for the file. */
+  signal?: AbortSignal;
+}
+
+/** 'ftyp' or 'styp' contents. */
+export interface FtypData {
+  majorBrand: string;
+  minorVersion: number;
+  compatibleBrands: string[];
+}
+
+export interface MvhdData {
+  /** Version 1 boxes have 64-bit times and duration. */
+  version: number;
+  flags: number;
+  creationTime: number;
+  modificationTime: number;
+  timeScale: number;
+  duration: number;
+  /** 16.16 fixed point. */
+  preferredRate: number;
+  /** 8.8 fixed point. */
+  preferredVolume: number;
+  /** Raw transformation matrix {a, b, u, c, d, v, x, y, w}. */
+  matrix: number[];
+  /** Decoded from the times, which count seconds since 1904-01-01 UTC. Undefined if not set. */
+  creationDate?: Date;
+  modificationDate?: Date;
+  /** Playback rate, 1 is normal. */
+  rate: number;
+  /** Playback volume, 1 is full. */
+  volume: number;
+  /** Decoded `matrix`. */
+  transform: number[];
+}
+
+export interface HdlrData {
+  version: number;
+  flags: number;
+  type: string;
+  subtype: string;
+  name: string;
+}
+
+export interface TkhdData {
+  version: number;
+  flags: number;
+  creationTime: number;
+  modificationTime: number;
+  trackId: number;
+  duration: number;
+  layer: number;
+  alternateGroup: number;
+  /** Raw transformation matrix {a, b, u, c, d, v, x, y, w}. */
+  matrix: number[];
+  /** Presentation size, before the matrix is applied. */
+  width: number;
+  height: number;
+  isEnabled: boolean;
+  isInMovie: boolean;
+  isInPreview: boolean;
+  creationDate?: Date;
+  modificationDate?: Date;
+  /** Decoded `matrix`. */
+  transform: number[];
+}
+
+/** A value from a metadata 'data' atom. */
+export interface ItemValue {
+  /** Well-known type, e.g. 1 for UTF-8 or 13 for JPEG. */
+  type: number;
+  /** Text and numbers are decoded, anything else is bytes. */
+  value: string | number | Uint8Array;
+  /** Language, for QuickTime user data text. */
+  language?: string;
+}
+
+export interface IlstItem {
+  /** Four character code, an index into 'keys', or '----:mean:name' for freeform items. */
+  key: string | number;
+  values: ItemValue[];
+  mean?: string;
+  name?: string;
+  /** Position of the item in the file. */
+  offset: number;
+  size: number;
+}
+
+export interface IlstData {
+  items: IlstItem[];
+}
+
+export interface KeysData {
+  version: number;
+  flags: number;
+  /** Each key, with its size in bytes including its size and namespace. */
+  keys: { size: number; namespace: string; key: string }[];
+}
+
+/** QuickTime user data text, such as '©nam' in 'udta'. */
+export interface UserDataTextData {
+  values: ItemValue[];
+}
+
+/** Nero chapter list. Start times are in units of 100 nanoseconds. */
+export interface ChplData {
+  version: number;
+  flags: number;
+  chapters: { startTime: number; titleLength: number; title: string }[];
+}
+
+export interface EditListEntry {
+  /** In the movie timescale. */
+  segmentDuration: number;
+  /** In the track's timescale, or -1 for an empty edit. */
+  mediaTime: number;
+  mediaRate: number;
+}
+
+export interface ElstData {
+  version: number;
+  flags: number;
+  entries: EditListEntry[];
+}
+
+/** A child of 'tref', such as 'chap'. */
+export interface TrackReferenceData {
+  trackIds: number[];
+}
+
+export interface PaspData {
+  hSpacing: number;
+  vSpacing: number;
+}
+
+/** Clean aperture, in pixels. Offsets are from the center of the coded frame. */
+export interface ClapData {
+  width: number;
+  height: number;
+  horizontalOffset: number;
+  verticalOffset: number;
+}
+
+export interface MdhdData {
+  version: number;
+  flags: number;
+  creationTime: number;
+  modificationTime: number;
+  timeScale: number;
+  duration: number;
+  /** Packed ISO 639-2/T code, or a Macintosh language code below 0x400. */
+  language: number;
+  creationDate?: Date;
+  modificationDate?: Date;
+  /** Decoded `language`, e.g. 'eng'. Undefined if unspecified. */
+  languageCode?: string;
+}
+
+/**
+ * The first sample entry's format and fields. Each sample entry in
+ * `atoms` has its own fields as its data.
+ */
+export interface StsdData {
+  format: string;
+  dataReferenceIndex?: number;
+  /** Video tracks only. */
+  width?: number;
+  height?: number;
+  /** Integer part of the horizontal resolution. */
+  resolution?: number;
+  /** Resolutions in pixels per inch, usually 72. */
+  horizontalResolution?: number;
+  verticalResolution?: number;
+  frameCount?: number;
+  depth?: number;
+  /** Audio tracks only. 0 for ISO files, or the QuickTime sample entry version. */
+  version?: number;
+  channelCount?: number;
+  sampleSize?: number;
+  sampleRate?: number;
+}
+
+export interface AvcCData {
+  profile: number;
+  compatibility: number;
+  level: number;
+  nalLengthSize: number;
+  chromaFormat?: number;
+  bitDepthLuma?: number;
+  bitDepthChroma?: number;
+}
+
+export interface HvcCData {
+  profileSpace: number;
+  tier: number;
+  profile: number;
+  compatibilityFlags: number;
+  constraintFlags: number[];
+  level: number;
+  chromaFormat: number;
+  bitDepthLuma: number;
+  bitDepthChroma: number;
+}
+
+export interface Av1CData {
+  profile: number;
+  level: number;
+  tier: number;
+  bitDepth: number;
+  monochrome: boolean;
+  chromaSubsamplingX: number;
+  chromaSubsamplingY: number;
+  chromaSamplePosition: number;
+}
+
+export interface VpcCData {
+  version: number;
+  profile: number;
+  level: number;
+  bitDepth: number;
+  chromaSubsampling: number;
+  fullRange: boolean;
+  colourPrimaries?: number;
+  transferCharacteristics?: number;
+  matrixCoefficients?: number;
+}
+
+export interface EsdsData {
+  objectTypeIndication?: number;
+  streamType?: number;
+  bufferSize?: number;
+  maxBitrate?: number;
+  avgBitrate?: number;
+  audioObjectType?: number;
+  samplingFrequency?: number;
+  channelConfiguration?: number;
+}
+
+export interface StszData {
+  /** 'stsz' only. */
+  version?: number;
+  flags?: number;
+  sampleSize: number;
+  sampleCount: number;
+  /** Per-sample sizes, when `parseSampleTables` is set and sizes vary. */
+  entrySizes?: number[];
+  /** 'stz2' only: bits per table entry. */
+  fieldSize?: number;
+}
+
+export interface SttsEntry {
+  sampleCount: number;
+  sampleDelta: number;
+}
+
+export interface CttsEntry {
+  sampleCount: number;
+  sampleOffset: number;
+}
+
+export interface StscEntry {
+  firstChunk: number;
+  samplesPerChunk: number;
+  sampleDescriptionIndex: number;
+}
+
+export interface SttsData {
+  version: number;
+  flags: number;
+  entries: SttsEntry[];
+}
+
+export interface CttsData {
+  version: number;
+  flags: number;
+  entries: CttsEntry[];
+}
+
+export interface StssData {
+  version: number;
+  flags: number;
+  sampleNumbers: number[];
+}
+
+export interface StscData {
+  version: number;
+  flags: number;
+  entries: StscEntry[];
+}
+
+export interface StcoData {
+  version: number;
+  flags: number;
+  chunkOffsets: number[];
+}
+
+export interface TrexData {
+  version: number;
+  flags: number;
+  trackId: number;
+  defaultSampleDescriptionIndex: number;
+  defaultSampleDuration: number;
+  defaultSampleSize: number;
+  defaultSampleFlags: number;
+}
+
+export interface MehdData {
+  version: number;
+  flags: number;
+  fragmentDuration: number;
+}
+
+export interface MfhdData {
+  version: number;
+  flags: number;
+  sequenceNumber: number;
+}
+
+export interface TfhdData {
+  version: number;
+  flags: number;
+  trackId: number;
+  baseDataOffset?: number;
+  sampleDescriptionIndex?: number;
+  defaultSampleDuration?: number;
+  defaultSampleSize?: number;
+  defaultSampleFlags?: number;
+  durationIsEmpty: boolean;
+  defaultBaseIsMoof: boolean;
+}
+
+export interface TfdtData {
+  version: number;
+  flags: number;
+  baseMediaDecodeTime: number;
+}
+
+export interface TrunSample {
+  duration?: number;
+  size?: number;
+  flags?: number;
+  compositionTimeOffset?: number;
+}
+
+export interface TrunData {
+  version: number;
+  flags: number;
+  sampleCount: number;
+  dataOffset?: number;
+  firstSampleFlags?: number;
+  /** Run-length encoded sample durations, when stored per sample. */
+  durations?: SttsEntry[];
+  /** Total of the sample sizes, when stored per sample. */
+  totalSize?: number;
+  /** Only with `parseSampleTables: true`. */
+  samples?: TrunSample[];
+}
+
+export interface SidxReference {
+  referenceType: number;
+  referencedSize: number;
+  subsegmentDuration: number;
+  startsWithSap: boolean;
+  sapType: number;
+  sapDeltaTime: number;
+}
+
+export interface SidxData {
+  version: number;
+  referenceId: number;
+  timeScale: number;
+  earliestPresentationTime: number;
+  firstOffset: number;
+  references: SidxReference[];
+}
+
+export interface TfraEntry {
+  time: number;
+  moofOffset: number;
+  trafNumber: number;
+  trunNumber: number;
+  sampleNumber: number;
+}
+
+export interface TfraData {
+  version: number;
+  flags: number;
+  trackId: number;
+  /** Sizes of the traf, trun and sample numbers, each stored as 1 less than the size in bytes, in 2 bits. */
+  lengthSizes: number;
+  entries: TfraEntry[];
+}
+
+export interface MfroData {
+  version: number;
+  flags: number;
+  size: number;
+}
+
+/** Called with each atom, to choose which to find. */
+export type AtomPredicate = (atom: Atom) => boolean;
+
+/** Called with each atom and its depth, from 0. Returning false skips the atoms inside it. */
+export type AtomVisitor = (atom: Atom, depth: number) => boolean | void;
+
+/**
+ * A parsed atom (box). `parent`, `siblings` and the methods aren't
+ * enumerable, so atoms serialize with `JSON.stringify` as plain objects.
+ */
+export interface Atom {
+  size: number;
+  type: string;
+  /** Position of the atom header in the file. */
+  offset: number;
+  /** 8, or 16 when the size is stored as a 64-bit "largesize". */
+  headerSize: number;
+  /** True if the atom runs past the end of its parent or the file. Only in tolerant mode. */
+  truncated?: boolean;
+  /** Bytes there are of a truncated atom, including its header. */
+  availableBytes?: number;
+  /** Extended type of a 'uuid' atom, e.g. 'be7acfcb-97a9-42e8-9c71-999491e3afac'. */
+  uuid?: string;
+  /**
+   * Child atoms, for container atoms such as `moov` and `trak`.
+   * For 'stsd', these are the sample entries.
+   */
+  atoms?: Atom[];
+  /** Parsed contents, for the atoms that are understood. */
+  data?: FtypData | MvhdData | TkhdData | HdlrData | MdhdData | StsdData | StszData
+    | AvcCData | HvcCData | Av1CData | VpcCData | EsdsData | PaspData | ClapData
+    | IlstData | KeysData | UserDataTextData | ChplData | TrackReferenceData
+    | ElstData
+    | SttsData | CttsData | StssData | StscData | StcoData
+    | TrexData | MehdData | MfhdData | TfhdData | TfdtData | TrunData
+    | SidxData | TfraData | MfroData
+    /** Atoms added with `registerBox`. */
+    | { [key: string]: unknown };
+  /** Atom this one is in, or null at the top level. */
+  readonly parent: Atom | null;
+  /** Atoms in the same list as this one, including it. */
+  readonly siblings: Atom[];
+  /** `atoms`, or an empty list. */
+  readonly children: Atom[];
+  /** Path from the top of the tree, such as 'moov/trak[1]/mdia/hdlr'. */
+  readonly path: string;
+  /**
+   * Finds the first atom inside this one matching a selector, such as 'trak/mdia/hdlr'
+   * or 'trak[2]/tkhd'. A predicate on its own tests every atom inside this one.
+   */
+  find(selector: string | AtomPredicate, predicate?: AtomPredicate): Atom | undefined;
+  /** Finds every atom inside this one matching a selector. */
+  findAll(selector: string | AtomPredicate, predicate?: AtomPredicate): Atom[];
+  /** Calls `visitor` for this atom and every atom inside it. */
+  walk(visitor: AtomVisitor): void;
+}
+
+/** Types a field can be read as, with `readFields`. */
+export type FieldType = 'uint8' | 'uint16' | 'uint24' | 'uint32' | 'uint64'
+  | 'int8' | 'int16' | 'int32' | 'int64'
+  | 'fixed8.8' | 'fixed16.16' | 'fixed2.30' | 'float32' | 'float64'
+  | 'fourcc' | 'string' | 'bytes' | 'skip' | 'array';
+
+/**
+ * A field of an atom's data. Options can be functions of the data read so far,
+ * and for array items, also of the data of the atom the array is in.
+ */
+export interface Field {
+  /** Key to store the value at. Not needed for 'skip'. */
+  name?: string;
+  type?: FieldType | ((data: any, parent?: any) => FieldType);
+  /** For 'string', 'bytes' and 'skip'. Defaults to the rest of the atom. */
+  length?: number | ((data: any, parent?: any) => number);
+  /** For 'array': a number of items, or the type of a count stored before them. Defaults to the rest of the atom. */
+  count?: number | 'uint8' | 'uint16' | 'uint32' | ((data: any, parent?: any) => number);
+  /** For 'array': the type of each item. */
+  items?: FieldType;
+  /** For 'array': the fields of each item. */
+  fields?: Field[];
+  /** Only read the field if this returns true. */
+  when?: (data: any, parent?: any) => boolean;
+  /** Read nothing, and set the field to what this returns. */
+  value?: (data: any, parent?: any) => unknown;
+}
+
+/** How to read an atom type, for `registerBox`. */
+export interface BoxDefinition {
+  /** True if the atom's contents are more atoms. */
+  container?: boolean;
+  /**
+   * True if the atom's contents start with a version and flags, or a function
+   * that tells from the first 8 bytes of contents.
+   */
+  fullBox?: boolean | ((bytes: Uint8Array) => boolean);
+  /**
+   * Fields to read the atom's data with, or a function of the parse context that
+   * returns them, or nothing to leave the data unread.
+   */
+  fields?: Field[] | ((context: ParseOptions & { [key: string]: unknown }) => Field[] | undefined);
+  /**
+   * Reads the atom's data, for atoms that fields can't describe. `start` is the
+   * position of the contents. For containers, it's called once the children are read.
+   */
+  parse?: (source: ByteSource, start: number, end: number, context: ParseOptions & { [key: string]: unknown }, atom: Atom) => unknown;
+  /** True if the atom's children get their own copy of the parse context. */
+  copyContext?: boolean;
+}
+
+/** Details from the decoder configuration of a sample entry. */
+export interface CodecInfo {
+  /** Profile IDC, or the audio object type for MPEG-4 audio. */
+  profile?: number;
+  profileName?: string;
+  /** e.g. 3.1 */
+  level?: number;
+  tier?: 'Main' | 'High';
+  bitDepth?: number;
+  /** e.g. '4:2:0' */
+  chromaSubsampling?: string;
+  /** MPEG-4 objectTypeIndication from 'esds'. */
+  objectTypeIndication?: number;
+}
+
+/** A track's sample tables, when parsed with `parseSampleTables`. */
+export interface SampleTable {
+  /** Size of every sample, or 0 if sizes vary. */
+  sampleSize: number;
+  sampleCount: number;
+  /** Per-sample sizes, if they vary. */
+  sampleSizes?: number[];
+  timeToSample: SttsEntry[];
+  compositionOffsets?: CttsEntry[];
+  /** 1-based sync sample (keyframe) numbers. Missing if every sample is a sync sample. */
+  syncSamples?: number[];
+  sampleToChunk: StscEntry[];
+  chunkOffsets: number[];
+}
+
+/** A sample resolved by `getSampleIndex`. Times are in the track's timescale. */
+export interface Sample {
+  offset: number;
+  size: number;
+  dts: number;
+  cts: number;
+  duration: number;
+  isKeyframe: boolean;
+}
+
+export interface ParseOptions {
+  /** Read the full sample tables of each track. Defaults to false. */
+  parseSampleTables?: boolean;
+  /**
+   * Recover from problems rather than throwing. Atoms that are cut short are marked
+   * `truncated`, an atom with an invalid header ends the list it's in, and atoms whose
+   * contents can't be read are kept without them. Defaults to false.
+   */
+  tolerant?: boolean;
+  /** Stops parsing, rejecting with the signal's reason. */
+  signal?: AbortSignal;
+}
+
+export interface Track {
+  /** Track ID from 'tkhd'. */
+  id?: number;
+  /** Handler type, e.g. 'vide', 'soun', 'text', 'sbtl', 'subt' or 'meta'. */
+  type?: string;
+  handlerName?: string;
+  timeScale?: number;
+  /** Media duration in seconds. */
+  duration?: number;
+  /** Edit list from 'edts/elst', if the track has one. */
+  editList?: EditListEntry[];
+  /** Duration the edit list presents, in seconds. */
+  presentationDuration?: number;
+  /**
+   * Media time shown at the start of the movie, in seconds, e.g. the AAC encoder delay.
+   * Negative if the track starts with an empty edit, which delays it.
+   */
+  startOffset?: number;
+  /** From 'tkhd'. */
+  creationDate?: Date;
+  modificationDate?: Date;
+  isEnabled?: boolean;
+  isInMovie?: boolean;
+  isInPreview?: boolean;
+  /** Clockwise rotation in degrees from the 'tkhd' matrix: 0, 90, 180 or 270. */
+  rotation?: number;
+  /** Packed ISO-639-2 language code from 'mdhd'. */
+  language?: number;
+  /** Decoded `language`, e.g. 'eng'. */
+  languageCode?: string;
+  /** Sample entry format, e.g. 'avc1' or 'mp4a'. */
+  format?: string;
+  /** RFC 6381 codec string, e.g. 'avc1.64001F' or 'mp4a.40.2'. */
+  codec?: string;
+  codecInfo?: CodecInfo;
+  sampleCount?: number;
+  /** Video tracks only. */
+  width?: number;
+  height?: number;
+  resolution?: number;
+  horizontalResolution?: number;
+  verticalResolution?: number;
+  /** Size the video is shown at, after cropping, pixel aspect ratio and rotation. */
+  displayWidth?: number;
+  displayHeight?: number;
+  /** Width of a pixel relative to its height, from 'pasp'. */
+  pixelAspectRatio?: number;
+  /** Frames per second, from the 'stts' decoding time deltas. */
+  frameRate?: number;
+  /** Exact frame rate as a fraction, e.g. '30000/1001'. The average rate for variable frame rates. */
+  frameRateRational?: string;
+  /** True if frame durations differ by more than one timescale tick. */
+  isVariableFrameRate?: boolean;
+  /** Frame durations in seconds. */
+  minFrameDuration?: number;
+  maxFrameDuration?: number;
+  averageFrameDuration?: number;
+  /** Frame rate implied by the sample count and 'mdhd' duration. */
+  headerFrameRate?: number;
+  /** Audio tracks only. */
+  channelCount?: number;
+  sampleSize?: number;
+  sampleRate?: number;
+  /** Only when parsed with `parseSampleTables`. */
+  sampleTable?: SampleTable;
+}
+
+export interface Location {
+  /** As stored, e.g. '+37.7858-122.4064+012.345/'. */
+  iso6709: string;
+  latitude?: number;
+  longitude?: number;
+  altitude?: number;
+}
+
+export interface CoverArt {
+  bytes: Uint8Array;
+  mime?: string;
+}
+
+/**
+ * Metadata tags. Well-known keys are normalised to the names below,
+ * and others are kept under their own key, e.g. '©st3' or 'com.android.version'.
+ */
+/** A problem found by `validate`. */
+export interface Diagnostic {
+  /** 'error' for problems that stop a file playing properly, 'warning' for ones players usually cope with. */
+  severity: 'error' | 'warning';
+  /**
+   * What kind of problem it is: 'truncated', 'overrun', 'invalid-size', 'invalid-type',
+   * 'trailing-bytes', 'missing-atom', 'misplaced-atom', 'invalid-atom',
+   * 'sample-count-mismatch' or 'chunk-outside-mdat'.
+   */
+  code: string;
+  /** Path of the atom, e.g. 'moov/trak[1]/mdia/minf/stbl/stsz'. Empty for the file itself. */
+  path: string;
+  /** File position of the atom or problem. */
+  offset: number;
+  message: string;
+}
+
+/** A value to write with `writeMetadata`. Objects are as returned in `Tags`. */
+export type TagValue = string | number | boolean | Date | Uint8Array
+  | { latitude: number; longitude: number; altitude?: number } | { iso6709: string }
+  | { bytes: Uint8Array; mime?: string }
+  | { number: number; total?: number };
+
+/** Tag changes for `writeMetadata`, by tag name or key. null removes a tag. */
+export interface MetadataChanges {
+  [name: string]: TagValue | TagValue[] | null | undefined;
+}
+
+export interface Tags {
+  title?: string;
+  artist?: string;
+  albumArtist?: string;
+  album?: string;
+  comment?: string;
+  description?: string;
+  /** As stored, e.g. '2024' or '2023-05-04T12:00:00+0200'. */
+  date?: string;
+  encoder?: string;
+  encodedBy?: string;
+  genre?: string;
+  composer?: string;
+  author?: string;
+  copyright?: string;
+  make?: string;
+  model?: string;
+  keywords?: string;
+  location?: Location;
+  coverArt?: CoverArt;
+  trackNumber?: { number: number; total: number };
+  discNumber?: { number: number; total: number };
+  tempo?: number;
+  compilation?: boolean;
+  [key: string]: unknown;
+}
+
+/** Times are in seconds. */
+export interface Chapter {
+  title: string;
+  start: number;
+  end: number;
+}
+
+/** A track's part of a movie fragment. Times are in the track's timescale. */
+export interface TrackFragment {
+  trackId: number;
+  sampleCount: number;
+  duration: number;
+  baseDecodeTime?: number;
+}
+
+/** A 'moof' and the 'mdat' that follows it. */
+export interface Fragment {
+  offset: number;
+  /** Size of the 'moof' and its 'mdat'. */
+  size: number;
+  sampleCount: number;
+  tracks: TrackFragment[];
+  sequenceNumber?: number;
+  /** Earliest decode time of the fragment's tracks, in seconds. */
+  baseDecodeTime?: number;
+  /** Duration of the fragment's longest track, in seconds. */
+  duration?: number;
+}
+
+/** A subsegment from a 'sidx' atom. Times are in the index's timescale. */
+export interface SegmentReference {
+  /** 'index' references point at another 'sidx'. */
+  type: 'media' | 'index';
+  offset: number;
+  size: number;
+  time: number;
+  duration: number;
+  startsWithSap: boolean;
+  sapType: number;
+}
+
+export interface SegmentIndex {
+  referenceId: number;
+  timeScale: number;
+  references: SegmentReference[];
+}
+
+/** Random access points from a 'tfra' atom. Times are in the track's timescale. */
+export interface RandomAccess {
+  trackId: number;
+  timeScale?: number;
+  entries: TfraEntry[];
+}
+
+export interface AtomRange {
+  offset: number;
+  size: number;
+}
+
+export interface StreamingReport {
+  /** True if 'moov' comes before every 'mdat', so the file can play while it downloads. */
+  isFastStart: boolean;
+  /** True if the file has 'moof' atoms, or 'mvex' in 'moov'. */
+  isFragmented: boolean;
+  moov?: AtomRange;
+  mdat: AtomRange[];
+  /** 'free', 'skip' and 'wide' atoms. */
+  padding: (AtomRange & { type: string })[];
+  paddingSize: number;
+  /** Bytes to download before playback can start: up to the end of 'moov', or of the first fragment after it. */
+  bytesBeforePlayback?: number;
+  /** Every top-level atom, in file order. */
+  atoms: (AtomRange & { type: string })[];
+  /** File size. */
+  size: number;
+}
+
+/** Kind of file, from its brands. */
+export type Container = 'mp4' | 'mov' | '3gp' | '3g2' | 'm4a' | 'm4b' | 'm4v' | 'f4v' | 'heif' | 'avif' | 'cmaf';
+
+export interface SniffResult {
+  container: Container;
+  mimeType: string;
+  /** Not set for QuickTime files without an 'ftyp'. */
+  majorBrand?: string;
+  minorVersion?: number;
+  compatibleBrands?: string[];
+}
+
+export interface Mp4Info {
+  /** Not set if the file isn't recognised. */
+  container?: Container;
+  mimeType?: string;
+  /** From 'ftyp', or 'styp' for segments. */
+  majorBrand?: string;
+  minorVersion?: number;
+  compatibleBrands?: string[];
+  /** Movie duration in seconds. From the tracks' edit lists where there are any. */
+  duration?: number;
+  /** From 'mvhd'. */
+  creationDate?: Date;
+  modificationDate?: Date;
+  /** Preferred playback rate and volume, 1 being normal. */
+  rate?: number;
+  volume?: number;
+  /** The first video track's width, height, resolution and frame rate. */
+  width?: number;
+  height?: number;
+  resolution?: number;
+  displayWidth?: number;
+  displayHeight?: number;
+  rotation?: number;
+  pixelAspectRatio?: number;
+  frameRate?: number;
+  frameRateRational?: string;
+  isVariableFrameRate?: boolean;
+  /** True if the file has 'mvex' or 'moof' atoms. */
+  isFragmented: boolean;
+  /** Movie fragments, in file order. Only for fragmented files. */
+  fragments?: Fragment[];
+  /** Contents of any 'sidx' atoms. */
+  segmentIndexes?: SegmentIndex[];
+  /** Contents of the 'mfra' atom, if there is one. */
+  randomAccess?: RandomAccess[];
+  /** Metadata tags from 'udta', 'meta', 'ilst' and 'keys'. */
+  tags: Tags;
+  /**
+   * From a QuickTime chapter track, or a Nero 'chpl' atom.
+   * `getMp4InfoFromAtoms` only has Nero chapters, as chapter tracks are read from 'mdat'.
+   */
+  chapters: Chapter[];
+  /** One entry per 'trak', in file order. */
+  tracks: Track[];
+  /** True if the file was cut short. Only set when parsed with `tolerant: true`. */
+  truncated?: boolean;
+  /** Bytes missing from the atoms that were cut short, usually the end of 'mdat'. */
+  missingBytes?: number;
+  atoms: Atom[];
+}
+
+export type Mp4InfoCallback = (err: Error | null, result?: Mp4Info) => void;
+
+/**
+ * Gets metadata for a given video file (mp4 or mov).
+ */
+export function getMp4Info(file: Mp4Input, options?: ParseOptions): Promise<Mp4Info>;
+export function getMp4Info(file: Mp4Input, callback: Mp4InfoCallback): void;
+export function getMp4Info(file: Mp4Input, options: ParseOptions | undefined, callback: Mp4InfoCallback): void;
+
+/** Events of a parser from `createMp4Parser`, with the values they're called with. */
+export interface Mp4ParserEvents {
+  /** Each top-level atom, once it's complete. 'mdat' and others that aren't read have only their header. */
+  atom: Atom;
+  ftyp: Atom;
+  moov: Atom;
+  moof: Atom;
+  /** Video properties, as soon as 'moov' has been read. */
+  info: Mp4Info;
+  /** Video properties for the whole file, once it's ended. */
+  end: Mp4Info;
+  error: Error;
+}
+
+/** A parser for a file that arrives in chunks. */
+export interface Mp4Parser {
+  /** Resolves as soon as 'moov' has been read, or when the file ends if it has none. */
+  info: Promise<Mp4Info>;
+  /** Reads a chunk of the file. Wait for it before pushing the next. */
+  push(chunk: Uint8Array | ArrayBuffer | ArrayBufferView): Promise<void>;
+  /** Ends the file, resolving the video properties for the whole file. */
+  end(): Promise<Mp4Info>;
+  on<E extends keyof Mp4ParserEvents>(event: E, listener: (value: Mp4ParserEvents[E]) => void): Mp4Parser;
+  off<E extends keyof Mp4ParserEvents>(event: E, listener: (value: Mp4ParserEvents[E]) => void): Mp4Parser;
+  /** Reads a web or Node.js stream into the parser, and ends it. */
+  consume(stream: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>): Promise<Mp4Info>;
+}
+
+/**
+ * Creates a parser for a file that arrives in chunks, such as from a `fetch` body,
+ * `Blob.stream()` or an upload. 'mdat' is skipped as it goes past rather than kept.
+ * Chapter tracks aren't read, as their titles are in 'mdat'.
+ */
+export function createMp4Parser(options?: ParseOptions): Mp4Parser;
+
+/**
+ * Gets metadata for given video atoms.
+ */
+export function getMp4InfoFromAtoms(atoms: Atom[]): Omit<Mp4Info, 'atoms'>;
+
+/**
+ * Registers an atom type, so it's read along with the atoms that are built in.
+ * 'uuid' atoms are registered by their extended type, as a UUID string.
+ * Registering a type that's already known replaces it.
+ */
+export function registerBox(type: string, box: BoxDefinition): void;
+
+/**
+ * Reads an atom's contents with a list of fields.
+ * With `fullBox`, a version and flags are read first.
+ */
+export function readFields(bytes: Uint8Array, fields: Field[], fullBox?: boolean): { [key: string]: any };
+
+/**
+ * Finds the first atom matching a selector, such as 'moov/trak[1]/mdia/hdlr',
+ * in a list of atoms such as `info.atoms`.
+ */
+export function findAtom(atoms: Atom[], selector: string | AtomPredicate, predicate?: AtomPredicate): Atom | undefined;
+
+/**
+ * Finds every atom matching a selector, in file order.
+ */
+export function findAllAtoms(atoms: Atom[], selector: string | AtomPredicate, predicate?: AtomPredicate): Atom[];
+
+/**
+ * Calls `visitor` for each atom in a list and every atom inside them, in file order.
+ */
+export function walkAtoms(atoms: Atom[], visitor: AtomVisitor): void;
+
+/** Data accepted by `consumeAtoms` and `consumeAtomHeader`. */
+export type AtomSource = ByteSource | Blob | ArrayBuffer | ArrayBufferView | number[];
+
+export type AtomsCallback = (err: Error | null, atoms?: Atom[]) => void;
+export type AtomCallback = (err: Error | null, atom?: Atom) => void;
+
+/**
+ * Consumes Atoms from the provided data.
+ */
+export function consumeAtoms(source: AtomSource, start: number, end: number, options?: ParseOptions): Promise<Atom[]>;
+export function consumeAtoms(source: AtomSource, start: number, end: number, callback: AtomsCallback): void;
+export function consumeAtoms(source: AtomSource, start: number, end: number, options: ParseOptions | undefined, callback: AtomsCallback): void;
+
+/**
+ * Consumes Atom header.
+ */
+export function consumeAtomHeader(source: AtomSource, start: number, end: number, options?: ParseOptions): Promise<Atom>;
+export function consumeAtomHeader(source: AtomSource, start: number, end: number, callback: AtomCallback): void;
+export function consumeAtomHeader(source: AtomSource, start: number, end: number, options: ParseOptions | undefined, callback: AtomCallback): void;
+
+/**
+ * Creates a byte source for data that is already in memory.
+ */
+export function createBufferSource(data: ArrayBuffer | ArrayBufferView | number[]): ByteSource;
+
+/**
+ * Creates a byte source that reads slices of a Blob on demand.
+ */
+export function createBlobSource(blob: Blob): ByteSource;
+
+/**
+ * Creates a byte source that reads a remote file with Range requests.
+ */
+export function createHttpSource(url: string | URL, options?: HttpSourceOptions): Promise<PrefetchingByteSource>;
+
+/**
+ * Resolves a track's sample table into a flat list of samples.
+ * The track must come from a file parsed with `parseSampleTables: true`.
+ */
+export function getSampleIndex(track: Track): Sample[];
+
+/**
+ * Checks whether a file is an mp4 or QuickTime file, reading only its first few KB.
+ * Resolves null if the file isn't recognised.
+ */
+export function sniff(file: Mp4Input): Promise<SniffResult | null>;
+
+/**
+ * Gets a report on whether a file can play while it downloads.
+ * Only atom headers are read.
+ */
+export function getStreamingReport(file: Mp4Input): Promise<StreamingReport>;
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', so it can play while it downloads.
+ * If the file is a Blob, the media data is sliced from it rather than read into memory.
+ * Pass `atoms` from `consumeAtoms` to skip parsing the file again.
+ */
+export function createFastStartBlob(file: Mp4Input, atoms?: Atom[]): Promise<Blob>;
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', as a stream that reads the media data as it goes.
+ */
+export function createFastStartStream(file: Mp4Input, atoms?: Atom[]): Promise<ReadableStream<Uint8Array>>;
+
+/**
+ * Changes a file's metadata tags, by tag name (such as `title`) or key (such as '©xyz').
+ * null removes a tag, so `{ location: null, make: null, model: null }` strips where
+ * and with what a video was recorded. Chunk offsets are updated if the media data moves.
+ */
+export function writeMetadata(file: Mp4Input, changes: MetadataChanges, atoms?: Atom[]): Promise<Blob>;
+
+/**
+ * Checks a file for problems, carrying on past any that it can.
+ * The file is valid if no diagnostic has a severity of 'error'.
+ */
+export function validate(file: Mp4Input): Promise<Diagnostic[]>;
@@ -2,465 +2,1293 @@
   mp4-info - index.js
 */
 
+import { bytesToNumber, bytesToString } from './bytes.js';
+import { toSource, readView } from './sources.js';
+import { toDate, decodeLanguage, fromFixedPoint, decodeMatrix, getRotation } from './decode.js';
+import { boxes as sampleBoxes, getFrameRateInfo, getSampleIndex } from './samples.js';
+import { boxes as fragmentBoxes, getFragmentInfo } from './fragments.js';
+import { boxes as codecBoxes, getCodecInfo } from './codecs.js';
+import { boxes as tagBoxes, consumeUserDataText, getTags } from './tags.js';
+import { boxes as chapterBoxes, readTextChapters, getNeroChapters } from './chapters.js';
+import { boxes as brandBoxes, getBrandInfo } from './brands.js';
+import { getFieldsSize, readFields, registerBox, getBox } from './registry.js';
+import { Atom, linkAtoms } from './atoms.js';
+import { getStreamingReportFromAtoms } from './streaming.js';
+import { getFastStartParts, partsToBlob, partsToStream } from './faststart.js';
+import { getMetadataParts } from './metadata.js';
+import { checkAtoms, checkRequiredAtoms, checkSampleTable, toDiagnostics } from './validate.js';
+import { createAtomSplitter } from './parser.js';
+import { isHttpUrl, createHttpSource } from './http.js';
+import { asCallback, throwIfAborted } from './util.js';
+
 /**
- * Converts ArrayBuffer to an unsigned Big Endian number,
- * as used in mp4 format.
+ * Reads an atom header.
+ *
+ * An atom larger than the rest of the group is an error, unless
+ * `options.tolerant` is set, in which case it's marked `truncated`,
+ * with the number of bytes there are of it in `availableBytes`.
  *
- * @arg {ArrayBuffer} bytes.
- * @returns {Number} Big endian representation.
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom group.
+ * @arg {Number} end - end position of atom group.
+ * @arg {Object} [options] - parse options.
+ * @returns {Promise<Object>} atom info.
  */
-function bytesToNumber(bytes) {
-  bytes = new Uint8Array(bytes);
-  var num = 0;
-  for (var i = 0; i < bytes.length; i++) {
-    num = (num << 8) >>> 0;  // ">>> 0" to always interpret as unsigned.
-    num += bytes[i];
+async function readAtomHeader(source, start, end, options = {}) {
+  source = toSource(source);
+  const buff = await source.read(start, start + 16);
+
+  const atom = new Atom({
+    size: bytesToNumber(buff.slice(0, 4)),
+    type: bytesToString(buff.slice(4, 8)),
+    offset: start,
+    headerSize: 8
+  });
+
+  if (atom.type.length !== 4) {
+    throw new Error('Invalid Atom Type');
+  }
+
+  // Sanity check.
+  if (Number.isNaN(atom.size)) {
+    throw new Error('Invalid Atom Size');
+  }
+
+  if (atom.size === 0) {
+
+    // If atom size is 0, atom extends to the end of the file.
+    atom.size = end - start;
+
+  } else if (atom.size === 1) {
+
+    // If atom size is 1, the size is 64-bit.
+    atom.headerSize = 16;
+    atom.size = bytesToNumber(buff.slice(8, 16));
   }
-  return num;
+
+  // Atoms must be at least the size of the header.
+  if (atom.size < atom.headerSize) {
+    throw new Error('Invalid Atom Size');
+  }
+
+  // Atom can't be larger than the total size, unless the file was cut short,
+  // and we've been asked to keep what there is.
+  if (atom.size > end - start) {
+    if (!options.tolerant || end - start < atom.headerSize) {
+      throw new Error('Invalid Atom Size');
+    }
+    atom.truncated = true;
+    atom.availableBytes = end - start;
+  }
+
+  return atom;
 }
 
 /**
- * Converts ArrayBuffer to a String.
- * Null bytes are treated as empty.
+ * Checks for a QuickTime terminator at the end of a list of atoms:
+ * either up to 4 zero bytes, or an empty 8 byte atom with no type.
  *
- * @arg {ArrayBuffer} bytes.
- * @returns {String} resulting string.
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of the possible terminator.
+ * @arg {Number} end - end position of atom group.
+ * @returns {Promise<Boolean>} true if the rest of the group is a terminator.
  */
-function bytesToString(bytes) {
-  bytes = new Uint8Array(bytes);
-  var str = '';
-  for (var i = 0; i < bytes.length; i++) {
-    str += bytes[i] ? String.fromCharCode(bytes[i]) : '';
+async function isTerminator(source, start, end) {
+  if (end - start > 8) {
+    return false;
   }
-  return str;
+  const buff = await source.read(start, end);
+  const size = bytesToNumber(buff.slice(0, 4));
+  return (size === 0 || size === buff.length) && buff.slice(4).every(byte => byte === 0);
 }
 
+// Version 1 atoms have 64-bit times and durations.
+const TIME = data => data.version === 1 ? 'uint64' : 'uint32';
+
+/**
+ * Fields of a MVHD atom (movie header).
+ */
+const MVHD_FIELDS = [
+  { name: 'creationTime', type: TIME },
+  { name: 'modificationTime', type: TIME },
+  { name: 'timeScale', type: 'uint32' },
+  { name: 'duration', type: TIME },
+  { name: 'preferredRate', type: 'uint32' },
+  { name: 'preferredVolume', type: 'uint16' },
+  { type: 'skip', length: 10 },
+  { name: 'matrix', type: 'array', count: 9, items: 'uint32' },
+  // Decoded values.
+  { name: 'creationDate', value: data => toDate(data.creationTime) },
+  { name: 'modificationDate', value: data => toDate(data.modificationTime) },
+  { name: 'rate', value: data => fromFixedPoint(data.preferredRate, 32, 16) },
+  { name: 'volume', value: data => fromFixedPoint(data.preferredVolume, 16, 8) },
+  { name: 'transform', value: data => decodeMatrix(data.matrix) },
+];
+
 /**
- * Reads a blob as an ArrayBuffer.
+ * Fields of a Tkhd atom (track header).
+ */
+const TKHD_FIELDS = [
+  { name: 'creationTime', type: TIME },
+  { name: 'modificationTime', type: TIME },
+  { name: 'trackId', type: 'uint32' },
+  { type: 'skip', length: 4 },
+  { name: 'duration', type: TIME },
+  { type: 'skip', length: 8 },
+  { name: 'layer', type: 'int16' },
+  { name: 'alternateGroup', type: 'uint16' },
+  { type: 'skip', length: 4 },  // Volume and reserved.
+  { name: 'matrix', type: 'array', count: 9, items: 'uint32' },
+  // Width and height are the presentation size before the matrix is applied.
+  { name: 'width', type: 'fixed16.16' },
+  { name: 'height', type: 'fixed16.16' },
+  // Decoded values.
+  { name: 'isEnabled', value: data => Boolean(data.flags & 0x1) },
+  { name: 'isInMovie', value: data => Boolean(data.flags & 0x2) },
+  { name: 'isInPreview', value: data => Boolean(data.flags & 0x4) },
+  { name: 'creationDate', value: data => toDate(data.creationTime) },
+  { name: 'modificationDate', value: data => toDate(data.modificationTime) },
+  { name: 'transform', value: data => decodeMatrix(data.matrix) },
+];
+
+/**
+ * Fields of an Elst atom (edit list).
+ * Segment durations are in the movie timescale, and media times in the
+ * track's timescale. A media time of -1 is an empty edit, which delays the track.
+ */
+const ELST_FIELDS = [
+  {
+    name: 'entries',
+    type: 'array',
+    count: 'uint32',
+    fields: [
+      { name: 'segmentDuration', type: (entry, data) => TIME(data) },
+      { name: 'mediaTime', type: (entry, data) => data.version === 1 ? 'int64' : 'int32' },
+      { name: 'mediaRate', type: 'fixed16.16' },
+    ],
+  },
+];
+
+/**
+ * Fields of a track reference, inside a Tref atom.
+ */
+const TRACK_REFERENCE_FIELDS = [
+  { name: 'trackIds', type: 'array', items: 'uint32' },
+];
+
+/**
+ * Fields of a Hdlr atom.
+ */
+const HDLR_FIELDS = [
+  { name: 'type', type: 'fourcc' },
+  { name: 'subtype', type: 'fourcc' },
+  { type: 'skip', length: 12 },
+  { name: 'name', type: 'string' },
+];
+
+/**
+ * Consumes a Hdlr atom, and sets the handler type of the track it's in,
+ * as the sample entries are read differently for each.
  *
- * @arg {Blob} blob.
- * @returns {ArrayBuffer} in callback function.
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @arg {Object} context - parse context.
+ * @returns {Promise<Object>} atom info.
  */
-function toArrayBuffer(blob, callback) {
-  var reader = new FileReader();
-  reader.onload = function() {
-    callback(null, reader.result); 
-  };
-  reader.onerror = function () {
-    callback(new Error('Failed to read file'));
-    reader.abort();
-  };
-  reader.readAsArrayBuffer(blob);
+async function consumeHdlr(source, start, end, context) {
+  const data = readFields(await source.read(start, end), HDLR_FIELDS, true);
+  context.handlerType = data.subtype;
+  return data;
 }
 
 /**
- * Ensures that a the first argument, if a blob,
- * is converted to an ArrayBuffer.
+ * Fields of a Mdhd atom (media header).
+ */
+const MDHD_FIELDS = [
+  { name: 'creationTime', type: TIME },
+  { name: 'modificationTime', type: TIME },
+  { name: 'timeScale', type: 'uint32' },
+  { name: 'duration', type: TIME },
+  { name: 'language', type: 'uint16' },
+  // Decoded values.
+  { name: 'creationDate', value: data => toDate(data.creationTime) },
+  { name: 'modificationDate', value: data => toDate(data.modificationTime) },
+  { name: 'languageCode', value: data => decodeLanguage(data.language) },
+];
+
+/**
+ * Fields every sample entry starts with, after its size and format.
+ */
+const SAMPLE_ENTRY_FIELDS = [
+  { type: 'skip', length: 6 },  // Reserved.
+  { name: 'dataReferenceIndex', type: 'uint16' },
+];
+
+/**
+ * Fields of a visual sample entry, which are followed by its child atoms.
+ */
+const VISUAL_SAMPLE_ENTRY_FIELDS = [
+  ...SAMPLE_ENTRY_FIELDS,
+  { type: 'skip', length: 16 },  // Version, revision, vendor, and temporal and spatial quality.
+  { name: 'width', type: 'uint16' },
+  { name: 'height', type: 'uint16' },
+  { name: 'horizontalResolution', type: 'fixed16.16' },  // Pixels per inch, usually 72.
+  { name: 'verticalResolution', type: 'fixed16.16' },
+  { type: 'skip', length: 4 },  // Data size.
+  { name: 'frameCount', type: 'uint16' },
+  { type: 'skip', length: 32 },  // Compressor name.
+  { name: 'depth', type: 'uint16' },
+  { type: 'skip', length: 2 },  // Color table ID.
+  // Decoded values.
+  { name: 'resolution', value: data => Math.floor(data.horizontalResolution) },
+];
+
+/**
+ * Fields of an audio sample entry, up to the version, which says which
+ * fields follow.
+ */
+const AUDIO_SAMPLE_ENTRY_FIELDS = [
+  ...SAMPLE_ENTRY_FIELDS,
+  { name: 'version', type: 'uint16' },
+  { type: 'skip', length: 6 },  // Revision and vendor.
+];
+
+/**
+ * Fields of a version 0 audio sample entry, as in ISO files.
+ */
+const AUDIO_SAMPLE_ENTRY_V0_FIELDS = [
+  ...AUDIO_SAMPLE_ENTRY_FIELDS,
+  { name: 'channelCount', type: 'uint16' },
+  { name: 'sampleSize', type: 'uint16' },
+  { type: 'skip', length: 4 },  // Compression ID and packet size.
+  { name: 'sampleRate', type: 'uint16' },  // Integer part of 16.16.
+  { type: 'skip', length: 2 },
+];
+
+/**
+ * Fields of a QuickTime version 1 audio sample entry, which adds the
+ * sizes of packets and frames.
+ */
+const AUDIO_SAMPLE_ENTRY_V1_FIELDS = [
+  ...AUDIO_SAMPLE_ENTRY_V0_FIELDS,
+  { type: 'skip', length: 16 },
+];
+
+/**
+ * Fields of a QuickTime version 2 audio sample entry, which moves the
+ * fields, and stores the sample rate as a 64-bit float.
+ */
+const AUDIO_SAMPLE_ENTRY_V2_FIELDS = [
+  ...AUDIO_SAMPLE_ENTRY_FIELDS,
+  { type: 'skip', length: 16 },  // Constants in place of the version 0 fields, and the size of this struct.
+  { name: 'sampleRate', type: 'float64' },
+  { name: 'channelCount', type: 'uint32' },
+  { type: 'skip', length: 4 },  // Always 0x7F000000.
+  { name: 'sampleSize', type: 'uint32' },  // Bits per channel.
+  { type: 'skip', length: 12 },  // Format flags, and bytes and frames per packet.
+];
+
+// Audio sample entry fields, by version.
+const AUDIO_SAMPLE_ENTRY_VERSIONS = [AUDIO_SAMPLE_ENTRY_V0_FIELDS, AUDIO_SAMPLE_ENTRY_V1_FIELDS, AUDIO_SAMPLE_ENTRY_V2_FIELDS];
+
+// The most bytes of fixed fields that a sample entry has.
+const SAMPLE_ENTRY_FIELDS_SIZE = Math.max(...[VISUAL_SAMPLE_ENTRY_FIELDS, ...AUDIO_SAMPLE_ENTRY_VERSIONS].map(getFieldsSize));
+
+/**
+ * Gets the fixed fields of a sample entry. They depend on the handler
+ * type of the track it belongs to, and for audio entries, the version.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @returns {ArrayBuffer} in callback function.
+ * @arg {Uint8Array} bytes - start of the entry contents, after its size and format.
+ * @arg {String} handlerType - handler type of the track.
+ * @returns {Array|undefined} fields, or undefined if the entry isn't read.
  */
-function ensureArrayBuffer(data, callback) {
-  if (data instanceof Blob) {
-    toArrayBuffer(data, callback);
-  } else {
-    return callback(null, data);
+function getSampleEntryFields(bytes, handlerType) {
+  if (handlerType === 'vide') {
+    return VISUAL_SAMPLE_ENTRY_FIELDS;
+  }
+  if (handlerType === 'soun') {
+    return AUDIO_SAMPLE_ENTRY_VERSIONS[readFields(bytes, AUDIO_SAMPLE_ENTRY_FIELDS).version];
   }
+  return undefined;
 }
 
 /**
- * Consumes Atom header.
- *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - start position of atom group.
- * @arg {Number} end - end position of atom group.
- * @returns {Object} atom info in callback
+ * Fields of a Pasp atom (pixel aspect ratio), inside visual sample entries.
  */
-function consumeAtomHeader(data, start, end, callback) {
-  return ensureArrayBuffer(data.slice(start, start + 16), function (err, buff) {
+const PASP_FIELDS = [
+  { name: 'hSpacing', type: 'uint32' },
+  { name: 'vSpacing', type: 'uint32' },
+];
 
-    if (err) {
-      return callback(err);
+/**
+ * Consumes a Clap atom (clean aperture), inside visual sample entries.
+ * Each value is a fraction, stored as a numerator and denominator.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeClap(source, start, end) {
+  const view = await readView(source, start, start + 32);
+  const fraction = (n, signed) => {
+    const denominator = view.getUint32(n + 4);
+    if (!denominator) {
+      return 0;
     }
+    return (signed ? view.getInt32(n) : view.getUint32(n)) / denominator;
+  };
+  return {
+    width: fraction(0, false),
+    height: fraction(8, false),
+    horizontalOffset: fraction(16, true),
+    verticalOffset: fraction(24, true),
+  };
+}
 
-    var headerSize = 8;
-    var atom = {
-      size: bytesToNumber(buff.slice(0, 4)),
-      type: bytesToString(buff.slice(4, 8))
-    };
+/**
+ * Fields of a Stsd atom (sample descriptions), before the sample entries.
+ */
+const STSD_FIELDS = [
+  { name: 'entryCount', type: 'uint32' },
+];
 
-    if (atom.type.length !== 4) {
-      return callback(new Error('Invalid Atom Type'));
+/**
+ * Consumes the sample entries of a Stsd atom as atoms,
+ * along with the child atoms of visual and audio entries,
+ * such as their decoder configuration.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @arg {Object} context - parse context.
+ * @returns {Promise<Array>} sample entry atoms.
+ */
+async function consumeSampleEntries(source, start, end, context) {
+  const { entryCount } = readFields(await source.read(start, start + 8), STSD_FIELDS, true);
+  const entries = [];
+  let n = start + 8;
+
+  for (let i = 0; i < entryCount && n < end; i++) {
+
+    // In tolerant mode, an entry with an invalid header ends the list, as in `readAtoms`.
+    let entry;
+    try {
+      entry = await readAtomHeader(source, n, end, context);
+    } catch (err) {
+      if (context.tolerant) {
+        reportError(context, err, n, end, null);
+        break;
+      }
+      throw err;
     }
+    const entryStart = n + entry.headerSize;
+    const entryEnd = n + (entry.truncated ? entry.availableBytes : entry.size);
 
-    // Sanity check.
-    if (Number.isNaN(atom.size)) {
-      return callback(new Error('Invalid Atom Size'));
+    entries.push(entry);
+    n = entryEnd;
+
+    // Child atoms follow the fixed fields of visual and audio entries.
+    const bytes = await source.read(entryStart, Math.min(entryStart + SAMPLE_ENTRY_FIELDS_SIZE, entryEnd));
+    const fields = getSampleEntryFields(bytes, context.handlerType);
+    if (!fields) {
+      continue;
     }
+    entry.data = readFields(bytes, fields);
 
-    if (atom.size === 0) {
+    const childStart = entryStart + getFieldsSize(fields);
+    if (childStart < entryEnd) {
+      entry.atoms = await readAtoms(source, childStart, entryEnd, context);
+      linkAtoms(entry.atoms, entry);
+    }
+  }
 
-      // If atom size is 0, atom extends to the end of the file.
-      atom.size = end - start;
+  return entries;
+}
 
-    } else if (atom.size === 1) {
+/**
+ * Formats the extended type of a 'uuid' atom.
+ *
+ * @arg {Uint8Array} bytes - 16 bytes.
+ * @returns {String} UUID, e.g. 'be7acfcb-97a9-42e8-9c71-999491e3afac'.
+ */
+function formatUuid(bytes) {
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+}
 
-      // If atom size is 1, the size is 64-bit.
-      headerSize = 16;
-      atom.size = bytesToNumber(buff.slice(8, 16));
+// Atoms that contain more atoms. Each track gets its own copy of the
+// context, so one track's handler type doesn't carry over to the next.
+['moov', 'mdia', 'minf', 'dinf', 'stbl', 'wave', 'mvex', 'moof', 'traf', 'mfra', 'edts'].forEach(type => {
+  registerBox(type, { container: true });
+});
+registerBox('trak', { container: true, copyContext: true });
+
+registerBox('udta', {
+  container: true,
+  async parse(source, start, end, context, atom) {
+    for (const child of atom.atoms) {
+      if (child.type[0] === '©') {
+        child.data = await consumeUserDataText(source, child.offset + child.headerSize, child.offset + child.size);
+      }
     }
-
-    // Atoms must be at least the size of the header.
-    if (atom.size < headerSize) {
-      return callback(new Error('Invalid Atom Size'));
+  },
+});
+
+// Each child is a reference type, such as 'chap', listing track IDs.
+registerBox('tref', {
+  container: true,
+  async parse(source, start, end, context, atom) {
+    for (const child of atom.atoms) {
+      child.data = readFields(await source.read(child.offset + child.headerSize, child.offset + child.size), TRACK_REFERENCE_FIELDS);
     }
+  },
+});
+
+// ISO 'meta' atoms are full atoms, but QuickTime ones are not, so check
+// where the first child is. Its children get a copy of the context, so
+// the metadata handler doesn't replace the track's.
+registerBox('meta', {
+  container: true,
+  copyContext: true,
+  fullBox: bytes => !['hdlr', 'keys', 'ilst'].includes(bytesToString(bytes.slice(4, 8))),
+});
+
+registerBox('mvhd', { fullBox: true, fields: MVHD_FIELDS });
+registerBox('tkhd', { fullBox: true, fields: TKHD_FIELDS });
+registerBox('elst', { fullBox: true, fields: ELST_FIELDS });
+registerBox('mdhd', { fullBox: true, fields: MDHD_FIELDS });
+registerBox('hdlr', { parse: consumeHdlr });
+registerBox('pasp', { fields: PASP_FIELDS });
+registerBox('clap', { parse: consumeClap });
+
+// The sample entries are read as child atoms, and the first one's
+// format and fields are the data, as only it is used for track info.
+registerBox('stsd', {
+  async parse(source, start, end, context, atom) {
+    atom.atoms = await consumeSampleEntries(source, start, end, context);
+    const [entry] = atom.atoms;
+    return Object.assign({ format: entry ? entry.type : '' }, entry && entry.data);
+  },
+});
+
+[sampleBoxes, fragmentBoxes, codecBoxes, tagBoxes, chapterBoxes, brandBoxes].forEach(boxes => {
+  Object.keys(boxes).forEach(type => registerBox(type, boxes[type]));
+});
 
-    // Atom can't be larger than the total size.
-    if (atom.size > end - start) {
-      return callback(new Error('Invalid Atom Size'));
-    }
+/**
+ * Consumes the contents of an atom: its child atoms, if it's a
+ * container, and its data, for the atoms that are registered.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Object} atom - atom, from `readAtomHeader`.
+ * @arg {Number} atomStart - start position of atom contents.
+ * @arg {Number} atomEnd - end position of atom.
+ * @arg {Object} context - parse options and context.
+ */
+async function consumeAtomContents(source, atom, atomStart, atomEnd, context) {
+
+  // 'uuid' atoms have an extended type, which they're registered by.
+  if (atom.type === 'uuid' && atomEnd - atomStart >= 16) {
+    atom.uuid = formatUuid(await source.read(atomStart, atomStart + 16));
+    atomStart += 16;
+  }
 
-    return callback(null, atom);
+  const box = getBox(atom.uuid || atom.type);
+  if (!box) {
+    return;
+  }
 
-  });
+  let fullBox = box.fullBox;
+  if (typeof fullBox === 'function') {
+    fullBox = fullBox(await source.read(atomStart, atomStart + 8));
+  }
+
+  if (box.container) {
+    const childContext = box.copyContext ? Object.assign({}, context) : context;
+    atom.atoms = await readAtoms(source, atomStart + (fullBox ? 4 : 0), atomEnd, childContext);
+    linkAtoms(atom.atoms, atom);
+  }
+
+  // Only the bytes that a fixed size list of fields covers are read, so
+  // reading the header of a large table doesn't read the table.
+  const fields = typeof box.fields === 'function' ? box.fields(context) : box.fields;
+  let data;
+  if (fields) {
+    const size = getFieldsSize(fields);
+    const fieldsEnd = size === undefined ? atomEnd : Math.min(atomStart + (fullBox ? 4 : 0) + size, atomEnd);
+    data = readFields(await source.read(atomStart, fieldsEnd), fields, fullBox);
+  } else if (box.parse) {
+    data = await box.parse(source, atomStart, atomEnd, context, atom);
+  }
+  if (data !== undefined) {
+    atom.data = data;
+  }
+  if (atom.atoms) {
+    linkAtoms(atom.atoms, atom);
+  }
 }
 
 /**
- * Consumes a MVHD atom.
+ * Passes an error recovered from in tolerant mode to `context.onError`.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - start position of atom header.
- * @arg {Number} end - end position of atom.
- * @returns {Object} atom info in callback
+ * @arg {Object} context - parse context.
+ * @arg {Error} err - error recovered from.
+ * @arg {Number} offset - where the atom or atom header that failed starts.
+ * @arg {Number} end - end position of the atom group it's in.
+ * @arg {Object|null} atom - atom whose contents couldn't be read, or null for an invalid header.
  */
-function consumeMvhd(data, start, end, callback) {
-  return ensureArrayBuffer(data.slice(start, start + 26), function (err, buff) {
-    if (err) {
-      return callback(err);
-    } else {
-      return callback(null, {
-        //version: bytesToNumber(buff.slice(0, 1)),
-        //flags: bytesToNumber(buff.slice(1, 4)),
-        creationTime: bytesToNumber(buff.slice(4, 8)),
-        modificationTime: bytesToNumber(buff.slice(8, 12)),
-        timeScale: bytesToNumber(buff.slice(12, 16)),
-        duration: bytesToNumber(buff.slice(16, 20)),
-        preferredRate: bytesToNumber(buff.slice(20, 24)),
-        preferredVolume: bytesToNumber(buff.slice(24, 26))
-      });
-    }
-  });
+function reportError(context, err, offset, end, atom) {
+  if (context.onError) {
+    context.onError({ err, offset, end, atom });
+  }
 }
 
 /**
- * Consumes a Hdlr atom.
+ * Reads atoms from the provided byte source.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - start position of atom header.
- * @arg {Number} end - end position of atom.
- * @returns {Object} atom info in callback
+ * The context starts as the parse options, and also carries state
+ * that atoms need from earlier siblings or ancestors, such as the
+ * handler type of the current track.
+ *
+ * With `tolerant: true`, problems are recovered from rather than thrown:
+ *
+ * - An atom that runs past the end of its parent or the file is marked
+ *   `truncated`, and as much of it as there is is read.
+ * - An atom with an invalid header ends the list it's in. The atoms
+ *   before it are kept, and the rest of the list is skipped.
+ * - An atom whose contents can't be read is kept without them.
+ *
+ * Each error recovered from is passed to `context.onError`, if set, as
+ * for `reportError`. That's how `validate` finds them.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - slice start.
+ * @arg {Number} end - slice end.
+ * @arg {Object} [context] - parse options and context.
+ * @returns {Promise<Array>} atom objects.
  */
-function consumeHdlr(data, start, end, callback) {
-  return ensureArrayBuffer(data.slice(start, end), function (err, buff) {
-    if (err) {
-      return callback(err);
-    } else {
-      return callback(null, {
-        //version: bytesToNumber(buff.slice(0, 1)),
-        //flags: bytesToNumber(buff.slice(1, 4)),
-        type: bytesToString(buff.slice(4, 8)),
-        subtype: bytesToString(buff.slice(8, 12)),
-        name: bytesToString(buff.slice(12, end))
-      });
+async function readAtoms(source, start, end, context = {}) {
+
+  source = toSource(source);
+  const atoms = [];
+  let n = start;
+
+  while (n < end) {
+
+    throwIfAborted(context.signal);
+
+    let atom;
+    try {
+      atom = await readAtomHeader(source, n, end, context);
+    } catch (err) {
+      if (await isTerminator(source, n, end)) {
+        break;
+      }
+      if (!context.tolerant) {
+        throw err;
+      }
+      reportError(context, err, n, end, null);
+      break;
     }
-  });
+
+    const atomStart = n + atom.headerSize;
+    const atomEnd = n + (atom.truncated ? atom.availableBytes : atom.size);
+
+    atoms.push(atom);
+    n = atomEnd;
+
+    // Let remote sources fetch the whole movie header or fragment
+    // header in one go, rather than a block at a time as its atoms are read.
+    if ((atom.type === 'moov' || atom.type === 'moof') && source.prefetch) {
+      await source.prefetch(atomStart, atomEnd);
+    }
+
+    // In tolerant mode, an atom whose contents can't be read is kept without them.
+    try {
+      await consumeAtomContents(source, atom, atomStart, atomEnd, context);
+    } catch (err) {
+      if (!context.tolerant) {
+        throw err;
+      }
+      reportError(context, err, atom.offset, end, atom);
+    }
+  }
+
+  linkAtoms(atoms, null);
+  return atoms;
 }
 
 /**
- * Consumes a Mdhd atom.
+ * Consumes Atoms from the provided byte source.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - start position of atom header.
- * @arg {Number} end - end position of atom.
- * @returns {Object} atom info in callback
+ * @arg {Object|Blob|ArrayBuffer|ArrayBufferView|Array} source - byte source or video file data.
+ * @arg {Number} start - slice start.
+ * @arg {Number} end - slice end.
+ * @arg {Object} [options] - parse options.
+ * @arg {Function} [callback] - called with (err, atoms).
+ * @returns {Promise<Array>|undefined} atom objects.
  */
-function consumeMdhd(data, start, end, callback) {
-  return ensureArrayBuffer(data.slice(start, start + 22), function (err, buff) {
-    if (err) {
-      return callback(err);
-    } else {
-      return callback(null, {
-        //version: bytesToNumber(buff.slice(0, 1)),
-        //flags: bytesToNumber(buff.slice(1, 4)),
-        creationTime: bytesToNumber(buff.slice(4, 8)),
-        modificationTime: bytesToNumber(buff.slice(8, 12)),
-        timeScale: bytesToNumber(buff.slice(12, 16)),
-        duration: bytesToNumber(buff.slice(16, 20)),
-        language: bytesToNumber(buff.slice(20, 22)),
-      });
-    }
-  });
+function consumeAtoms(source, start, end, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  return asCallback(() => readAtoms(source, start, end, options), callback);
 }
 
 /**
- * Consumes a Stsd atom.
+ * Consumes Atom header.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - start position of atom header.
- * @arg {Number} end - end position of atom.
- * @returns {Object} atom info in callback
+ * @arg {Object|Blob|ArrayBuffer|ArrayBufferView|Array} source - byte source or video file data.
+ * @arg {Number} start - start position of atom group.
+ * @arg {Number} end - end position of atom group.
+ * @arg {Object} [options] - parse options.
+ * @arg {Function} [callback] - called with (err, atom).
+ * @returns {Promise<Object>|undefined} atom info.
  */
-function consumeStsd(data, start, end, callback) {
-  return ensureArrayBuffer(data.slice(start, start + 48), function (err, buff) {
-    if (err) {
-      return callback(err);
-    } else {
-      return callback(null, {
-        //version: bytesToNumber(buff.slice(0, 1)),
-        //flags: bytesToNumber(buff.slice(1, 4)),
-        //
-        //
-        format: bytesToString(buff.slice(12, 16)),
-        //
-        //
-        width: bytesToNumber(buff.slice(40, 42)),
-        height: bytesToNumber(buff.slice(42, 44)),
-        resolution: bytesToNumber(buff.slice(44, 46)),
-        //yResolution: bytesToNumber(buff.slice(46, 48)),
-      });
+function consumeAtomHeader(source, start, end, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  return asCallback(() => readAtomHeader(source, start, end, options), callback);
+}
+
+/**
+ * Short-hand for accessing atoms of a certain type.
+ */
+function forAtoms(atoms, type, callback) {
+  if (atoms) {
+    atoms
+      .filter(atom => atom.type === type)
+      .forEach(atom => callback(atom));
+  }
+}
+
+/**
+ * Short-hand for accessing the data of atoms of a certain type. Atoms
+ * without data, whose contents couldn't be read in tolerant mode, are skipped.
+ */
+function forAtomData(atoms, type, callback) {
+  forAtoms(atoms, type, atom => {
+    if (atom.data) {
+      callback(atom.data, atom);
     }
   });
 }
 
 /**
- * Consumes a Stsd atom.
+ * Gets the sample tables of a track, if they were parsed.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - start position of atom header.
- * @arg {Number} end - end position of atom.
- * @returns {Object} atom info in callback
+ * @arg {Object} stbl - 'stbl' atom.
+ * @returns {Object|undefined} sample tables.
  */
-function consumeStsz(data, start, end, callback) {
-  return ensureArrayBuffer(data.slice(start, start + 12), function (err, buff) {
-    if (err) {
-      return callback(err);
-    } else {
-      return callback(null, {
-        //version: bytesToNumber(buff.slice(0, 1)),
-        //flags: bytesToNumber(buff.slice(1, 4)),
-        sampleSize: bytesToNumber(buff.slice(4, 8)),
-        sampleCount: bytesToNumber(buff.slice(8, 12)),
-      });
+function getSampleTable(stbl) {
+
+  const table = {};
+
+  const setSizes = data => {
+    table.sampleSize = data.sampleSize;
+    table.sampleCount = data.sampleCount;
+    if (data.entrySizes) {
+      table.sampleSizes = data.entrySizes;
     }
+  };
+  forAtomData(stbl.atoms, 'stsz', setSizes);
+  forAtomData(stbl.atoms, 'stz2', setSizes);
+
+  forAtoms(stbl.atoms, 'stts', atom => {
+    table.timeToSample = atom.data && atom.data.entries;
+  });
+  forAtoms(stbl.atoms, 'ctts', atom => {
+    table.compositionOffsets = atom.data && atom.data.entries;
+  });
+  forAtoms(stbl.atoms, 'stss', atom => {
+    table.syncSamples = atom.data && atom.data.sampleNumbers;
+  });
+  forAtoms(stbl.atoms, 'stsc', atom => {
+    table.sampleToChunk = atom.data && atom.data.entries;
   });
+  forAtoms(stbl.atoms, 'stco', atom => {
+    table.chunkOffsets = atom.data && atom.data.chunkOffsets;
+  });
+  forAtoms(stbl.atoms, 'co64', atom => {
+    table.chunkOffsets = atom.data && atom.data.chunkOffsets;
+  });
+
+  // Chunk offsets are only parsed along with the other tables.
+  if (!table.chunkOffsets) {
+    return undefined;
+  }
+
+  table.timeToSample = table.timeToSample || [];
+  table.sampleToChunk = table.sampleToChunk || [];
+
+  return table;
 }
 
 /**
- * Consumes Atoms from the provided data.
- * NOTE: Callbacks always come with 'return' in case we're doing
- * the synchronous version.
+ * Works out the size a video track is displayed at.
  *
- * @arg {ArrayBuffer | Blob} data.
- * @arg {Number} start - slice start.
- * @arg {Number} end - slice end.
- * @returns {Object} atom object.
+ * The coded size is cropped to the clean aperture ('clap') and stretched
+ * by the pixel aspect ratio ('pasp') where those are given, and otherwise
+ * the 'tkhd' presentation size is used. The result is then rotated.
+ * Without a 'pasp' atom, pixels are square.
+ *
+ * @arg {Object} track - track with the coded width, height and rotation.
+ * @arg {Number} presentationWidth - 'tkhd' width.
+ * @arg {Number} presentationHeight - 'tkhd' height.
+ * @arg {Object} [pixelAspect] - 'pasp' data.
+ * @arg {Object} [cleanAperture] - 'clap' data.
+ * @returns {Object} displayWidth, displayHeight and pixelAspectRatio.
  */
-function consumeAtoms(data, start, end, callback) {
+function getDisplayInfo(track, presentationWidth, presentationHeight, pixelAspect, cleanAperture) {
 
-  var atoms = [];
-  var n = start;
+  let pixelAspectRatio = 1;
+  if (pixelAspect && pixelAspect.hSpacing && pixelAspect.vSpacing) {
+    pixelAspectRatio = pixelAspect.hSpacing / pixelAspect.vSpacing;
+  }
+
+  let width = track.width;
+  let height = track.height;
+  if (cleanAperture && cleanAperture.width && cleanAperture.height) {
+    width = cleanAperture.width;
+    height = cleanAperture.height;
+  }
+
+  if (pixelAspect || cleanAperture || !presentationWidth || !presentationHeight) {
+    width = Math.round(width * pixelAspectRatio);
+    height = Math.round(height);
+  } else {
+    width = Math.round(presentationWidth);
+    height = Math.round(presentationHeight);
+  }
 
-  function next() {
+  const isSideways = track.rotation === 90 || track.rotation === 270;
+  return {
+    displayWidth: isSideways ? height : width,
+    displayHeight: isSideways ? width : height,
+    pixelAspectRatio,
+  };
+}
 
-    if (n >= end) {
-      return callback(null, atoms);
+/**
+ * Works out how a track is presented from its edit list.
+ *
+ * `startOffset` is the media time, in seconds, that is shown at the start
+ * of the movie. For AAC this is the encoder delay. It is negative if the
+ * track starts with an empty edit, which delays it.
+ *
+ * @arg {Array} entries - 'elst' entries.
+ * @arg {Number} movieTimeScale - 'mvhd' timescale.
+ * @arg {Number} timeScale - track timescale.
+ * @returns {Object} editList, presentationDuration and startOffset.
+ */
+function getEditInfo(entries, movieTimeScale, timeScale) {
+
+  const info = { editList: entries };
+  if (!movieTimeScale || !timeScale) {
+    return info;
+  }
+
+  let totalDuration = 0;
+  let emptyDuration = 0;
+  let firstMediaTime;
+  for (const entry of entries) {
+    totalDuration += entry.segmentDuration;
+    if (firstMediaTime !== undefined) {
+      continue;
     }
+    if (entry.mediaTime === -1) {
+      emptyDuration += entry.segmentDuration;
+    } else {
+      firstMediaTime = entry.mediaTime;
+    }
+  }
 
-    return consumeAtomHeader(data, n, end, function (err, atom) {
+  // Fragmented files often have a zero duration edit, which covers the whole track.
+  if (totalDuration > 0) {
+    info.presentationDuration = totalDuration / movieTimeScale;
+  }
+  info.startOffset = (firstMediaTime || 0) / timeScale - emptyDuration / movieTimeScale;
 
-      if (err) {
-        return callback(err);
-      }
+  return info;
+}
 
-      var atomStart = n + 8;
-      var atomEnd = n + atom.size;
+/**
+ * Gets information for a single track.
+ *
+ * @arg {Object} trak - 'trak' atom.
+ * @arg {Number} [movieTimeScale] - 'mvhd' timescale, for edit lists.
+ * @returns {Object} track properties.
+ */
+function getTrackInfo(trak, movieTimeScale) {
+
+  const track = {};
+  let presentationWidth;
+  let presentationHeight;
+  let pixelAspect;
+  let cleanAperture;
+
+  forAtomData(trak.atoms, 'tkhd', data => {
+    track.id = data.trackId;
+    track.creationDate = data.creationDate;
+    track.modificationDate = data.modificationDate;
+    track.isEnabled = data.isEnabled;
+    track.isInMovie = data.isInMovie;
+    track.isInPreview = data.isInPreview;
+    track.rotation = getRotation(data.transform);
+    presentationWidth = data.width;
+    presentationHeight = data.height;
+  });
 
-      atoms.push(atom);
-      n = atomEnd;
+  forAtoms(trak.atoms, 'mdia', atom => {
 
-      switch (atom.type) {
+    forAtomData(atom.atoms, 'hdlr', data => {
+      track.type = data.subtype;
+      track.handlerName = data.name;
+    });
 
-        // Atoms that contain more atoms.
+    forAtomData(atom.atoms, 'mdhd', data => {
+      track.timeScale = data.timeScale;
+      if (data.duration !== undefined) {
+        track.duration = data.duration / data.timeScale;
+      }
+      track.language = data.language;
+      track.languageCode = data.languageCode;
+    });
 
-        case 'moov':
-        case 'trak':
-        case 'mdia':
-        case 'minf':
-        case 'dinf':
-        case 'stbl':
-          return consumeAtoms(data, atomStart, atomEnd, function (err, arr) {
-            if (err) {
-              return callback(err);
-            } else {
-              atom.atoms = arr;
-              return next();
-            }
-          });
-          break;
-
-        // Atoms that contain data.
-        // NOTE: There are probably lots more that could be checked for here.
-
-        case 'mvhd':
-          return consumeMvhd(data, atomStart, atomEnd, function (err, data) {
-            if (err) {
-              return callback(err);
-            } else {
-              atom.data = data;
-              return next();
-            }
-          });
-          break;
-
-        case 'hdlr':
-          return consumeHdlr(data, atomStart, atomEnd, function (err, data) {
-            if (err) {
-              return callback(err);
-            } else {
-              atom.data = data;
-              return next();
+    forAtoms(atom.atoms, 'minf', atom => {
+      forAtoms(atom.atoms, 'stbl', atom => {
+
+        forAtomData(atom.atoms, 'stsd', (data, atom) => {
+          track.format = data.format;
+          if (atom.atoms && atom.atoms.length > 0) {
+            const { codec, ...codecInfo } = getCodecInfo(atom.atoms[0]);
+            track.codec = codec;
+            track.codecInfo = codecInfo;
+          }
+          if (track.type === 'vide') {
+            if (atom.atoms && atom.atoms.length > 0) {
+              forAtomData(atom.atoms[0].atoms, 'pasp', data => {
+                pixelAspect = data;
+              });
+              forAtomData(atom.atoms[0].atoms, 'clap', data => {
+                cleanAperture = data;
+              });
             }
-          });
-          break;
-
-        case 'mdhd':
-          return consumeMdhd(data, atomStart, atomEnd, function (err, data) {
-            if (err) {
-              return callback(err);
-            } else {
-              atom.data = data;
-              return next();
-            }
-          });
-          break;
-
-        case 'stsd':
-          return consumeStsd(data, atomStart, atomEnd, function (err, data) {
-            if (err) {
-              return callback(err);
-            } else {
-              atom.data = data;
-              return next();
-            }
-          });
-          break;
-
-        case 'stsz':
-          return consumeStsz(data, atomStart, atomEnd, function (err, data) {
-            if (err) {
-              return callback(err);
-            } else {
-              atom.data = data;
-              return next();
+            track.width = data.width;
+            track.height = data.height;
+            track.resolution = data.resolution;
+            track.horizontalResolution = data.horizontalResolution;
+            track.verticalResolution = data.verticalResolution;
+          } else if (track.type === 'soun') {
+            track.channelCount = data.channelCount;
+            track.sampleSize = data.sampleSize;
+            track.sampleRate = data.sampleRate;
+          }
+        });
+
+        forAtomData(atom.atoms, 'stsz', data => {
+          track.sampleCount = data.sampleCount;
+        });
+        forAtomData(atom.atoms, 'stz2', data => {
+          track.sampleCount = data.sampleCount;
+        });
+
+        if (track.type === 'vide') {
+          forAtomData(atom.atoms, 'stts', data => {
+            if (data.entries) {
+              Object.assign(track, getFrameRateInfo(data.entries, track.timeScale));
             }
           });
-          break;
+        }
+
+        const sampleTable = getSampleTable(atom);
+        if (sampleTable) {
+          track.sampleTable = sampleTable;
+        }
 
-        default:
-          return next();
-          break;
+      });
+    });
+
+  });
+
+  forAtoms(trak.atoms, 'edts', atom => {
+    forAtomData(atom.atoms, 'elst', data => {
+      if (data.entries) {
+        Object.assign(track, getEditInfo(data.entries, movieTimeScale, track.timeScale));
       }
     });
-  }
+  });
 
-  return next();
-}
+  if (track.type === 'vide' && track.width && track.height) {
+    Object.assign(track, getDisplayInfo(track, presentationWidth, presentationHeight, pixelAspect, cleanAperture));
+  }
 
-/**
- * Short-hand for accessing atoms of a certain type.
- */
-function forAtoms(atoms, type, callback) {
-  if (atoms) {
-    atoms
-      .filter(function (atom) { return atom.type === type; })
-      .forEach(function (atom) { callback(atom); });
+  // The frame rate implied by the header, to compare against the one from 'stts'.
+  if (track.type === 'vide' && track.sampleCount && track.duration) {
+    track.headerFrameRate = track.sampleCount / track.duration;
+    if (!track.frameRate) {
+      track.frameRate = track.headerFrameRate;
+    }
   }
+
+  return track;
 }
 
 /**
  * Gets metadata for given video atoms.
  *
- * @args {Array} atoms - Array of atoms.
+ * @arg {Array} atoms - Array of atoms.
  * @returns {Object} video properties.
  */
 function getMp4InfoFromAtoms(atoms) {
 
-  var result = {};
+  const result = getBrandInfo(atoms);
+  const tracks = [];
+  let timeScale;
+
+  forAtoms(atoms, 'moov', atom => {
 
-  forAtoms(atoms, 'moov', function(atom) {
+    forAtomData(atom.atoms, 'mvhd', data => {
+      timeScale = data.timeScale;
+      if (data.duration !== undefined) {
+        result.duration = data.duration / data.timeScale;
+      }
+      result.creationDate = data.creationDate;
+      result.modificationDate = data.modificationDate;
+      result.rate = data.rate;
+      result.volume = data.volume;
+    });
 
-    forAtoms(atom.atoms, 'mvhd', function(atom) {
-      result.duration = atom.data.duration / atom.data.timeScale;
+    forAtoms(atom.atoms, 'trak', atom => {
+      tracks.push(getTrackInfo(atom, timeScale));
     });
 
-    forAtoms(atom.atoms, 'trak', function(atom) {
-      forAtoms(atom.atoms, 'mdia', function(atom) {
+  });
 
-        // If is track is a video track, we use the data here
-        // for the overall metadata.
-        var subtype;
-        forAtoms(atom.atoms, 'hdlr', function(atom) {
-          subtype = atom.data.subtype;
-        });
-        if (subtype !== 'vide') {
-          return;
-        }
+  // Fragmented files usually have no duration or samples in 'moov',
+  // so these come from the fragments instead.
+  const fragmentInfo = getFragmentInfo(atoms, tracks);
+  result.isFragmented = fragmentInfo.isFragmented;
+  if (fragmentInfo.isFragmented) {
 
-        var timeScale;
-        var duration;
-        var sampleCount;
-        var width;
-        var height;
-        var resolution;
+    tracks.forEach(track => {
+      const totals = fragmentInfo.trackTotals[track.id];
+      if (!totals) {
+        return;
+      }
+      if (!track.sampleCount) {
+        track.sampleCount = totals.sampleCount;
+      }
+      if (!track.duration && track.timeScale) {
+        track.duration = totals.duration / track.timeScale;
+      }
+      if (track.type === 'vide' && !track.frameRateRational) {
+        Object.assign(track, getFrameRateInfo(totals.timeToSample, track.timeScale));
+      }
+    });
 
-        forAtoms(atom.atoms, 'mdhd', function(atom) {
-          timeScale = atom.data.timeScale;
-          duration = atom.data.duration;
-        });
+    if (!result.duration) {
+      if (fragmentInfo.fragmentDuration && timeScale) {
+        result.duration = fragmentInfo.fragmentDuration / timeScale;
+      } else {
+        result.duration = Math.max(0, ...tracks.map(track => track.duration || 0));
+      }
+    }
 
-        forAtoms(atom.atoms, 'minf', function(atom) {
-          forAtoms(atom.atoms, 'stbl', function(atom) {
+    result.fragments = fragmentInfo.fragments;
+  }
 
-            forAtoms(atom.atoms, 'stsd', function(atom) {
-              width = atom.data.width;
-              height = atom.data.height;
-              resolution = atom.data.resolution;
-            });
+  // Edit lists give the duration players actually present.
+  if (tracks.some(track => track.presentationDuration !== undefined)) {
+    result.duration = Math.max(...tracks.map(track => {
+      return track.presentationDuration !== undefined ? track.presentationDuration : track.duration || 0;
+    }));
+  }
 
-            forAtoms(atom.atoms, 'stsz', function(atom) {
-              sampleCount = atom.data.sampleCount;
-            });
+  if (fragmentInfo.segmentIndexes.length > 0) {
+    result.segmentIndexes = fragmentInfo.segmentIndexes;
+  }
+  if (fragmentInfo.randomAccess.length > 0) {
+    result.randomAccess = fragmentInfo.randomAccess;
+  }
 
-          });
+  // The first video track is used for the overall metadata.
+  const video = tracks.find(track => track.type === 'vide');
+  if (video) {
+    if (video.width) {
+      result.width = video.width;
+    }
+    if (video.height) {
+      result.height = video.height;
+    }
+    if (video.resolution) {
+      result.resolution = video.resolution;
+    }
+    if (video.displayWidth) {
+      result.displayWidth = video.displayWidth;
+      result.displayHeight = video.displayHeight;
+      result.rotation = video.rotation;
+      result.pixelAspectRatio = video.pixelAspectRatio;
+    }
+    if (video.frameRate) {
+      result.frameRate = video.frameRate;
+    }
+    if (video.frameRateRational) {
+      result.frameRateRational = video.frameRateRational;
+      result.isVariableFrameRate = video.isVariableFrameRate;
+    }
+  }
+
+  result.tags = getTags(atoms);
+  result.chapters = getNeroChapters(atoms, result.duration);
+  result.tracks = tracks;
+
+  // Files read in tolerant mode may have been cut short, usually partway through 'mdat'.
+  const truncated = atoms.filter(atom => atom.truncated);
+  if (truncated.length > 0) {
+    result.truncated = true;
+    result.missingBytes = truncated.reduce((total, atom) => total + atom.size - atom.availableBytes, 0);
+  }
+
+  return result;
+}
+
+/**
+ * Consumes the atom headers in a range, without their contents.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position.
+ * @arg {Number} end - end position.
+ * @returns {Promise<Array>} atom headers.
+ */
+async function consumeAtomHeaders(source, start, end) {
+  const atoms = [];
+  let n = start;
+  while (n < end) {
+    let atom;
+    try {
+      atom = await readAtomHeader(source, n, end);
+    } catch (err) {
+      if (await isTerminator(source, n, end)) {
+        break;
+      }
+      throw err;
+    }
+    atoms.push(atom);
+    n += atom.size;
+  }
+  return atoms;
+}
+
+/**
+ * Gets a report on whether a file can play while it downloads.
+ * Only the atom headers are read, so this is cheap even for remote files.
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @returns {Promise<Object>} streaming report.
+ */
+async function getStreamingReport(file) {
+  const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+  const atoms = await consumeAtomHeaders(source, 0, source.size);
+
+  // Fragmented files have 'mvex' in 'moov', even when they have no fragments yet.
+  let hasMovieExtends = false;
+  for (const atom of atoms.filter(atom => atom.type === 'moov')) {
+    const children = await consumeAtomHeaders(source, atom.offset + atom.headerSize, atom.offset + atom.size);
+    hasMovieExtends = hasMovieExtends || children.some(child => child.type === 'mvex');
+  }
+
+  const report = getStreamingReportFromAtoms(atoms, hasMovieExtends);
+  report.size = source.size;
+  return report;
+}
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', so it can play while it downloads,
+ * and returns it as a Blob. If the file is a Blob, the media data is sliced
+ * from it rather than read into memory.
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @arg {Array} [atoms] - the file's atoms from `consumeAtoms`, if already parsed.
+ * @returns {Promise<Blob>} rewritten file.
+ */
+async function createFastStartBlob(file, atoms) {
+  const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+  atoms = atoms || await readAtoms(source, 0, source.size);
+  const parts = await getFastStartParts(source, atoms);
+  return partsToBlob(source, parts, file);
+}
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', so it can play while it downloads,
+ * and returns it as a stream. The media data is read as the stream is.
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @arg {Array} [atoms] - the file's atoms from `consumeAtoms`, if already parsed.
+ * @returns {Promise<ReadableStream>} rewritten file.
+ */
+async function createFastStartStream(file, atoms) {
+  const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+  atoms = atoms || await readAtoms(source, 0, source.size);
+  const parts = await getFastStartParts(source, atoms);
+  return partsToStream(source, parts);
+}
+
+/**
+ * Changes a file's metadata tags, and returns it as a Blob.
+ *
+ * `changes` has new values by tag name, as returned by `getTags`, or by
+ * key, such as '©xyz' or 'com.apple.quicktime.make'. A value of null
+ * removes the tag, and an array writes more than one value. Chunk
+ * offsets are updated if the media data moves.
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @arg {Object} changes - tag values, or null to remove a tag.
+ * @arg {Array} [atoms] - the file's atoms from `consumeAtoms`, if already parsed.
+ * @returns {Promise<Blob>} rewritten file.
+ */
+async function writeMetadata(file, changes, atoms) {
+  const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+  atoms = atoms || await readAtoms(source, 0, source.size);
+  const parts = await getMetadataParts(source, atoms, changes);
+  return partsToBlob(source, parts, file);
+}
+
+/**
+ * Checks a file for problems, carrying on past any that it can, so that
+ * every problem is reported rather than just the first.
+ *
+ * Checks that atoms fit in their parent and the file, that required atoms
+ * are there, that sample tables agree on the number of samples, and that
+ * chunks are inside 'mdat'. The file is valid if no diagnostic has a
+ * severity of 'error'.
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @returns {Promise<Array>} diagnostics, as {severity, code, path, offset, message}.
+ */
+async function validate(file) {
+  const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+  const diagnostics = [];
+  const errors = [];
+  const atoms = await readAtoms(source, 0, source.size, {
+    tolerant: true,
+    parseSampleTables: true,
+    onError: error => errors.push(error)
+  });
+  checkAtoms(atoms, errors, diagnostics);
+  checkRequiredAtoms(atoms, diagnostics);
+
+  // Sample tables are only checked for tracks that were read without errors.
+  const mdats = atoms.filter(atom => atom.type === 'mdat');
+  const traks = [];
+  atoms.filter(atom => atom.type === 'moov').forEach(moov => traks.push(...moov.findAll('trak')));
+  for (const trak of traks) {
+    const hasErrors = diagnostics.some(({ severity, atom }) => {
+      return severity === 'error' && atom && (atom === trak || atom.path.startsWith(`${trak.path}/`));
+    });
+    const stbl = trak.find('mdia/minf/stbl');
+    if (hasErrors || trak.truncated || !stbl) {
+      continue;
+    }
+    const table = getSampleTable(stbl);
+    if (table.sampleCount !== undefined) {
+      checkSampleTable(stbl, table, mdats, diagnostics);
+    }
+  }
+
+  return toDiagnostics(diagnostics);
+}
+
+/**
+ * Reads chapters from a QuickTime chapter track.
+ *
+ * The chapter track is the one referenced by another track's 'tref/chap'.
+ * Its sample tables are read even if the others weren't, and the
+ * titles are read from its samples in 'mdat'.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Array} atoms - top-level atoms.
+ * @arg {Object} [options] - parse options.
+ * @returns {Promise<Array>} chapters, as {title, start, end} in seconds.
+ */
+async function readChapterTrack(source, atoms, options) {
+
+  const traks = [];
+  let chapterTrackId;
+  forAtoms(atoms, 'moov', atom => {
+    forAtoms(atom.atoms, 'trak', trak => {
+      traks.push(trak);
+      forAtoms(trak.atoms, 'tref', atom => {
+        forAtomData(atom.atoms, 'chap', data => {
+          if (chapterTrackId === undefined && data.trackIds && data.trackIds.length > 0) {
+            chapterTrackId = data.trackIds[0];
+          }
         });
+      });
+    });
+  });
 
-        if (width) {
-          result.width = width;
-        }
-        if (height) {
-          result.height = height;
-        }
-        if (resolution) {
-          result.resolution = resolution;
-        }
-        if (sampleCount && timeScale && duration) {
-          result.frameRate = (sampleCount * timeScale) / duration;
-        }
-      
+  const trak = chapterTrackId !== undefined
+    && traks.find(trak => (trak.atoms || []).some(atom => atom.type === 'tkhd' && atom.data && atom.data.trackId === chapterTrackId));
+  if (!trak) {
+    return [];
+  }
+
+  let timeScale;
+  let stbl;
+  forAtoms(trak.atoms, 'mdia', atom => {
+    forAtomData(atom.atoms, 'mdhd', data => {
+      timeScale = data.timeScale;
+    });
+    forAtoms(atom.atoms, 'minf', atom => {
+      forAtoms(atom.atoms, 'stbl', atom => {
+        stbl = atom;
       });
     });
+  });
+  if (!stbl || !timeScale) {
+    return [];
+  }
 
+  const stblStart = stbl.offset + stbl.headerSize;
+  const stblEnd = stbl.offset + stbl.size;
+  const sampleTable = getSampleTable({
+    atoms: await readAtoms(source, stblStart, stblEnd, Object.assign({}, options, { parseSampleTables: true }))
   });
+  if (!sampleTable) {
+    return [];
+  }
+
+  return readTextChapters(source, getSampleIndex({ sampleTable }), timeScale);
+}
+
+/**
+ * Gets metadata for a given video file (mp4 or mov).
+ *
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @arg {Object} [options] - parse options.
+ * @returns {Promise<Object>} video properties.
+ */
+async function readMp4Info(file, options = {}) {
+  throwIfAborted(options.signal);
+  const source = isHttpUrl(file) ? await createHttpSource(file, { signal: options.signal }) : toSource(file);
+  const atoms = await readAtoms(source, 0, source.size, Object.assign({}, options));
+
+  const result = getMp4InfoFromAtoms(atoms);
+
+  // Chapter tracks take precedence over Nero chapters, as they're what QuickTime shows.
+  const chapters = await readChapterTrack(source, atoms, options);
+  if (chapters.length > 0) {
+    result.chapters = chapters;
+  }
+  throwIfAborted(options.signal);
+
+  result.atoms = atoms;
 
   return result;
 }
@@ -468,56 +1296,293 @@ function getMp4InfoFromAtoms(atoms) {
 /**
  * Gets metadata for a given video file (mp4 or mov).
  *
- * NOTE: If 'file' is not a Blob, this function can be used synchronously.
+ * Returns a Promise, unless the optional node-style callback
+ * is provided, in which case the result is passed to it instead.
  *
- * @args {Blob|ArrayBuffer|Array} file - video file data.
- * @returns {Object} video properties in callback.
+ * @arg {String|URL|Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, byte source or video file data.
+ * @arg {Object} [options] - parse options.
+ * @arg {Boolean} [options.parseSampleTables] - read the full sample tables of each track.
+ * @arg {AbortSignal} [options.signal] - stops parsing, rejecting with the abort reason.
+ * @arg {Function} [callback] - called with (err, result).
+ * @returns {Promise<Object>|undefined} video properties.
  */
-function getMp4Info(file, callback) {
-  callback = callback || function (err, res) {
-    if (err) {
-      throw err;
-    } else {
-      return res;
-    }
-  };
-  if (typeof callback !== 'function') {
-    throw new Error('Callback must be a function');
+function getMp4Info(file, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
   }
+  return asCallback(() => readMp4Info(file, options), callback);
+}
 
-  if (!file) {
-    return callback(new Error('File is required'));
-  }
+// Top-level atoms that get their own event, as well as 'atom'.
+const PARSER_EVENT_TYPES = ['ftyp', 'moov', 'moof'];
 
-  var size = 0;
+/**
+ * Creates a parser for a file that arrives in chunks, such as from a
+ * `fetch` body, `Blob.stream()` or an upload, so the whole file never
+ * needs to be in memory.
+ *
+ * Top-level atoms are parsed as each completes, and the media data in
+ * 'mdat' is skipped as it goes past. Events are:
+ *
+ * - 'atom': each top-level atom, once it's complete.
+ * - 'ftyp', 'moov' and 'moof': the same, for those atoms.
+ * - 'info': video properties, as soon as 'moov' has been read.
+ * - 'end': video properties for the whole file, once it's ended.
+ * - 'error': the error that stopped parsing.
+ *
+ * `push` and `end` return Promises, which should be waited for before
+ * pushing more. Chapter tracks aren't read, as their titles are in 'mdat'.
+ *
+ * @arg {Object} [options] - parse options.
+ * @returns {Object} parser, with `push(chunk)`, `end()`, `on(event, listener)`,
+ *   `off(event, listener)`, `consume(stream)`, and `info`, a Promise of the
+ *   video properties.
+ */
+function createMp4Parser(options) {
+  const context = Object.assign({}, options);
+  const atoms = [];
+  const listeners = {};
+  const completed = [];
+  let failure;
+  let queue = Promise.resolve();
+  let hasInfo = false;
+  let isStopped = false;
+  let resolveInfo;
+  let rejectInfo;
+
+  const info = new Promise((resolve, reject) => {
+    resolveInfo = resolve;
+    rejectInfo = reject;
+  });
+  // Errors are also passed to `push` and `end`, so this needn't be waited for.
+  info.catch(() => {});
+
+  const emit = (event, value) => {
+    (listeners[event] || []).slice().forEach(listener => listener(value));
+  };
+
+  const getInfo = () => {
+    const result = getMp4InfoFromAtoms(atoms);
+    result.atoms = atoms.slice();
+    return result;
+  };
 
-  if (file instanceof Blob) {
-    size = file.size;
-  } else if (file instanceof ArrayBuffer) {
-    size = file.byteLength;
-  } else if (ArrayBuffer.isView(file)) {
-    if (file instanceof Uint8Array) {
-      size = file.length;
+  // Atoms that aren't read, such as 'mdat', only need their header.
+  const splitter = createAtomSplitter({
+    shouldKeep: type => type === 'uuid' || Boolean(getBox(type)),
+    onAtom: (atom, bytes) => completed.push([atom, bytes]),
+  });
+
+  // Atoms are read from their own bytes, but keep their file offsets.
+  const parseAtom = async (atom, bytes, received) => {
+    if (bytes) {
+      const source = {
+        size: atom.offset + bytes.length,
+        async read(start, end) {
+          return bytes.subarray(start - atom.offset, end - atom.offset);
+        }
+      };
+      atom = (await readAtoms(source, atom.offset, source.size, context))[0];
     } else {
-      file = new Uint8Array(file);
-      size = file.length;
+      atom = new Atom(atom);
+      if (received < atom.size) {
+        atom.truncated = true;
+        atom.availableBytes = received;
+      }
     }
-  } else if (Array.isArray(file)) {
-    size = file.length;
-  } else {
-    return callback(new Error('"file" must be one of: Blob, ArrayBuffer, Array'));
-  }
 
-  return consumeAtoms(file, 0, size, function (err, atoms) {
+    atoms.push(atom);
+    linkAtoms(atoms, null);
+    emit('atom', atom);
+    if (PARSER_EVENT_TYPES.includes(atom.type)) {
+      emit(atom.type, atom);
+    }
+    if (atom.type === 'moov' && !hasInfo) {
+      hasInfo = true;
+      const result = getInfo();
+      emit('info', result);
+      resolveInfo(result);
+    }
+  };
 
-    if (err) {
-      return callback(err);
+  const parseCompleted = async () => {
+    while (completed.length > 0) {
+      const [atom, bytes] = completed.shift();
+      await parseAtom(atom, bytes, atom.size);
     }
+  };
 
-    var result = getMp4InfoFromAtoms(atoms);
-    result.atoms = atoms;
+  // Steps run one at a time, in order, and none run after one fails.
+  const run = step => {
+    const result = queue.then(() => {
+      if (failure) {
+        throw failure;
+      }
+      return step();
+    });
+    queue = result.catch(err => {
+      if (!failure) {
+        failure = err;
+        rejectInfo(err);
+        emit('error', err);
+      }
+    });
+    return result;
+  };
 
-    return callback(null, result);
+  const parser = {
+    info,
+
+    /**
+     * Reads a chunk of the file.
+     *
+     * @arg {Uint8Array|ArrayBuffer|ArrayBufferView} chunk.
+     * @returns {Promise} resolves once the chunk is read.
+     */
+    push(chunk) {
+      return run(() => {
+        if (isStopped) {
+          return undefined;
+        }
 
-  });
+        // In tolerant mode, an atom with an invalid header ends the file, as in `consumeAtoms`.
+        try {
+          splitter.push(chunk);
+        } catch (err) {
+          if (!context.tolerant) {
+            throw err;
+          }
+          isStopped = true;
+        }
+        return parseCompleted();
+      });
+    },
+
+    /**
+     * Ends the file. If it ends part way through an atom, that's an
+     * error, unless the `tolerant` option is set, in which case the
+     * atom is marked `truncated`.
+     *
+     * @returns {Promise<Object>} video properties for the whole file.
+     */
+    end() {
+      return run(async () => {
+        const { atom, bytes, received, header } = isStopped ? { header: new Uint8Array(0) } : splitter.end();
+        await parseCompleted();
+
+        // Anything left that isn't a QuickTime terminator is an atom cut short.
+        const isTerminator = header.length <= 8 && header.every(byte => byte === 0);
+        if ((atom || !isTerminator) && !context.tolerant) {
+          throw new Error('Invalid Atom Size');
+        }
+        if (atom) {
+          await parseAtom(atom, bytes, received);
+        }
+
+        const result = getInfo();
+        if (!hasInfo) {
+          hasInfo = true;
+          resolveInfo(result);
+        }
+        emit('end', result);
+        return result;
+      });
+    },
+
+    /**
+     * Adds an event listener.
+     *
+     * @arg {String} event - event name.
+     * @arg {Function} listener - called with the event's value.
+     * @returns {Object} the parser.
+     */
+    on(event, listener) {
+      listeners[event] = (listeners[event] || []).concat(listener);
+      return parser;
+    },
+
+    /**
+     * Removes an event listener.
+     *
+     * @arg {String} event - event name.
+     * @arg {Function} listener - listener to remove.
+     * @returns {Object} the parser.
+     */
+    off(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(other => other !== listener);
+      return parser;
+    },
+
+    /**
+     * Reads a whole stream into the parser, and ends it.
+     *
+     * @arg {ReadableStream|AsyncIterable} stream - web stream, or Node.js readable stream.
+     * @returns {Promise<Object>} video properties for the whole file.
+     */
+    async consume(stream) {
+      if (typeof stream.getReader === 'function') {
+        const reader = stream.getReader();
+        try {
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+              break;
+            }
+            await parser.push(value);
+          }
+        } finally {
+          reader.releaseLock();
+        }
+      } else {
+        for await (const chunk of stream) {
+          await parser.push(chunk);
+        }
+      }
+      return parser.end();
+    },
+  };
+
+  return parser;
 }
+
+export {
+  createBufferSource,
+  createBlobSource,
+} from './sources.js';
+
+export {
+  createHttpSource,
+} from './http.js';
+
+export {
+  getSampleIndex,
+} from './samples.js';
+
+export {
+  sniff,
+} from './brands.js';
+
+export {
+  registerBox,
+  readFields,
+} from './registry.js';
+
+export {
+  findAtom,
+  findAllAtoms,
+  walkAtoms,
+} from './atoms.js';
+
+export {
+  getMp4Info,
+  getMp4InfoFromAtoms,
+  createMp4Parser,
+  createFastStartBlob,
+  createFastStartStream,
+  getStreamingReport,
+  writeMetadata,
+  validate,
+  consumeAtoms,
+  consumeAtomHeader,
+};
@@ -0,0 +1,487 @@
+/*
+  mp4-info - metadata.js
+
+  Writing metadata tags, in the three places `getTags` reads them from.
+
+  A changed tag is written where the file already stores it, and
+  removed from anywhere else, so readers don't see a stale copy. New
+  tags go in QuickTime metadata if the file has it and the tag has a
+  QuickTime key, or in the iTunes-style item list otherwise, which is
+  created if need be. Items that aren't changed are copied as they are.
+*/
+
+import { TAG_NAMES, sniffImageType } from './tags.js';
+import { getRewriteParts } from './faststart.js';
+
+// Well-known types of 'data' atom values.
+const BINARY = 0;
+const UTF8 = 1;
+const FLOAT64 = 24;
+const INTEGER = 21;
+const IMAGE_TYPES = {
+  'image/jpeg': 13,
+  'image/png': 14,
+  'image/bmp': 27,
+};
+
+// Language code of user data text with no language ('und').
+const UNDETERMINED_LANGUAGE = 0x55c4;
+
+/**
+ * Gets the child of an atom with the given type.
+ */
+function findAtom(atom, type) {
+  return atom && (atom.atoms || []).find(child => child.type === type);
+}
+
+/**
+ * Converts an atom to write that has data, such as an empty 'udta', into
+ * one with children, so atoms can be added to it. The data is kept as is.
+ */
+function toContainer(atom) {
+  if (!atom.children) {
+    atom.children = atom.data && atom.data.length > 0 ? [{ raw: atom.data }] : [];
+    delete atom.data;
+  }
+}
+
+/**
+ * Gets the keys a tag name can be stored under: the name itself,
+ * and any well-known keys normalised to it.
+ *
+ * @arg {String} name - tag name or key.
+ * @returns {Array} keys.
+ */
+function getTagKeys(name) {
+  return [name, ...Object.keys(TAG_NAMES).filter(key => TAG_NAMES[key] === name)];
+}
+
+/**
+ * Checks whether a stored key belongs to a tag being removed or replaced.
+ * Removing `location` also removes its accuracy and other details, and
+ * 3GPP location atoms ('loci').
+ *
+ * @arg {String} name - tag name or key.
+ * @arg {String|Number} key - stored key.
+ * @returns {Boolean} true if the key belongs to the tag.
+ */
+function isTagKey(name, key) {
+  if (name === 'location' && typeof key === 'string') {
+    if (key === 'loci' || key.startsWith('com.apple.quicktime.location.')) {
+      return true;
+    }
+  }
+  return getTagKeys(name).includes(key);
+}
+
+/**
+ * Encodes an integer as 1, 2, 4 or 8 bytes.
+ */
+function encodeInteger(value, length) {
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  if (length === 8) {
+    view.setBigInt64(0, BigInt(value));
+  } else if (length === 4) {
+    view.setInt32(0, value);
+  } else if (length === 2) {
+    view.setInt16(0, value);
+  } else {
+    view.setInt8(0, value);
+  }
+  return bytes;
+}
+
+/**
+ * Formats a location as ISO 6709, e.g. '+37.7858-122.4064+012.345/'.
+ *
+ * @arg {Object} location - {latitude, longitude, altitude}.
+ * @returns {String} ISO 6709 string.
+ */
+function formatLocation(location) {
+  const format = (value, digits, decimals) => {
+    const sign = value < 0 ? '-' : '+';
+    return sign + Math.abs(value).toFixed(decimals).padStart(digits + decimals + 1, '0');
+  };
+  let value = format(location.latitude, 2, 4) + format(location.longitude, 3, 4);
+  if (typeof location.altitude === 'number') {
+    value += format(location.altitude, 3, 3);
+  }
+  return value + '/';
+}
+
+/**
+ * Encodes a tag value for a 'data' atom, as the reverse of `getTags`.
+ *
+ * @arg {String} name - tag name or key.
+ * @arg {*} value - tag value.
+ * @returns {Object} value as {type, bytes}.
+ */
+function encodeValue(name, value) {
+  const text = string => ({ type: UTF8, bytes: new TextEncoder().encode(string) });
+
+  switch (name) {
+    case 'coverArt': {
+      const bytes = value instanceof Uint8Array ? value : value.bytes;
+      const mime = value.mime || sniffImageType(bytes);
+      return { type: IMAGE_TYPES[mime] || BINARY, bytes };
+    }
+    case 'location':
+      if (typeof value === 'object' && typeof value.latitude === 'number') {
+        return text(formatLocation(value));
+      }
+      return text(typeof value === 'object' ? value.iso6709 : String(value));
+    case 'trackNumber':
+    case 'discNumber':
+      // Binary: 2 reserved bytes, the number and the total, and for
+      // track numbers, 2 more reserved bytes.
+      if (typeof value === 'object' && !(value instanceof Uint8Array)) {
+        const bytes = new Uint8Array(name === 'trackNumber' ? 8 : 6);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(2, value.number || 0);
+        view.setUint16(4, value.total || 0);
+        return { type: BINARY, bytes };
+      }
+      break;
+    case 'tempo':
+      return { type: INTEGER, bytes: encodeInteger(value, 2) };
+    case 'compilation':
+      return { type: INTEGER, bytes: encodeInteger(value ? 1 : 0, 1) };
+  }
+
+  if (value instanceof Uint8Array) {
+    return { type: BINARY, bytes: value };
+  }
+  if (value instanceof Date) {
+    return text(value.toISOString());
+  }
+  if (typeof value === 'boolean') {
+    return { type: INTEGER, bytes: encodeInteger(value ? 1 : 0, 1) };
+  }
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) {
+      const bytes = new Uint8Array(8);
+      new DataView(bytes.buffer).setFloat64(0, value);
+      return { type: FLOAT64, bytes };
+    }
+    return { type: INTEGER, bytes: encodeInteger(value, Math.abs(value) < 2 ** 31 ? 4 : 8) };
+  }
+  return text(String(value));
+}
+
+/**
+ * Creates a 'data' atom to write.
+ */
+function createDataAtom({ type, bytes }) {
+  // Type indicator: 1 byte of type set, and 3 bytes of type, then a 4 byte locale.
+  const data = new Uint8Array(8 + bytes.length);
+  new DataView(data.buffer).setUint32(0, type);
+  data.set(bytes, 8);
+  return { type: 'data', data };
+}
+
+/**
+ * Creates a 'mean' or 'name' atom to write, for freeform items.
+ */
+function createFreeformAtom(type, value) {
+  const text = new TextEncoder().encode(value);
+  const data = new Uint8Array(4 + text.length);
+  data.set(text, 4);
+  return { type, data };
+}
+
+/**
+ * Gets the atom type of an item list key, writing indexes as 4 bytes.
+ */
+function toItemType(key) {
+  if (typeof key === 'number') {
+    return String.fromCharCode(key >>> 24, (key >>> 16) & 0xff, (key >>> 8) & 0xff, key & 0xff);
+  }
+  return key.startsWith('----:') ? '----' : key;
+}
+
+/**
+ * Creates an item list entry to write.
+ *
+ * @arg {Object} entry - {key, values} or, for unchanged items, {item}.
+ * @arg {String|Number} type - item key, or index into 'keys'.
+ * @arg {Uint8Array} bytes - file bytes covering 'moov'.
+ * @arg {Number} offset - file position of `bytes`.
+ * @returns {Object} atom to write.
+ */
+function createItemAtom(entry, type, bytes, offset) {
+  if (entry.item) {
+    const start = entry.item.offset - offset;
+    return { type: toItemType(type), data: bytes.subarray(start + 8, start + entry.item.size) };
+  }
+  const children = [];
+  if (typeof entry.key === 'string' && entry.key.startsWith('----:')) {
+    const [, mean, ...name] = entry.key.split(':');
+    children.push(createFreeformAtom('mean', mean), createFreeformAtom('name', name.join(':')));
+  }
+  children.push(...entry.values.map(createDataAtom));
+  return { type: toItemType(type), children };
+}
+
+/**
+ * Creates a 'hdlr' atom to write, for a metadata handler.
+ */
+function createHandlerAtom(handlerType) {
+  // Version and flags, pre-defined, handler type, 12 reserved bytes and an empty name.
+  const data = new Uint8Array(25);
+  for (let i = 0; i < 4; i++) {
+    data[8 + i] = handlerType.charCodeAt(i);
+  }
+  return { type: 'hdlr', data };
+}
+
+/**
+ * Creates a 'keys' atom to write.
+ */
+function createKeysAtom(keys) {
+  const encoded = keys.map(key => new TextEncoder().encode(key));
+  const data = new Uint8Array(8 + encoded.reduce((total, key) => total + 8 + key.length, 0));
+  const view = new DataView(data.buffer);
+  view.setUint32(4, keys.length);
+  let n = 8;
+  for (const key of encoded) {
+    view.setUint32(n, 8 + key.length);
+    data.set([0x6d, 0x64, 0x74, 0x61], n + 4);  // 'mdta'
+    data.set(key, n + 8);
+    n += 8 + key.length;
+  }
+  return { type: 'keys', data };
+}
+
+/**
+ * Creates a user data text atom to write, such as '©nam' in 'udta'.
+ * Text values are written as QuickTime text entries if the atom used
+ * them already, or is new; others are written as 'data' atoms.
+ *
+ * @arg {Object} entry - {key, values, atom}.
+ * @returns {Object} atom to write.
+ */
+function createUserDataAtom(entry) {
+  const existing = entry.atom.data && entry.atom.data.values[0];
+  const isText = entry.values.every(value => value.type === UTF8) && (!existing || 'language' in existing);
+  if (!isText) {
+    return { type: entry.key, children: entry.values.map(createDataAtom) };
+  }
+
+  const data = new Uint8Array(entry.values.reduce((total, value) => total + 4 + value.bytes.length, 0));
+  const view = new DataView(data.buffer);
+  let n = 0;
+  for (const value of entry.values) {
+    view.setUint16(n, value.bytes.length);
+    view.setUint16(n + 2, entry.language || UNDETERMINED_LANGUAGE);
+    data.set(value.bytes, n + 4);
+    n += 4 + value.bytes.length;
+  }
+  return { type: entry.key, data };
+}
+
+/**
+ * Gets the language code of a user data text atom, as stored.
+ */
+function readLanguage(atom, bytes, offset) {
+  const start = atom.offset - offset + atom.headerSize;
+  if (atom.size - atom.headerSize < 4 || !('language' in (atom.data.values[0] || {}))) {
+    return undefined;
+  }
+  return (bytes[start + 2] << 8) | bytes[start + 3];
+}
+
+/**
+ * Gets the tags stored in 'moov', grouped by where they are stored.
+ *
+ * @arg {Object} moov - parsed 'moov' atom.
+ * @arg {Uint8Array} bytes - file bytes covering 'moov'.
+ * @returns {Object} stores, each with a list of {key, item} or {key, atom} entries.
+ */
+function getStores(moov, bytes) {
+  const udta = findAtom(moov, 'udta');
+
+  // QuickTime metadata, keyed by 'keys'.
+  let quickTime;
+  const qtMeta = (moov.atoms || []).find(atom => atom.type === 'meta' && findAtom(atom, 'keys'));
+  if (qtMeta) {
+    const keys = findAtom(qtMeta, 'keys').data.keys;
+    const ilst = findAtom(qtMeta, 'ilst');
+    quickTime = {
+      meta: qtMeta,
+      keys: findAtom(qtMeta, 'keys'),
+      ilst,
+      entries: (ilst ? ilst.data.items : [])
+        .filter(item => keys[item.key - 1])
+        .map(item => ({ key: keys[item.key - 1].key, item })),
+    };
+  }
+
+  // iTunes-style item list.
+  const meta = findAtom(udta, 'meta');
+  const ilst = findAtom(meta, 'ilst');
+  const iTunes = {
+    ilst,
+    entries: ilst ? ilst.data.items.map(item => ({ key: item.key, item })) : [],
+  };
+
+  // User data text and location atoms.
+  const userData = {
+    entries: (udta ? udta.atoms || [] : [])
+      .filter(atom => (atom.type[0] === '©' && atom.data) || atom.type === 'loci')
+      .map(atom => ({ key: atom.type, atom, language: atom.data && readLanguage(atom, bytes, moov.offset) })),
+  };
+
+  return { quickTime, iTunes, userData };
+}
+
+/**
+ * Applies tag changes to the stores from `getStores`.
+ *
+ * @arg {Object} stores - from `getStores`.
+ * @arg {Object} changes - new tag values by name or key, or null to remove a tag.
+ */
+function applyChanges(stores, changes) {
+  const { quickTime, iTunes, userData } = stores;
+
+  for (const name of Object.keys(changes)) {
+    const value = changes[name];
+    if (value === undefined) {
+      continue;
+    }
+    const keys = getTagKeys(name);
+    const values = value === null ? null : [].concat(value).map(value => encodeValue(name, value));
+
+    // Replace the tag where it's already stored, and remove it everywhere else.
+    let isStored = false;
+    for (const store of [stores.quickTime, iTunes, userData]) {
+      if (!store) {
+        continue;
+      }
+      const index = store.entries.findIndex(entry => keys.includes(entry.key));
+      const existing = store.entries[index];
+      store.entries = store.entries.filter(entry => !isTagKey(name, entry.key));
+      if (values && !isStored && existing) {
+        store.entries.splice(Math.min(index, store.entries.length), 0, Object.assign({}, existing, { values, item: undefined }));
+        isStored = true;
+      }
+    }
+    if (!values || isStored) {
+      continue;
+    }
+
+    const itemKey = keys.find(key => key.length === 4 || key.startsWith('----:'));
+    const quickTimeKey = keys.find(key => key.includes('.') && !key.startsWith('----:'));
+    if (quickTime && quickTimeKey) {
+      quickTime.entries.push({ key: quickTimeKey, values });
+    } else if (itemKey) {
+      iTunes.entries.push({ key: itemKey, values });
+    } else if (quickTimeKey) {
+
+      // Files without QuickTime metadata get it for the first QuickTime-only tag,
+      // and the tags after it are added to the same keys.
+      if (!stores.quickTime) {
+        stores.quickTime = { entries: [] };
+      }
+      stores.quickTime.entries.push({ key: quickTimeKey, values });
+    } else {
+      throw new Error(`Unknown tag "${name}"`);
+    }
+  }
+}
+
+/**
+ * Works out the parts of a file with its metadata tags changed.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Array} atoms - top-level atoms, from `consumeAtoms`.
+ * @arg {Object} changes - new tag values by name or key, or null to remove a tag.
+ * @returns {Promise<Array>} parts, as {bytes} or {offset, size}.
+ */
+async function getMetadataParts(source, atoms, changes) {
+  const moov = atoms.find(atom => atom.type === 'moov');
+  if (!moov) {
+    throw new Error('File has no "moov" atom');
+  }
+  const bytes = await source.read(moov.offset, moov.offset + moov.size);
+  const stores = getStores(moov, bytes);
+  const userDataAtoms = new Set(stores.userData.entries.map(entry => entry.atom));
+  applyChanges(stores, changes);
+  const { quickTime, iTunes, userData } = stores;
+
+  // QuickTime items are renumbered, as removing keys moves the others.
+  const createItemList = (entries, useIndexes) => ({
+    type: 'ilst',
+    children: entries.map((entry, i) => createItemAtom(entry, useIndexes ? i + 1 : entry.key, bytes, moov.offset)),
+  });
+  const createKeys = () => createKeysAtom(quickTime.entries.map(entry => entry.key));
+
+  const replace = atom => {
+    if (quickTime && quickTime.meta && atom === quickTime.keys) {
+      return createKeys();
+    }
+    if (quickTime && quickTime.meta && atom === quickTime.ilst) {
+      return createItemList(quickTime.entries, true);
+    }
+    if (iTunes.ilst && atom === iTunes.ilst) {
+      return createItemList(iTunes.entries, false);
+    }
+    if (userDataAtoms.has(atom)) {
+      const entry = userData.entries.find(entry => entry.atom === atom);
+      if (!entry) {
+        return null;
+      }
+      return entry.values ? createUserDataAtom(entry) : undefined;
+    }
+    return undefined;
+  };
+
+  // Add any item lists that the file didn't have.
+  const edit = node => {
+    if (quickTime && !quickTime.meta && quickTime.entries.length > 0) {
+      node.children.push({
+        type: 'meta',
+        children: [
+          createHandlerAtom('mdta'),
+          createKeys(),
+          createItemList(quickTime.entries, true),
+        ],
+      });
+    }
+    if (!iTunes.ilst && iTunes.entries.length > 0) {
+      const ilst = createItemList(iTunes.entries, false);
+
+      // The item list goes in any 'udta' and 'meta' the file already has.
+      let udta = node.children.find(child => child.type === 'udta');
+      if (!udta) {
+        udta = { type: 'udta', children: [] };
+        node.children.push(udta);
+      }
+      toContainer(udta);
+      const meta = udta.children.find(child => child.type === 'meta');
+      if (meta) {
+        toContainer(meta);
+        if (meta.children.length === 0) {
+          meta.children.push({ raw: new Uint8Array(4) });
+        }
+        if (!meta.children.some(child => child.type === 'hdlr')) {
+          const index = meta.children.findIndex(child => child.type);
+          meta.children.splice(index === -1 ? meta.children.length : index, 0, createHandlerAtom('mdir'));
+        }
+        meta.children.push(ilst);
+      } else {
+        udta.children.push({
+          type: 'meta',
+          children: [{ raw: new Uint8Array(4) }, createHandlerAtom('mdir'), ilst],
+        });
+      }
+    }
+    return node;
+  };
+
+  return getRewriteParts(source, atoms, { replace, edit });
+}
+
+export {
+  getMetadataParts,
+};
@@ -0,0 +1,46 @@
+/*
+  mp4-info - node-worker.js
+
+  Node.js version of worker.js, using `worker_threads`. It's what
+  `mp4-info/worker` is in Node.js, and adds file paths to the files
+  that can be parsed, as node.js does.
+*/
+
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { getMp4Info } from './node.js';
+import { createMessageHandler, parseInWorker } from './workers.js';
+
+/**
+ * Starts a `worker_threads` Worker running this script.
+ *
+ * @returns {Worker} worker.
+ */
+function createWorker() {
+  return new Worker(new URL(import.meta.url), { workerData: { isMp4InfoWorker: true } });
+}
+
+/**
+ * Gets metadata for a given video file (mp4 or mov), parsing it in a worker.
+ *
+ * A worker is started for each file, and stopped once it's done, unless
+ * `options.worker` is given.
+ *
+ * @arg {String|URL|Blob|ArrayBuffer|ArrayBufferView|Array} file - path, http(s) URL, or video file data.
+ * @arg {Object} [options] - parse options, as for `getMp4Info`.
+ * @arg {AbortSignal} [options.signal] - stops parsing, rejecting with the abort reason.
+ * @arg {Worker} [options.worker] - worker running this script, to use rather than starting one.
+ *   It must be started with `workerData: { isMp4InfoWorker: true }`.
+ * @returns {Promise<Object>} video properties.
+ */
+function getMp4InfoInWorker(file, options) {
+  return parseInWorker(createWorker, file, options);
+}
+
+// In a worker started by `getMp4InfoInWorker`, wait for files to parse.
+if (!isMainThread && workerData && workerData.isMp4InfoWorker) {
+  parentPort.on('message', createMessageHandler(getMp4Info, message => parentPort.postMessage(message)));
+}
+
+export {
+  getMp4InfoInWorker,
+};
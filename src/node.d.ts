@@ -0,0 +1,60 @@
+/*
+  mp4-info - node.d.ts
+*/
+
+import type { FileHandle } from 'node:fs/promises';
+import type { Atom, ByteSource, Diagnostic, MetadataChanges, Mp4Info, Mp4InfoCallback, Mp4Input, ParseOptions, SniffResult, StreamingReport } from './index.js';
+
+export * from './index.js';
+
+/** A byte source backed by a file on disk. */
+export interface FileSource extends ByteSource {
+  /** Closes the file, if it was opened from a path. */
+  close(): Promise<void>;
+}
+
+/** Data accepted by the Node.js `getMp4Info`. */
+export type NodeMp4Input = string | URL | FileHandle | Mp4Input;
+
+/**
+ * Creates a byte source that reads ranges of a file from disk.
+ */
+export function createFileSource(file: string | URL | FileHandle): Promise<FileSource>;
+
+/**
+ * Gets metadata for a given video file (mp4 or mov).
+ */
+export function getMp4Info(file: NodeMp4Input, options?: ParseOptions): Promise<Mp4Info>;
+export function getMp4Info(file: NodeMp4Input, callback: Mp4InfoCallback): void;
+export function getMp4Info(file: NodeMp4Input, options: ParseOptions | undefined, callback: Mp4InfoCallback): void;
+
+/**
+ * Checks whether a file is an mp4 or QuickTime file, reading only its first few KB.
+ */
+export function sniff(file: NodeMp4Input): Promise<SniffResult | null>;
+
+/**
+ * Gets a report on whether a file can play while it downloads.
+ */
+export function getStreamingReport(file: NodeMp4Input): Promise<StreamingReport>;
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', as a Blob held in memory.
+ */
+export function createFastStartBlob(file: NodeMp4Input, atoms?: Atom[]): Promise<Blob>;
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', as a stream.
+ * Files opened from a path are closed when the stream ends.
+ */
+export function createFastStartStream(file: NodeMp4Input, atoms?: Atom[]): Promise<ReadableStream<Uint8Array>>;
+
+/**
+ * Changes a file's metadata tags, as a Buffer held in memory.
+ */
+export function writeMetadata(file: NodeMp4Input, changes: MetadataChanges, atoms?: Atom[]): Promise<Buffer>;
+
+/**
+ * Checks a file for problems, carrying on past any that it can.
+ */
+export function validate(file: NodeMp4Input): Promise<Diagnostic[]>;
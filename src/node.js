@@ -0,0 +1,238 @@
+/*
+  mp4-info - node.js
+
+  Node.js entry point. Adds file paths and file handles to the
+  inputs that `getMp4Info` accepts, reading only the byte ranges
+  the parser asks for.
+*/
+
+import { open } from 'node:fs/promises';
+import {
+  getMp4Info as getMp4InfoFromSource,
+  sniff as sniffSource,
+  getStreamingReport as getStreamingReportFromSource,
+  createFastStartBlob as createFastStartBlobFromSource,
+  createFastStartStream as createFastStartStreamFromSource,
+  validate as validateSource,
+  consumeAtoms,
+} from './index.js';
+import { getFastStartParts, partsToBytes, partsToStream } from './faststart.js';
+import { getMetadataParts } from './metadata.js';
+import { toSource } from './sources.js';
+import { isHttpUrl, createHttpSource } from './http.js';
+import { asCallback } from './util.js';
+
+/**
+ * Checks if the value is a `fs.promises.FileHandle`.
+ *
+ * @arg {*} value.
+ * @returns {Boolean} true if value is a file handle.
+ */
+function isFileHandle(value) {
+  return Boolean(value)
+    && typeof value.fd === 'number'
+    && typeof value.read === 'function'
+    && typeof value.stat === 'function';
+}
+
+/**
+ * Checks if the value is a file path.
+ * http(s) URLs are left to the HTTP source.
+ *
+ * @arg {*} value.
+ * @returns {Boolean} true if value is a path string or file URL.
+ */
+function isPath(value) {
+  if (value instanceof URL) {
+    return value.protocol === 'file:';
+  }
+  return typeof value === 'string' && !isHttpUrl(value);
+}
+
+/**
+ * Creates a byte source that reads ranges of a file from disk.
+ *
+ * If given a path, the file is opened and must be closed with
+ * `source.close()`. A given FileHandle is left open for the caller.
+ *
+ * @arg {String|URL|FileHandle} file - path or open file handle.
+ * @returns {Promise<Object>} byte source.
+ */
+async function createFileSource(file) {
+  let handle;
+  let ownsHandle = false;
+
+  if (isFileHandle(file)) {
+    handle = file;
+  } else if (isPath(file)) {
+    handle = await open(file, 'r');
+    ownsHandle = true;
+  } else {
+    throw new Error('"file" must be a path or FileHandle');
+  }
+
+  let size;
+  try {
+    size = (await handle.stat()).size;
+  } catch (err) {
+    if (ownsHandle) {
+      await handle.close();
+    }
+    throw err;
+  }
+
+  return {
+    size,
+    async read(start, end) {
+      end = Math.min(end, size);
+      if (end <= start) {
+        return new Uint8Array(0);
+      }
+      const buff = Buffer.alloc(end - start);
+      const { bytesRead } = await handle.read(buff, 0, buff.length, start);
+      return buff.subarray(0, bytesRead);
+    },
+    async close() {
+      if (ownsHandle) {
+        ownsHandle = false;
+        await handle.close();
+      }
+    }
+  };
+}
+
+/**
+ * Runs `read` with a byte source for the file. Paths and file
+ * handles are read from disk, and anything else is passed through.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @arg {Function} read - called with the source or file.
+ * @returns {Promise<*>} result of `read`.
+ */
+async function withFileSource(file, read) {
+  if (!isPath(file) && !isFileHandle(file)) {
+    return read(file);
+  }
+  const source = await createFileSource(file);
+  try {
+    return await read(source);
+  } finally {
+    await source.close();
+  }
+}
+
+/**
+ * Gets metadata for a given video file (mp4 or mov).
+ *
+ * Returns a Promise, unless the optional node-style callback
+ * is provided, in which case the result is passed to it instead.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or video file data.
+ * @arg {Object} [options] - parse options, as for the browser `getMp4Info`.
+ * @arg {Function} [callback] - called with (err, result).
+ * @returns {Promise<Object>|undefined} video properties.
+ */
+function getMp4Info(file, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  return asCallback(() => withFileSource(file, source => getMp4InfoFromSource(source, options)), callback);
+}
+
+/**
+ * Checks whether a file is an mp4 or QuickTime file, reading only its first few KB.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @returns {Promise<Object|null>} container, mimeType and brands, or null if the file isn't recognised.
+ */
+async function sniff(file) {
+  return withFileSource(file, sniffSource);
+}
+
+/**
+ * Gets a report on whether a file can play while it downloads.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @returns {Promise<Object>} streaming report.
+ */
+async function getStreamingReport(file) {
+  return withFileSource(file, getStreamingReportFromSource);
+}
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', and returns it as a Blob.
+ * The Blob holds the whole file in memory, so prefer
+ * `createFastStartStream` for large files.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @arg {Array} [atoms] - the file's atoms from `consumeAtoms`, if already parsed.
+ * @returns {Promise<Blob>} rewritten file.
+ */
+async function createFastStartBlob(file, atoms) {
+  return withFileSource(file, source => createFastStartBlobFromSource(source, atoms));
+}
+
+/**
+ * Rewrites a file with 'moov' before 'mdat', and returns it as a stream.
+ * Files opened from a path are closed when the stream ends.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @arg {Array} [atoms] - the file's atoms from `consumeAtoms`, if already parsed.
+ * @returns {Promise<ReadableStream>} rewritten file.
+ */
+async function createFastStartStream(file, atoms) {
+  if (!isPath(file) && !isFileHandle(file)) {
+    return createFastStartStreamFromSource(file, atoms);
+  }
+  const source = await createFileSource(file);
+  try {
+    atoms = atoms || await consumeAtoms(source, 0, source.size);
+    const parts = await getFastStartParts(source, atoms);
+    return partsToStream(source, parts, () => source.close());
+  } catch (err) {
+    await source.close();
+    throw err;
+  }
+}
+
+/**
+ * Checks a file for problems, carrying on past any that it can.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @returns {Promise<Array>} diagnostics, as {severity, code, path, offset, message}.
+ */
+async function validate(file) {
+  return withFileSource(file, validateSource);
+}
+
+/**
+ * Changes a file's metadata tags, and returns it as a Buffer.
+ * See the browser `writeMetadata` for the changes that can be made.
+ *
+ * @arg {String|URL|FileHandle|Object|Buffer|ArrayBuffer|Array} file - path, http(s) URL, file handle, byte source or file data.
+ * @arg {Object} changes - tag values, or null to remove a tag.
+ * @arg {Array} [atoms] - the file's atoms from `consumeAtoms`, if already parsed.
+ * @returns {Promise<Buffer>} rewritten file.
+ */
+async function writeMetadata(file, changes, atoms) {
+  return withFileSource(file, async file => {
+    const source = isHttpUrl(file) ? await createHttpSource(file) : toSource(file);
+    atoms = atoms || await consumeAtoms(source, 0, source.size);
+    const bytes = await partsToBytes(source, await getMetadataParts(source, atoms, changes));
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+  });
+}
+
+export * from './index.js';
+
+export {
+  createFileSource,
+  createFastStartBlob,
+  createFastStartStream,
+  getMp4Info,
+  getStreamingReport,
+  sniff,
+  validate,
+  writeMetadata,
+};
@@ -0,0 +1,173 @@
+/*
+  mp4-info - parser.js
+
+  Splitting a file into its top-level atoms as it arrives in chunks,
+  for files that come from a stream rather than something that can be
+  read at any position. Atoms that are wanted are collected until they
+  are complete, and the rest, such as 'mdat', are skipped over as they
+  go past without being kept.
+*/
+
+import { bytesToNumber, bytesToString } from './bytes.js';
+
+/**
+ * Joins arrays of bytes.
+ *
+ * @arg {Array} chunks - Uint8Arrays.
+ * @returns {Uint8Array} joined bytes.
+ */
+function concatBytes(chunks) {
+  if (chunks.length === 1) {
+    return chunks[0];
+  }
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let n = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, n);
+    n += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Converts a chunk from a stream into bytes.
+ *
+ * @arg {Uint8Array|ArrayBuffer|ArrayBufferView} chunk.
+ * @returns {Uint8Array} chunk bytes.
+ */
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) {
+    return chunk;
+  }
+  if (chunk instanceof ArrayBuffer) {
+    return new Uint8Array(chunk);
+  }
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  throw new Error('Chunk must be one of: Uint8Array, ArrayBuffer, ArrayBufferView');
+}
+
+/**
+ * Creates a splitter, which finds the top-level atoms in chunks of a file.
+ *
+ * `onAtom(atom, bytes)` is called as each atom completes, with the atom's
+ * header, as {size, type, offset, headerSize}, and its bytes, including
+ * the header. Atoms `shouldKeep(type)` is false for are skipped, and
+ * their bytes are null.
+ *
+ * An atom with a size of 0 runs to the end of the file, so it
+ * completes when the splitter is ended.
+ *
+ * @arg {Object} options.
+ * @arg {Function} options.shouldKeep - called with each atom type.
+ * @arg {Function} options.onAtom - called with each complete atom.
+ * @returns {Object} splitter, with `push(chunk)` and `end()`.
+ */
+function createAtomSplitter({ shouldKeep, onAtom }) {
+  let position = 0;
+  let header = new Uint8Array(0);
+  let atom = null;
+  let chunks = [];
+  let received = 0;
+
+  const startAtom = () => {
+    const size = bytesToNumber(header.slice(0, 4));
+    atom = {
+      size: size === 1 ? bytesToNumber(header.slice(8, 16)) : size,
+      type: bytesToString(header.slice(4, 8)),
+      offset: position - header.length,
+      headerSize: header.length,
+    };
+    if (atom.type.length !== 4) {
+      throw new Error('Invalid Atom Type');
+    }
+    if (size === 0) {
+      atom.size = Infinity;
+    } else if (atom.size < atom.headerSize) {
+      throw new Error('Invalid Atom Size');
+    }
+    chunks = shouldKeep(atom.type) ? [header] : null;
+    received = header.length;
+    header = new Uint8Array(0);
+  };
+
+  const completeAtom = () => {
+    const complete = atom;
+    const bytes = chunks ? concatBytes(chunks) : null;
+    atom = null;
+    chunks = [];
+    onAtom(complete, bytes);
+  };
+
+  return {
+
+    /**
+     * Reads a chunk of the file.
+     *
+     * @arg {Uint8Array|ArrayBuffer|ArrayBufferView} chunk.
+     */
+    push(chunk) {
+      chunk = toBytes(chunk);
+      let n = 0;
+
+      while (n < chunk.length) {
+
+        // Headers are 8 bytes, or 16 if the size is 64-bit.
+        if (!atom) {
+          const headerSize = header.length >= 8 && bytesToNumber(header.slice(0, 4)) === 1 ? 16 : 8;
+          const count = Math.min(headerSize - header.length, chunk.length - n);
+          header = concatBytes([header, chunk.slice(n, n + count)]);
+          n += count;
+          position += count;
+          const isLarge = headerSize === 8 && bytesToNumber(header.slice(0, 4)) === 1;
+          if (header.length === headerSize && !isLarge) {
+            startAtom();
+            if (received === atom.size) {
+              completeAtom();
+            }
+          }
+          continue;
+        }
+
+        const count = Math.min(atom.size - received, chunk.length - n);
+        if (chunks) {
+          chunks.push(chunk.slice(n, n + count));
+        }
+        n += count;
+        position += count;
+        received += count;
+        if (received === atom.size) {
+          completeAtom();
+        }
+      }
+    },
+
+    /**
+     * Ends the file. An atom that runs to the end of the file is
+     * completed, and any other atom that's still incomplete is
+     * returned as is.
+     *
+     * @returns {Object} {atom, bytes, received, header} where `atom`
+     *   is the incomplete atom, if any, and `header` is any bytes
+     *   left over after the last atom.
+     */
+    end() {
+      if (atom && atom.size === Infinity) {
+        atom.size = received;
+        completeAtom();
+      }
+      return {
+        atom,
+        bytes: atom && chunks ? concatBytes(chunks) : null,
+        received: atom ? received : 0,
+        header,
+      };
+    },
+  };
+}
+
+export {
+  toBytes,
+  createAtomSplitter,
+};
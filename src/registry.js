@@ -0,0 +1,230 @@
+/*
+  mp4-info - registry.js
+
+  The atoms `consumeAtoms` understands, by type. Each is described by:
+
+  - container: true if its contents are more atoms.
+  - fullBox: true if its contents start with a version and flags, or a
+    function that tells from the first 8 bytes of contents, for atoms
+    like 'meta' that are full atoms in ISO files but not QuickTime ones.
+  - fields: a list of fields to read its data with, as below, or a
+    function of the parse context that returns one, or nothing to leave
+    the data unread, for tables only read with `parseSampleTables`.
+  - parse(source, start, end, context, atom): reads its data, for atoms
+    that fields can't describe. For containers, it's called once the
+    children have been read.
+  - copyContext: true if its children get their own copy of the parse
+    context, so that state like the handler type doesn't leak out.
+
+  A field is {name, type}, read in order from the atom's contents:
+
+  - uint8, uint16, uint24, uint32, uint64, int8, int16, int32, int64
+  - fixed8.8, fixed16.16, fixed2.30: signed fixed-point, as floats
+  - float32, float64
+  - fourcc: four character code
+  - string: UTF-8 text, of `length` bytes or to the end of the atom
+  - bytes: `length` bytes, or to the end of the atom
+  - skip: `length` reserved bytes, with no name
+  - array: `count` items, each of type `items` or with `fields`. `count`
+    is a number, or 'uint8', 'uint16' or 'uint32' for a count stored
+    before the items. Without a count, items are read to the end.
+
+  `type`, `length` and `count` can also be functions of the data read
+  so far, for fields that depend on the version or flags. A field with
+  `when` is only read if `when(data)` is true, and a field with `value`
+  reads nothing, and is set to `value(data)`. For array items, these
+  functions are also passed the data of the atom the array is in.
+*/
+
+import { getUint64 } from './bytes.js';
+import { fromFixedPoint } from './decode.js';
+
+// Fixed-size field types, as [size, read].
+const FIELD_TYPES = {
+  'uint8': [1, (view, n) => view.getUint8(n)],
+  'uint16': [2, (view, n) => view.getUint16(n)],
+  'uint24': [3, (view, n) => view.getUint8(n) * 0x10000 + view.getUint16(n + 1)],
+  'uint32': [4, (view, n) => view.getUint32(n)],
+  'uint64': [8, (view, n) => getUint64(view, n)],
+  'int8': [1, (view, n) => view.getInt8(n)],
+  'int16': [2, (view, n) => view.getInt16(n)],
+  'int32': [4, (view, n) => view.getInt32(n)],
+  'int64': [8, (view, n) => Number(view.getBigInt64(n))],
+  'fixed8.8': [2, (view, n) => fromFixedPoint(view.getUint16(n), 16, 8)],
+  'fixed16.16': [4, (view, n) => fromFixedPoint(view.getUint32(n), 32, 16)],
+  'fixed2.30': [4, (view, n) => fromFixedPoint(view.getUint32(n), 32, 30)],
+  'float32': [4, (view, n) => view.getFloat32(n)],
+  'float64': [8, (view, n) => view.getFloat64(n)],
+  'fourcc': [4, (view, n) => String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + n, 4).filter(byte => byte))],
+};
+
+// Registered atoms, by type.
+const boxes = new Map();
+
+/**
+ * Gets the value of a field option that can be a function of the data so far.
+ */
+function resolve(option, data, parent) {
+  return typeof option === 'function' ? option(data, parent) : option;
+}
+
+/**
+ * Gets the size of a list of fields, such as an array item's, if it's fixed.
+ *
+ * @arg {Array} fields.
+ * @returns {Number|undefined} size in bytes, or undefined if it varies.
+ */
+function getFieldsSize(fields) {
+  let size = 0;
+  for (const field of fields) {
+    if (field.value) {
+      continue;
+    }
+    if (field.when || typeof field.type !== 'string') {
+      return undefined;
+    }
+    if (field.type === 'skip' && typeof field.length === 'number') {
+      size += field.length;
+    } else if (FIELD_TYPES[field.type]) {
+      size += FIELD_TYPES[field.type][0];
+    } else {
+      return undefined;
+    }
+  }
+  return size;
+}
+
+/**
+ * Reads a list of fields.
+ *
+ * @arg {DataView} view - bytes to read from.
+ * @arg {Number} n - position to start at.
+ * @arg {Array} fields - fields to read.
+ * @arg {Object} [data] - object to read into.
+ * @arg {Object} [parent] - data of the atom, when reading array items.
+ * @returns {Array} [data, position after the fields, false if the bytes ran out first].
+ */
+function readFieldList(view, n, fields, data = {}, parent = undefined) {
+  for (const field of fields) {
+    if (field.when && !field.when(data, parent)) {
+      continue;
+    }
+    if (field.value) {
+      data[field.name] = field.value(data, parent);
+      continue;
+    }
+
+    const type = resolve(field.type, data, parent);
+    let value;
+
+    if (FIELD_TYPES[type]) {
+      const [size, read] = FIELD_TYPES[type];
+      if (n + size > view.byteLength) {
+        return [data, n, false];
+      }
+      value = read(view, n);
+      n += size;
+
+    } else if (type === 'skip' || type === 'string' || type === 'bytes') {
+      const length = field.length === undefined
+        ? view.byteLength - n
+        : Math.max(Math.min(resolve(field.length, data, parent), view.byteLength - n), 0);
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + n, length);
+      n += length;
+      if (type === 'skip') {
+        continue;
+      }
+      value = type === 'string'
+        ? new TextDecoder('utf-8').decode(bytes).replace(/\0/g, '')
+        : bytes.slice();
+
+    } else if (type === 'array') {
+      let count = resolve(field.count, data, parent);
+      if (FIELD_TYPES[count]) {
+        const [size, read] = FIELD_TYPES[count];
+        count = n + size <= view.byteLength ? read(view, n) : 0;
+        n += size;
+      }
+      if (count === undefined) {
+        count = Infinity;
+      }
+
+      // Limit the count to what fits, so a bad count can't make a huge array.
+      const itemFields = field.fields || [{ name: 'value', type: field.items }];
+      const itemSize = getFieldsSize(itemFields);
+      if (itemSize) {
+        count = Math.min(count, Math.floor((view.byteLength - n) / itemSize));
+      }
+
+      value = [];
+      for (let i = 0; i < count && n < view.byteLength; i++) {
+        const [item, next, isComplete] = readFieldList(view, n, itemFields, {}, data);
+        // An item that reads no bytes, such as an empty string, would repeat
+        // forever, and one cut short by the end of the atom is left out.
+        if (next === n || !isComplete) {
+          break;
+        }
+        value.push(field.fields ? item : item.value);
+        n = next;
+      }
+
+    } else {
+      throw new Error(`Unknown field type "${type}"`);
+    }
+
+    data[field.name] = value;
+  }
+
+  return [data, n, true];
+}
+
+/**
+ * Reads an atom's data with a list of fields.
+ *
+ * @arg {Uint8Array} bytes - atom contents.
+ * @arg {Array} fields - fields to read.
+ * @arg {Boolean} [fullBox] - true to read a version and flags first.
+ * @returns {Object} data.
+ */
+function readFields(bytes, fields, fullBox = false) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (fullBox) {
+    fields = [{ name: 'version', type: 'uint8' }, { name: 'flags', type: 'uint24' }, ...fields];
+  }
+  return readFieldList(view, 0, fields)[0];
+}
+
+/**
+ * Registers an atom type, so `consumeAtoms` reads it. Registering a type
+ * that's already known replaces it. 'uuid' atoms are registered by their
+ * extended type, as a UUID string such as 'be7acfcb-97a9-42e8-9c71-999491e3afac'.
+ *
+ * @arg {String} type - four character code, or UUID.
+ * @arg {Object} box - {container, fullBox, fields, parse, copyContext}.
+ */
+function registerBox(type, box) {
+  if (typeof type !== 'string' || (type.length !== 4 && !/^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i.test(type))) {
+    throw new Error('Box type must be a four character code or a UUID');
+  }
+  if (!box || (!box.container && !box.fields && !box.parse)) {
+    throw new Error('Box must have "container", "fields" or "parse"');
+  }
+  boxes.set(type.length === 4 ? type : type.toLowerCase(), box);
+}
+
+/**
+ * Gets a registered atom type.
+ *
+ * @arg {String} type - four character code, or UUID.
+ * @returns {Object|undefined} box, as given to `registerBox`.
+ */
+function getBox(type) {
+  return boxes.get(type);
+}
+
+export {
+  getFieldsSize,
+  readFields,
+  registerBox,
+  getBox,
+};
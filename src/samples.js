@@ -0,0 +1,313 @@
+/*
+  mp4-info - samples.js
+
+  Sample table atoms (stts, ctts, stss, stsc, stco/co64, stsz/stz2),
+  and resolving them into a flat per-sample index.
+
+  Tables can hold an entry per sample. They're described with fields,
+  which are read with a DataView rather than slicing each entry.
+*/
+
+import { bytesToNumber } from './bytes.js';
+import { readView } from './sources.js';
+
+/**
+ * Fields of a Stts atom (decoding time to sample).
+ */
+const STTS_FIELDS = [
+  {
+    name: 'entries',
+    type: 'array',
+    count: 'uint32',
+    fields: [
+      { name: 'sampleCount', type: 'uint32' },
+      { name: 'sampleDelta', type: 'uint32' },
+    ],
+  },
+];
+
+/**
+ * Fields of a Ctts atom (composition time to sample).
+ * Offsets are read as signed for both versions, as some
+ * writers store negative offsets in version 0 atoms.
+ */
+const CTTS_FIELDS = [
+  {
+    name: 'entries',
+    type: 'array',
+    count: 'uint32',
+    fields: [
+      { name: 'sampleCount', type: 'uint32' },
+      { name: 'sampleOffset', type: 'int32' },
+    ],
+  },
+];
+
+/**
+ * Fields of a Stss atom (sync samples).
+ */
+const STSS_FIELDS = [
+  { name: 'sampleNumbers', type: 'array', count: 'uint32', items: 'uint32' },
+];
+
+/**
+ * Fields of a Stsc atom (sample to chunk).
+ */
+const STSC_FIELDS = [
+  {
+    name: 'entries',
+    type: 'array',
+    count: 'uint32',
+    fields: [
+      { name: 'firstChunk', type: 'uint32' },
+      { name: 'samplesPerChunk', type: 'uint32' },
+      { name: 'sampleDescriptionIndex', type: 'uint32' },
+    ],
+  },
+];
+
+/**
+ * Fields of a Stco atom (32-bit chunk offsets).
+ */
+const STCO_FIELDS = [
+  { name: 'chunkOffsets', type: 'array', count: 'uint32', items: 'uint32' },
+];
+
+/**
+ * Fields of a Co64 atom (64-bit chunk offsets).
+ */
+const CO64_FIELDS = [
+  { name: 'chunkOffsets', type: 'array', count: 'uint32', items: 'uint64' },
+];
+
+/**
+ * Fields of a Stsz atom (sample sizes), without the per-sample sizes.
+ */
+const STSZ_FIELDS = [
+  { name: 'sampleSize', type: 'uint32' },
+  { name: 'sampleCount', type: 'uint32' },
+];
+
+/**
+ * Fields of a Stsz atom, with the per-sample sizes. If every sample
+ * has the same size, there's no table.
+ */
+const STSZ_TABLE_FIELDS = [
+  ...STSZ_FIELDS,
+  { name: 'entrySizes', type: 'array', count: data => data.sampleCount, items: 'uint32', when: data => data.sampleSize === 0 },
+];
+
+// Sizes of the per-sample sizes a Stz2 atom can have, in bits.
+const STZ2_FIELD_SIZES = [4, 8, 16];
+
+/**
+ * Consumes a Stz2 atom (compact sample sizes).
+ * The per-sample sizes are only read if `context.parseSampleTables` is set.
+ *
+ * Any field size but 4, 8 or 16 bits is an error, as the sizes can't be
+ * read. In tolerant mode, that leaves the atom without data, as for any
+ * atom whose contents can't be read.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @arg {Object} context - parse context.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeStz2(source, start, end, context) {
+  const buff = await source.read(start, start + 12);
+  const fieldSize = bytesToNumber(buff.slice(7, 8));
+  if (!STZ2_FIELD_SIZES.includes(fieldSize)) {
+    throw new Error(`Invalid stz2 field size of ${fieldSize} bits`);
+  }
+  const data = {
+    //version: bytesToNumber(buff.slice(0, 1)),
+    //flags: bytesToNumber(buff.slice(1, 4)),
+    //reserved: 3 bytes,
+    fieldSize,
+    sampleSize: 0,
+    sampleCount: bytesToNumber(buff.slice(8, 12)),
+  };
+
+  if (context.parseSampleTables) {
+    const view = await readView(source, start, end);
+    const count = Math.min(data.sampleCount, Math.floor((view.byteLength - 12) * 8 / fieldSize));
+    data.entrySizes = [];
+    for (let i = 0; i < count; i++) {
+      if (fieldSize === 4) {
+        const byte = view.getUint8(12 + (i >> 1));
+        data.entrySizes.push(i & 1 ? byte & 0xf : byte >> 4);
+      } else if (fieldSize === 8) {
+        data.entrySizes.push(view.getUint8(12 + i));
+      } else {
+        data.entrySizes.push(view.getUint16(12 + i * 2));
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Reads a table only if `context.parseSampleTables` is set.
+ */
+function onlyIfParsingSampleTables(fields) {
+  return {
+    fullBox: true,
+    fields: context => context.parseSampleTables ? fields : undefined,
+  };
+}
+
+// Atoms read by `consumeAtoms`. Decoding times are always read, as frame
+// rates come from them, but the other tables can be large, so are only
+// read if asked for. 'stz2' packs its sizes into 4, 8 or 16 bits, which
+// fields can't describe.
+const boxes = {
+  stts: { fullBox: true, fields: STTS_FIELDS },
+  ctts: onlyIfParsingSampleTables(CTTS_FIELDS),
+  stss: onlyIfParsingSampleTables(STSS_FIELDS),
+  stsc: onlyIfParsingSampleTables(STSC_FIELDS),
+  stco: onlyIfParsingSampleTables(STCO_FIELDS),
+  co64: onlyIfParsingSampleTables(CO64_FIELDS),
+  stsz: { fullBox: true, fields: context => context.parseSampleTables ? STSZ_TABLE_FIELDS : STSZ_FIELDS },
+  stz2: { parse: consumeStz2 },
+};
+
+/**
+ * Gets the greatest common divisor of two integers.
+ */
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Works out the frame rate of a video track from its decoding time deltas.
+ *
+ * Deltas within one tick of each other are treated as rounding, not as
+ * a variable frame rate. The last sample's delta is often a guess by the
+ * muxer, so it is left out of the min and max where possible.
+ *
+ * @arg {Array} timeToSample - 'stts' entries.
+ * @arg {Number} timeScale - track timescale.
+ * @returns {Object|undefined} frame rate details, with durations in seconds.
+ */
+function getFrameRateInfo(timeToSample, timeScale) {
+
+  let sampleCount = 0;
+  let totalDuration = 0;
+  for (const entry of timeToSample) {
+    sampleCount += entry.sampleCount;
+    totalDuration += entry.sampleCount * entry.sampleDelta;
+  }
+  if (!sampleCount || !totalDuration || !timeScale) {
+    return undefined;
+  }
+
+  let minDelta = Infinity;
+  let maxDelta = 0;
+  let remaining = sampleCount > 2 ? sampleCount - 1 : sampleCount;
+  for (const entry of timeToSample) {
+    const count = Math.min(entry.sampleCount, remaining);
+    if (count > 0) {
+      minDelta = Math.min(minDelta, entry.sampleDelta);
+      maxDelta = Math.max(maxDelta, entry.sampleDelta);
+    }
+    remaining -= count;
+  }
+
+  // A constant delta gives the exact rate, otherwise use the average.
+  let numerator = sampleCount * timeScale;
+  let denominator = totalDuration;
+  if (minDelta === maxDelta && minDelta > 0) {
+    numerator = timeScale;
+    denominator = minDelta;
+  }
+  const divisor = gcd(numerator, denominator);
+
+  return {
+    frameRate: numerator / denominator,
+    frameRateRational: `${numerator / divisor}/${denominator / divisor}`,
+    isVariableFrameRate: maxDelta - minDelta > 1,
+    minFrameDuration: minDelta / timeScale,
+    maxFrameDuration: maxDelta / timeScale,
+    averageFrameDuration: totalDuration / sampleCount / timeScale,
+  };
+}
+
+/**
+ * Resolves a track's sample table into a flat list of samples.
+ *
+ * Requires the track to come from a file parsed with
+ * `parseSampleTables: true`. Times are in the track's timescale.
+ *
+ * @arg {Object} track - track from the `tracks` result.
+ * @returns {Array} samples, as {offset, size, dts, cts, duration, isKeyframe}.
+ */
+function getSampleIndex(track) {
+
+  const table = track && track.sampleTable;
+  if (!table) {
+    throw new Error('Track has no sample table. Parse with "parseSampleTables: true"');
+  }
+
+  const { sampleSize, sampleCount, sampleSizes, timeToSample, compositionOffsets, syncSamples, sampleToChunk, chunkOffsets } = table;
+  const samples = [];
+
+  // Sizes, and offsets from the chunk each sample is in.
+  for (let i = 0; i < sampleToChunk.length; i++) {
+    const entry = sampleToChunk[i];
+    const next = sampleToChunk[i + 1];
+    const lastChunk = next ? next.firstChunk - 1 : chunkOffsets.length;
+
+    for (let chunk = entry.firstChunk; chunk <= lastChunk; chunk++) {
+      let offset = chunkOffsets[chunk - 1];
+      for (let j = 0; j < entry.samplesPerChunk && samples.length < sampleCount; j++) {
+        const size = sampleSizes ? sampleSizes[samples.length] : sampleSize;
+        samples.push({ offset, size, dts: 0, cts: 0, duration: 0, isKeyframe: !syncSamples });
+        offset += size;
+      }
+    }
+  }
+
+  // Decode times.
+  let index = 0;
+  let dts = 0;
+  for (const entry of timeToSample) {
+    for (let j = 0; j < entry.sampleCount && index < samples.length; j++, index++) {
+      samples[index].dts = dts;
+      samples[index].cts = dts;
+      samples[index].duration = entry.sampleDelta;
+      dts += entry.sampleDelta;
+    }
+  }
+
+  // Composition times.
+  if (compositionOffsets) {
+    index = 0;
+    for (const entry of compositionOffsets) {
+      for (let j = 0; j < entry.sampleCount && index < samples.length; j++, index++) {
+        samples[index].cts = samples[index].dts + entry.sampleOffset;
+      }
+    }
+  }
+
+  // Keyframes. Without a sync sample table, every sample is a keyframe.
+  if (syncSamples) {
+    for (const sampleNumber of syncSamples) {
+      if (samples[sampleNumber - 1]) {
+        samples[sampleNumber - 1].isKeyframe = true;
+      }
+    }
+  }
+
+  return samples;
+}
+
+export {
+  boxes,
+  getFrameRateInfo,
+  getSampleIndex,
+};
@@ -0,0 +1,142 @@
+/*
+  mp4-info - sources.js
+
+  A "byte source" is any object with a `size` and an async
+  `read(start, end)` that resolves the bytes in that range as
+  a Uint8Array. Parsing only ever asks a source for the ranges
+  it needs, so sources can be backed by memory, Blobs, files
+  or anything else that supports ranged reads.
+*/
+
+/**
+ * Checks if the value looks like a byte source.
+ *
+ * @arg {*} value.
+ * @returns {Boolean} true if value is a byte source.
+ */
+function isSource(value) {
+  return Boolean(value)
+    && typeof value.read === 'function'
+    && typeof value.size === 'number';
+}
+
+/**
+ * Checks if the value is a Blob (or File).
+ *
+ * @arg {*} value.
+ * @returns {Boolean} true if value is a Blob.
+ */
+function isBlob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+/**
+ * Reads a blob as an ArrayBuffer.
+ * Uses `Blob.arrayBuffer` where available, and FileReader otherwise.
+ *
+ * @arg {Blob} blob.
+ * @returns {Promise<ArrayBuffer>} blob contents.
+ */
+function toArrayBuffer(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = function () {
+      resolve(reader.result);
+    };
+    reader.onerror = function () {
+      reject(new Error('Failed to read file'));
+      reader.abort();
+    };
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Creates a byte source for data that is already in memory.
+ *
+ * @arg {ArrayBuffer|ArrayBufferView|Array} data.
+ * @returns {Object} byte source.
+ */
+function createBufferSource(data) {
+  let bytes;
+  if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  } else if (ArrayBuffer.isView(data)) {
+    bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  } else if (Array.isArray(data)) {
+    bytes = Uint8Array.from(data);
+  } else {
+    throw new Error('"data" must be one of: ArrayBuffer, ArrayBufferView, Array');
+  }
+  return {
+    size: bytes.length,
+    async read(start, end) {
+      return bytes.subarray(start, Math.min(end, bytes.length));
+    }
+  };
+}
+
+/**
+ * Creates a byte source that reads slices of a Blob on demand.
+ *
+ * @arg {Blob} blob.
+ * @returns {Object} byte source.
+ */
+function createBlobSource(blob) {
+  return {
+    size: blob.size,
+    async read(start, end) {
+      const buff = await toArrayBuffer(blob.slice(start, Math.min(end, blob.size)));
+      return new Uint8Array(buff);
+    }
+  };
+}
+
+/**
+ * Reads a range of a byte source into a DataView.
+ * Used for atoms with tables, rather than slicing each entry.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - range start.
+ * @arg {Number} end - range end.
+ * @returns {Promise<DataView>} range contents.
+ */
+async function readView(source, start, end) {
+  const buff = await source.read(start, end);
+  return new DataView(buff.buffer, buff.byteOffset, buff.byteLength);
+}
+
+/**
+ * Gets a byte source for the supported file types.
+ * Byte sources are returned as-is.
+ *
+ * @arg {Object|Blob|ArrayBuffer|ArrayBufferView|Array} file - video file data.
+ * @returns {Object} byte source.
+ */
+function toSource(file) {
+  if (!file) {
+    throw new Error('File is required');
+  }
+  if (isSource(file)) {
+    return file;
+  }
+  if (isBlob(file)) {
+    return createBlobSource(file);
+  }
+  if (file instanceof ArrayBuffer || ArrayBuffer.isView(file) || Array.isArray(file)) {
+    return createBufferSource(file);
+  }
+  throw new Error('"file" must be one of: Blob, ArrayBuffer, Array');
+}
+
+export {
+  isSource,
+  isBlob,
+  createBufferSource,
+  createBlobSource,
+  readView,
+  toSource,
+};
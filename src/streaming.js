@@ -0,0 +1,66 @@
+/*
+  mp4-info - streaming.js
+
+  Reports on how well a file streams, from the layout of its
+  top-level atoms. A file can play while it downloads ("fast start")
+  if the movie header ('moov') comes before the media data ('mdat').
+*/
+
+// Atoms that only pad the file.
+const PADDING_TYPES = ['free', 'skip', 'wide'];
+
+/**
+ * Gets the position and size of an atom.
+ */
+function toRange(atom) {
+  return {
+    offset: atom.offset,
+    size: atom.size,
+  };
+}
+
+/**
+ * Gets a streaming report from a file's top-level atoms.
+ *
+ * `bytesBeforePlayback` is how much of the file a player has to download
+ * before it can start: up to the end of 'moov', and for fragmented files,
+ * up to the end of the first fragment after it.
+ *
+ * @arg {Array} atoms - top-level atom headers.
+ * @arg {Boolean} hasMovieExtends - true if 'moov' has an 'mvex' atom.
+ * @returns {Object} streaming report.
+ */
+function getStreamingReportFromAtoms(atoms, hasMovieExtends) {
+
+  const moov = atoms.find(atom => atom.type === 'moov');
+  const mdats = atoms.filter(atom => atom.type === 'mdat');
+  const moofs = atoms.filter(atom => atom.type === 'moof');
+  const padding = atoms.filter(atom => PADDING_TYPES.includes(atom.type));
+
+  const report = {
+    isFastStart: Boolean(moov) && mdats.every(mdat => mdat.offset > moov.offset),
+    isFragmented: moofs.length > 0 || hasMovieExtends,
+    moov: moov ? toRange(moov) : undefined,
+    mdat: mdats.map(toRange),
+    padding: padding.map(atom => Object.assign({ type: atom.type }, toRange(atom))),
+    paddingSize: padding.reduce((total, atom) => total + atom.size, 0),
+    bytesBeforePlayback: undefined,
+    atoms: atoms.map(atom => Object.assign({ type: atom.type }, toRange(atom))),
+  };
+
+  if (moov) {
+    let end = moov.offset + moov.size;
+    const moof = moofs.find(moof => moof.offset > moov.offset);
+    if (moof) {
+      const mdat = mdats.find(mdat => mdat.offset > moof.offset);
+      end = mdat ? mdat.offset + mdat.size : moof.offset + moof.size;
+    }
+    report.bytesBeforePlayback = end;
+  }
+
+  return report;
+}
+
+export {
+  getStreamingReportFromAtoms,
+};
@@ -0,0 +1,397 @@
+/*
+  mp4-info - tags.js
+
+  Metadata tags, from the three places they are stored:
+
+  - iTunes-style item lists: moov/udta/meta/ilst, with an 'mdir' handler.
+    Items are keyed by a four character code such as '©nam'.
+  - QuickTime metadata: moov/meta/keys and ilst, with an 'mdta' handler.
+    Items are keyed by their index into 'keys'.
+  - QuickTime user data text: moov/udta/©xxx atoms.
+*/
+
+import { bytesToNumber, bytesToString } from './bytes.js';
+import { readView } from './sources.js';
+import { decodeLanguage } from './decode.js';
+
+// Well-known keys, and the names they are normalised to.
+const TAG_NAMES = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  'aART': 'albumArtist',
+  '©alb': 'album',
+  '©cmt': 'comment',
+  '©des': 'description',
+  'desc': 'description',
+  '©day': 'date',
+  '©too': 'encoder',
+  '©swr': 'encoder',
+  '©enc': 'encodedBy',
+  '©gen': 'genre',
+  '©wrt': 'composer',
+  '©aut': 'author',
+  '©grp': 'grouping',
+  '©lyr': 'lyrics',
+  'cprt': 'copyright',
+  '©cpy': 'copyright',
+  '©mak': 'make',
+  '©mod': 'model',
+  '©xyz': 'location',
+  'covr': 'coverArt',
+  'trkn': 'trackNumber',
+  'disk': 'discNumber',
+  'tmpo': 'tempo',
+  'cpil': 'compilation',
+  'com.apple.quicktime.title': 'title',
+  'com.apple.quicktime.displayname': 'title',
+  'com.apple.quicktime.artist': 'artist',
+  'com.apple.quicktime.author': 'author',
+  'com.apple.quicktime.album': 'album',
+  'com.apple.quicktime.comment': 'comment',
+  'com.apple.quicktime.description': 'description',
+  'com.apple.quicktime.creationdate': 'date',
+  'com.apple.quicktime.software': 'encoder',
+  'com.apple.quicktime.genre': 'genre',
+  'com.apple.quicktime.keywords': 'keywords',
+  'com.apple.quicktime.copyright': 'copyright',
+  'com.apple.quicktime.make': 'make',
+  'com.apple.quicktime.model': 'model',
+  'com.apple.quicktime.location.ISO6709': 'location',
+};
+
+// MIME types of the image data types.
+const IMAGE_TYPES = {
+  13: 'image/jpeg',
+  14: 'image/png',
+  27: 'image/bmp',
+};
+
+/**
+ * Decodes a Big Endian integer of up to 8 bytes.
+ *
+ * @arg {Uint8Array} bytes.
+ * @arg {Boolean} signed.
+ * @returns {Number} value.
+ */
+function decodeInteger(bytes, signed) {
+  let num = bytesToNumber(bytes);
+  if (signed && bytes.length > 0 && bytes[0] & 0x80) {
+    num -= 2 ** (bytes.length * 8);
+  }
+  return num;
+}
+
+/**
+ * Decodes the value of a 'data' atom, based on its well-known type.
+ * Unknown types, and images, are returned as bytes.
+ *
+ * @arg {Uint8Array} bytes - value.
+ * @arg {Number} type - well-known type.
+ * @returns {*} value.
+ */
+function decodeValue(bytes, type) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  switch (type) {
+    case 1:
+      return new TextDecoder('utf-8').decode(bytes);
+    case 2:
+      return new TextDecoder('utf-16be').decode(bytes);
+    case 23:
+      return bytes.length === 4 ? view.getFloat32(0) : bytes.slice();
+    case 24:
+      return bytes.length === 8 ? view.getFloat64(0) : bytes.slice();
+    case 21:
+    case 65:
+    case 66:
+    case 67:
+    case 74:
+      return decodeInteger(bytes, true);
+    case 22:
+    case 75:
+    case 76:
+    case 77:
+    case 78:
+      return decodeInteger(bytes, false);
+    default:
+      return bytes.slice();
+  }
+}
+
+/**
+ * Consumes the 'data', 'mean' and 'name' atoms of a metadata item.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of the item's children.
+ * @arg {Number} end - end position of the item.
+ * @returns {Promise<Object>} item, as {values, mean, name}.
+ */
+async function consumeItem(source, start, end) {
+  const item = { values: [] };
+  const view = await readView(source, start, end);
+  let n = 0;
+
+  while (n + 8 <= view.byteLength) {
+    const size = view.getUint32(n);
+    if (size < 8 || n + size > view.byteLength) {
+      break;
+    }
+    const type = bytesToString(new Uint8Array(view.buffer, view.byteOffset + n + 4, 4));
+    const body = new Uint8Array(view.buffer, view.byteOffset + n + 8, size - 8);
+
+    if (type === 'data' && body.length >= 8) {
+      // Type indicator: 1 byte of type set, and 3 bytes of type.
+      const dataType = bytesToNumber(body.subarray(1, 4));
+      item.values.push({
+        type: dataType,
+        value: decodeValue(body.subarray(8), dataType),
+      });
+    } else if (type === 'mean' && body.length >= 4) {
+      item.mean = new TextDecoder('utf-8').decode(body.subarray(4));
+    } else if (type === 'name' && body.length >= 4) {
+      item.name = new TextDecoder('utf-8').decode(body.subarray(4));
+    }
+
+    n += size;
+  }
+
+  return item;
+}
+
+/**
+ * Consumes an Ilst atom (metadata item list).
+ *
+ * Item keys are four character codes for iTunes-style lists, and
+ * indexes into the 'keys' atom for QuickTime metadata. Freeform '----'
+ * items are keyed as '----:mean:name'. Each item's offset and size are
+ * kept, so it can be copied as-is when the list is rewritten.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeIlst(source, start, end) {
+  const items = [];
+  let n = start;
+
+  while (n + 8 <= end) {
+    const header = await readView(source, n, n + 8);
+    const size = header.getUint32(0);
+    if (size < 8 || n + size > end) {
+      break;
+    }
+
+    // Keys starting with a null byte are indexes.
+    const key = header.getUint8(4) === 0
+      ? header.getUint32(4)
+      : bytesToString(new Uint8Array(header.buffer, header.byteOffset + 4, 4));
+
+    const item = await consumeItem(source, n + 8, n + size);
+    item.key = key === '----' ? `----:${item.mean}:${item.name}` : key;
+    item.offset = n;
+    item.size = size;
+    items.push(item);
+
+    n += size;
+  }
+
+  return { items };
+}
+
+/**
+ * Fields of a Keys atom (QuickTime metadata keys). Each key is stored
+ * like an atom, with its size and namespace before it.
+ */
+const KEYS_FIELDS = [
+  {
+    name: 'keys',
+    type: 'array',
+    count: 'uint32',
+    fields: [
+      { name: 'size', type: 'uint32' },
+      { name: 'namespace', type: 'fourcc' },
+      { name: 'key', type: 'string', length: key => key.size - 8 },
+    ],
+  },
+];
+
+/**
+ * Consumes a QuickTime user data text atom, such as '©nam' in 'udta'.
+ * Each entry is a 16-bit length and language, followed by the text.
+ * Some writers use an item with 'data' atoms instead, as in 'ilst'.
+ *
+ * @arg {Object} source - byte source.
+ * @arg {Number} start - start position of atom header.
+ * @arg {Number} end - end position of atom.
+ * @returns {Promise<Object>} atom info.
+ */
+async function consumeUserDataText(source, start, end) {
+  const view = await readView(source, start, end);
+  if (view.byteLength >= 8 && bytesToString(new Uint8Array(view.buffer, view.byteOffset + 4, 4)) === 'data') {
+    return consumeItem(source, start, end);
+  }
+
+  const values = [];
+  let n = 0;
+  while (n + 4 <= view.byteLength) {
+    const length = view.getUint16(n);
+    if (n + 4 + length > view.byteLength) {
+      break;
+    }
+    values.push({
+      type: 1,
+      language: decodeLanguage(view.getUint16(n + 2)),
+      value: new TextDecoder('utf-8').decode(new Uint8Array(view.buffer, view.byteOffset + n + 4, length)),
+    });
+    n += 4 + length;
+  }
+
+  return { values };
+}
+
+/**
+ * Parses an ISO 6709 location, as written by phones and cameras,
+ * e.g. '+37.7858-122.4064+012.345/'.
+ *
+ * @arg {String} value - ISO 6709 string.
+ * @returns {Object} location, as {iso6709, latitude, longitude, altitude}.
+ */
+function parseLocation(value) {
+  const location = { iso6709: value };
+  const match = /^([+-]\d+(?:\.\d*)?)([+-]\d+(?:\.\d*)?)([+-]\d+(?:\.\d*)?)?/.exec(value);
+  if (match) {
+    location.latitude = parseFloat(match[1]);
+    location.longitude = parseFloat(match[2]);
+    if (match[3]) {
+      location.altitude = parseFloat(match[3]);
+    }
+  }
+  return location;
+}
+
+/**
+ * Gets the MIME type of image bytes, for cover art with no image type.
+ *
+ * @arg {Uint8Array} bytes.
+ * @returns {String|undefined} MIME type.
+ */
+function sniffImageType(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return 'image/jpeg';
+  }
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return 'image/png';
+  }
+  if (bytes[0] === 0x42 && bytes[1] === 0x4d) {
+    return 'image/bmp';
+  }
+  return undefined;
+}
+
+/**
+ * Normalises an item value for its tag name.
+ *
+ * @arg {String} name - normalised tag name.
+ * @arg {Object} data - first value of the item, as {type, value}.
+ * @returns {*} tag value.
+ */
+function normaliseValue(name, data) {
+  const { type, value } = data;
+  switch (name) {
+    case 'coverArt':
+      return {
+        bytes: value,
+        mime: IMAGE_TYPES[type] || sniffImageType(value),
+      };
+    case 'location':
+      return typeof value === 'string' ? parseLocation(value) : value;
+    case 'trackNumber':
+    case 'discNumber':
+      // Binary: 2 reserved bytes, the number and the total.
+      if (value instanceof Uint8Array && value.length >= 6) {
+        return {
+          number: bytesToNumber(value.subarray(2, 4)),
+          total: bytesToNumber(value.subarray(4, 6)),
+        };
+      }
+      return value;
+    case 'compilation':
+      return typeof value === 'number' ? Boolean(value) : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Short-hand for accessing atoms of a certain type.
+ */
+function filterAtoms(atoms, type) {
+  return (atoms || []).filter(atom => atom.type === type);
+}
+
+/**
+ * Gets the movie's metadata tags.
+ *
+ * Well-known keys are normalised to names such as `title`, and others
+ * are kept under their own key. Where a tag is stored in more than one
+ * place, QuickTime metadata is preferred, then item lists, then user data.
+ *
+ * @arg {Array} atoms - top-level atoms.
+ * @returns {Object} tags.
+ */
+function getTags(atoms) {
+
+  const tags = {};
+  const addTag = (key, data) => {
+    const name = TAG_NAMES[key] || String(key);
+    if (data && !(name in tags)) {
+      tags[name] = normaliseValue(name, data);
+    }
+  };
+
+  // Item lists, resolving QuickTime keys where there are any.
+  const addItemList = meta => {
+    const keys = [];
+    filterAtoms(meta.atoms, 'keys').filter(atom => atom.data && atom.data.keys).forEach(atom => {
+      keys.push(...atom.data.keys);
+    });
+    filterAtoms(meta.atoms, 'ilst').filter(atom => atom.data).forEach(atom => {
+      atom.data.items.forEach(item => {
+        const key = typeof item.key === 'number' && keys[item.key - 1]
+          ? keys[item.key - 1].key
+          : item.key;
+        addTag(key, item.values[0]);
+      });
+    });
+  };
+
+  filterAtoms(atoms, 'moov').forEach(moov => {
+    filterAtoms(moov.atoms, 'meta').forEach(addItemList);
+    filterAtoms(moov.atoms, 'udta').forEach(udta => {
+      filterAtoms(udta.atoms, 'meta').forEach(addItemList);
+      (udta.atoms || []).forEach(atom => {
+        if (atom.type[0] === '©' && atom.data) {
+          addTag(atom.type, atom.data.values[0]);
+        }
+      });
+    });
+  });
+
+  return tags;
+}
+
+// Atoms read by `consumeAtoms`. 'ilst' holds atoms of its own, so it's
+// read by hand. User data text atoms are read by 'udta', as any type
+// starting with '©' is one.
+const boxes = {
+  keys: { fullBox: true, fields: KEYS_FIELDS },
+  ilst: { parse: consumeIlst },
+};
+
+export {
+  TAG_NAMES,
+  boxes,
+  sniffImageType,
+  consumeUserDataText,
+  getTags,
+};
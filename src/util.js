@@ -0,0 +1,44 @@
+/*
+  mp4-info - util.js
+*/
+
+/**
+ * Runs an async function, passing its result to an optional
+ * node-style callback. Without a callback, the promise is returned.
+ *
+ * @arg {Function} run - returns a Promise.
+ * @arg {Function} [callback] - called with (err, result).
+ * @returns {Promise|undefined} the promise, if no callback was given.
+ */
+function asCallback(run, callback) {
+  if (callback === undefined) {
+    return run();
+  }
+  if (typeof callback !== 'function') {
+    throw new Error('Callback must be a function');
+  }
+  run().then(result => callback(null, result), err => callback(err));
+  return undefined;
+}
+
+/**
+ * Throws if a signal has been aborted, with the reason it was aborted for.
+ *
+ * @arg {AbortSignal} [signal].
+ */
+function throwIfAborted(signal) {
+  if (!signal || !signal.aborted) {
+    return;
+  }
+  if (signal.reason !== undefined) {
+    throw signal.reason;
+  }
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  throw err;
+}
+
+export {
+  asCallback,
+  throwIfAborted,
+};
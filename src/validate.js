@@ -0,0 +1,223 @@
+/*
+  mp4-info - validate.js
+
+  Checking a file for problems. The file is read by `readAtoms` in
+  tolerant mode, which carries on past anything it can, and the checks
+  here report each problem as a diagnostic:
+
+    {severity, code, path, offset, message}
+
+  `severity` is 'error' for problems that stop a file playing properly,
+  and 'warning' for ones players usually cope with. `path` names the
+  atom, such as 'moov/trak[1]/mdia/minf/stbl/stsz', with a 1-based index
+  for atoms that can repeat. `offset` is the atom's file position.
+*/
+
+// Atoms that must be in each container, as lists of alternatives.
+const REQUIRED_ATOMS = {
+  moov: [['mvhd']],
+  trak: [['tkhd'], ['mdia']],
+  mdia: [['mdhd'], ['hdlr'], ['minf']],
+  minf: [['stbl']],
+  stbl: [['stsd'], ['stts'], ['stsc'], ['stsz', 'stz2'], ['stco', 'co64']],
+};
+
+/**
+ * Creates a diagnostic, about an atom or the file as a whole.
+ */
+function createDiagnostic(severity, code, atom, message, offset = atom ? atom.offset : 0) {
+  return { severity, code, atom, offset, message };
+}
+
+/**
+ * Finds the innermost container atom a position is in.
+ *
+ * @arg {Array} atoms - atoms to look in.
+ * @arg {Number} offset - file position.
+ * @returns {Object|null} atom, or null for the top level of the file.
+ */
+function findParentAt(atoms, offset) {
+  for (const atom of atoms) {
+    const end = atom.offset + (atom.truncated ? atom.availableBytes : atom.size);
+    if (atom.atoms && offset >= atom.offset + atom.headerSize && offset < end) {
+      return findParentAt(atom.atoms, offset) || atom;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks atoms read in tolerant mode, reporting those that run past the
+ * end of their parent or the file, and the errors recovered from.
+ *
+ * A file cut short is reported once, for the top-level atom it cuts
+ * short, and not again for each atom in that atom.
+ *
+ * @arg {Array} atoms - top-level atoms, from `readAtoms` in tolerant mode.
+ * @arg {Array} errors - errors passed to `onError` by `readAtoms`.
+ * @arg {Array} diagnostics - diagnostics to add to.
+ */
+function checkAtoms(atoms, errors, diagnostics) {
+  const check = (list, parent) => {
+    for (const atom of list) {
+
+      // An invalid type means the atom is likely garbage, and so are the atoms after it.
+      if (!/^[\x20-\x7e\xa9]{4}$/.test(atom.type)) {
+        diagnostics.push(createDiagnostic('error', 'invalid-type', parent,
+          `Invalid atom type at offset ${atom.offset}${parent ? ` in '${parent.type}'` : ''}`, atom.offset));
+        return;
+      }
+      if (atom.truncated && !parent) {
+        diagnostics.push(createDiagnostic('error', 'truncated', atom,
+          `'${atom.type}' is ${atom.size} bytes, but only ${atom.availableBytes} are in the file`));
+      } else if (atom.truncated && !parent.truncated) {
+        diagnostics.push(createDiagnostic('error', 'overrun', atom,
+          `'${atom.type}' runs ${atom.size - atom.availableBytes} bytes past the end of '${parent.type}'`));
+      }
+      if (atom.atoms) {
+        check(atom.atoms, atom);
+      }
+    }
+  };
+  check(atoms, null);
+
+  for (const { err, offset, end, atom } of errors) {
+    // An atom that's cut short can't be read for that reason, which is reported already.
+    if (atom) {
+      if (!atom.truncated) {
+        diagnostics.push(createDiagnostic('error', 'invalid-atom', atom, `Couldn't read '${atom.type}': ${err.message}`));
+      }
+      continue;
+    }
+
+    // Where a file is cut short, the atom header there is part of the same problem.
+    const parent = findParentAt(atoms, offset);
+    if (parent && parent.truncated) {
+      continue;
+    }
+    const where = parent ? `in '${parent.type}'` : 'in the file';
+    if (end - offset < 8) {
+      diagnostics.push(createDiagnostic('warning', 'trailing-bytes', parent, `${end - offset} bytes after the last atom ${where}`, offset));
+    } else if (err.message === 'Invalid Atom Type') {
+      diagnostics.push(createDiagnostic('error', 'invalid-type', parent, `Invalid atom type at offset ${offset} ${where}`, offset));
+    } else {
+      diagnostics.push(createDiagnostic('error', 'invalid-size', parent, `Invalid atom size at offset ${offset} ${where}`, offset));
+    }
+  }
+}
+
+/**
+ * Checks that atoms contain the atoms they must, and that the
+ * file has a movie header.
+ *
+ * @arg {Array} atoms - top-level atoms.
+ * @arg {Array} diagnostics - diagnostics to add to.
+ */
+function checkRequiredAtoms(atoms, diagnostics) {
+
+  // Media segments ('styp') carry only fragments, and rely on an init segment for 'moov'.
+  const isSegment = atoms.some(atom => atom.type === 'styp') && !atoms.some(atom => atom.type === 'ftyp');
+  if (!isSegment && !atoms.some(atom => atom.type === 'moov')) {
+    diagnostics.push(createDiagnostic('error', 'missing-atom', null, 'File has no \'moov\' atom'));
+  }
+  if (!isSegment && atoms.length > 0 && atoms[0].type !== 'ftyp' && atoms.some(atom => atom.type === 'ftyp')) {
+    diagnostics.push(createDiagnostic('warning', 'misplaced-atom', atoms.find(atom => atom.type === 'ftyp'),
+      '\'ftyp\' should be the first atom in the file'));
+  }
+
+  // Atoms in one cut short by the end of the file are missing because of that, which is reported already.
+  const check = atom => {
+    if (atom.truncated) {
+      return;
+    }
+    const required = REQUIRED_ATOMS[atom.type] || [];
+    for (const types of required) {
+      if (!atom.atoms.some(child => types.includes(child.type))) {
+        diagnostics.push(createDiagnostic('error', 'missing-atom', atom,
+          `'${atom.type}' has no ${types.map(type => `'${type}'`).join(' or ')} atom`));
+      }
+    }
+    if (atom.type === 'moov' && !atom.atoms.some(child => child.type === 'trak')) {
+      diagnostics.push(createDiagnostic('warning', 'missing-atom', atom, '\'moov\' has no tracks'));
+    }
+    atom.atoms.filter(child => child.atoms).forEach(check);
+  };
+  atoms.filter(atom => atom.atoms).forEach(check);
+}
+
+/**
+ * Checks a track's sample tables agree with each other, and that
+ * its chunks are inside 'mdat'.
+ *
+ * @arg {Object} stbl - 'stbl' atom, read with `parseSampleTables`.
+ * @arg {Object} table - sample table, as for `getSampleIndex`.
+ * @arg {Array} mdats - top-level 'mdat' atoms.
+ * @arg {Array} diagnostics - diagnostics to add to.
+ */
+function checkSampleTable(stbl, table, mdats, diagnostics) {
+  const find = (...types) => stbl.atoms.find(atom => types.includes(atom.type));
+  const { sampleCount, sampleSize, sampleSizes, timeToSample, sampleToChunk, chunkOffsets } = table;
+
+  const timeToSampleCount = timeToSample.reduce((total, entry) => total + entry.sampleCount, 0);
+  if (timeToSampleCount !== sampleCount) {
+    diagnostics.push(createDiagnostic('error', 'sample-count-mismatch', find('stts'),
+      `'stts' has ${timeToSampleCount} samples, but '${find('stsz', 'stz2').type}' has ${sampleCount}`));
+  }
+
+  // Samples per chunk run from each entry's first chunk up to the next entry's.
+  let chunkSampleCount = 0;
+  const chunkSampleCounts = [];
+  sampleToChunk.forEach((entry, i) => {
+    const next = sampleToChunk[i + 1];
+    const lastChunk = Math.min(next ? next.firstChunk - 1 : chunkOffsets.length, chunkOffsets.length);
+    for (let chunk = entry.firstChunk; chunk <= lastChunk; chunk++) {
+      chunkSampleCounts[chunk - 1] = entry.samplesPerChunk;
+      chunkSampleCount += entry.samplesPerChunk;
+    }
+  });
+  if (chunkSampleCount !== sampleCount) {
+    diagnostics.push(createDiagnostic('error', 'sample-count-mismatch', find('stsc'),
+      `'stsc' puts ${chunkSampleCount} samples in ${chunkOffsets.length} chunks, but '${find('stsz', 'stz2').type}' has ${sampleCount}`));
+  }
+
+  // Each chunk, from its offset to the end of its last sample, must be in an 'mdat'.
+  const outside = [];
+  let sample = 0;
+  chunkOffsets.forEach((offset, i) => {
+    let size = 0;
+    for (let j = 0; j < (chunkSampleCounts[i] || 0) && sample < sampleCount; j++, sample++) {
+      size += sampleSizes ? sampleSizes[sample] : sampleSize;
+    }
+    const isInMdat = mdats.some(mdat => {
+      return offset >= mdat.offset + mdat.headerSize && offset + size <= mdat.offset + mdat.size;
+    });
+    if (!isInMdat) {
+      outside.push(i + 1);
+    }
+  });
+  if (outside.length > 0) {
+    const chunkOffsetAtom = find('stco', 'co64');
+    diagnostics.push(createDiagnostic('error', 'chunk-outside-mdat', chunkOffsetAtom,
+      `${outside.length} of ${chunkOffsets.length} chunks are outside 'mdat', starting with chunk ${outside[0]} at offset ${chunkOffsets[outside[0] - 1]}`));
+  }
+}
+
+/**
+ * Fills in the paths of diagnostics, and sorts them by offset.
+ *
+ * @arg {Array} diagnostics - diagnostics, with the atom each is about.
+ * @returns {Array} diagnostics, as {severity, code, path, offset, message}.
+ */
+function toDiagnostics(diagnostics) {
+  return diagnostics
+    .map(({ severity, code, atom, offset, message }) => ({ severity, code, path: atom ? atom.path : '', offset, message }))
+    .sort((a, b) => a.offset - b.offset);
+}
+
+export {
+  createDiagnostic,
+  checkAtoms,
+  checkRequiredAtoms,
+  checkSampleTable,
+  toDiagnostics,
+};
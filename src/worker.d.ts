@@ -0,0 +1,21 @@
+/*
+  mp4-info - worker.d.ts
+*/
+
+import type { Mp4Info, ParseOptions } from './index.js';
+
+export interface WorkerParseOptions extends ParseOptions {
+  /**
+   * Worker running the `mp4-info/worker` script, to use rather than starting one
+   * for each file. It isn't terminated once the file is parsed. In Node.js, it must
+   * be started with `workerData: { isMp4InfoWorker: true }`.
+   */
+  worker?: Worker | import('node:worker_threads').Worker;
+}
+
+/**
+ * Gets metadata for a given video file (mp4 or mov), parsing it in a worker.
+ * Byte sources can't be posted to a worker, except for Blobs. In Node.js,
+ * `file` can also be a path.
+ */
+export function getMp4InfoInWorker(file: string | URL | Blob | ArrayBuffer | ArrayBufferView | number[], options?: WorkerParseOptions): Promise<Mp4Info>;
@@ -0,0 +1,59 @@
+/*
+  mp4-info - worker.js
+
+  Parsing in a Web Worker, so big files don't hold up the page.
+
+  This module is both the worker script and what starts it. Imported
+  on the main thread, it exports `getMp4InfoInWorker`, which starts a
+  worker from this same file. In the worker, it waits for files to
+  parse. In Node.js, `mp4-info/worker` is node-worker.js instead, and
+  the messages are in workers.js.
+*/
+
+import { getMp4Info } from './index.js';
+import { createMessageHandler, parseInWorker } from './workers.js';
+
+/**
+ * Checks if this is running in a Web Worker.
+ */
+function isWebWorker() {
+  return typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+}
+
+/**
+ * Starts a Web Worker running this script.
+ *
+ * @returns {Worker} worker.
+ */
+function createWorker() {
+  return new Worker(new URL(import.meta.url), { type: 'module' });
+}
+
+/**
+ * Gets metadata for a given video file (mp4 or mov), parsing it in a worker.
+ *
+ * A worker is started for each file, and stopped once it's done, unless
+ * `options.worker` is given. That's for bundlers, which only include the
+ * worker script when they see it started, as in:
+ *
+ *   new Worker(new URL('mp4-info/worker', import.meta.url), { type: 'module' })
+ *
+ * @arg {String|URL|Blob|ArrayBuffer|ArrayBufferView|Array} file - http(s) URL, or video file data.
+ * @arg {Object} [options] - parse options, as for `getMp4Info`.
+ * @arg {AbortSignal} [options.signal] - stops parsing, rejecting with the abort reason.
+ * @arg {Worker} [options.worker] - worker running this script, to use rather than starting one.
+ * @returns {Promise<Object>} video properties.
+ */
+function getMp4InfoInWorker(file, options) {
+  return parseInWorker(createWorker, file, options);
+}
+
+// In a worker started by `getMp4InfoInWorker`, wait for files to parse.
+if (isWebWorker()) {
+  const onMessage = createMessageHandler(getMp4Info, message => self.postMessage(message));
+  self.addEventListener('message', event => onMessage(event.data));
+}
+
+export {
+  getMp4InfoInWorker,
+};
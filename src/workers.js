@@ -0,0 +1,187 @@
+/*
+  mp4-info - workers.js
+
+  Parsing in a worker, shared by the two worker entry points: worker.js
+  for Web Workers, and node-worker.js for `worker_threads` Workers,
+  which can also read paths. Each is both the worker script and what
+  starts it. Messages are:
+
+    main -> worker: {type: 'mp4-info:parse', id, file, isUrl, options}
+                    {type: 'mp4-info:abort', id}
+    worker -> main: {type: 'mp4-info:result', id, result, error}
+
+  Blobs are posted without copying their contents, and the result
+  is structured-clone safe, as atoms are plain data.
+*/
+
+import { isSource, isBlob } from './sources.js';
+import { reviveAtoms } from './atoms.js';
+import { throwIfAborted } from './util.js';
+
+const PARSE_MESSAGE = 'mp4-info:parse';
+const ABORT_MESSAGE = 'mp4-info:abort';
+const RESULT_MESSAGE = 'mp4-info:result';
+
+let nextId = 1;
+
+/**
+ * Handles messages in the worker, parsing each file it's sent.
+ *
+ * @arg {Function} getMp4Info - parses a file, as the entry point's `getMp4Info`.
+ * @arg {Function} post - posts a message to the main thread.
+ * @returns {Function} called with each message.
+ */
+function createMessageHandler(getMp4Info, post) {
+  const controllers = new Map();
+
+  return async message => {
+    if (!message || message.type === ABORT_MESSAGE) {
+      const controller = message && controllers.get(message.id);
+      if (controller) {
+        controller.abort();
+      }
+      return;
+    }
+    if (message.type !== PARSE_MESSAGE) {
+      return;
+    }
+
+    const { id, isUrl, options } = message;
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    try {
+      const file = isUrl ? new URL(message.file) : message.file;
+      const result = await getMp4Info(file, Object.assign({}, options, { signal: controller.signal }));
+      post({ type: RESULT_MESSAGE, id, result });
+    } catch (err) {
+      post({ type: RESULT_MESSAGE, id, error: { name: err.name, message: err.message } });
+    } finally {
+      controllers.delete(id);
+    }
+  };
+}
+
+/**
+ * Listens for a worker's messages and errors, from either a Web Worker
+ * or a `worker_threads` Worker.
+ *
+ * @arg {Worker} worker.
+ * @arg {Function} onMessage - called with each message.
+ * @arg {Function} onError - called with an Error if the worker fails.
+ * @returns {Function} stops listening.
+ */
+function listenToWorker(worker, onMessage, onError) {
+  if (typeof worker.on === 'function') {
+    const onExit = code => onError(new Error(`Worker stopped with exit code ${code}`));
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+    return () => {
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+    };
+  }
+
+  const onMessageEvent = event => onMessage(event.data);
+  const onErrorEvent = event => onError(new Error(event.message || 'Worker failed'));
+  worker.addEventListener('message', onMessageEvent);
+  worker.addEventListener('error', onErrorEvent);
+  return () => {
+    worker.removeEventListener('message', onMessageEvent);
+    worker.removeEventListener('error', onErrorEvent);
+  };
+}
+
+/**
+ * Parses a file in a worker, for an entry point's `getMp4InfoInWorker`.
+ *
+ * @arg {Function} createWorker - starts a worker running the entry point, returning it or a Promise of it.
+ * @arg {String|URL|Blob|ArrayBuffer|ArrayBufferView|Array} file - file to post to the worker.
+ * @arg {Object} [options] - parse options, with `signal` and `worker`.
+ * @returns {Promise<Object>} video properties.
+ */
+async function parseInWorker(createWorker, file, options = {}) {
+  const { signal, worker: givenWorker } = options;
+  const parseOptions = Object.assign({}, options);
+  delete parseOptions.signal;
+  delete parseOptions.worker;
+
+  throwIfAborted(signal);
+  if (isSource(file) && !isBlob(file)) {
+    throw new Error('Byte sources can\'t be parsed in a worker, as they can\'t be posted to one');
+  }
+
+  const worker = givenWorker || await createWorker();
+
+  // The signal may have been aborted while the worker was starting.
+  if (signal && signal.aborted) {
+    if (!givenWorker) {
+      worker.terminate();
+    }
+    throwIfAborted(signal);
+  }
+
+  const id = nextId++;
+
+  return new Promise((resolve, reject) => {
+    let stopListening;
+
+    const finish = (err, result) => {
+      stopListening();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (!givenWorker) {
+        worker.terminate();
+      }
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const onMessage = message => {
+      if (!message || message.type !== RESULT_MESSAGE || message.id !== id) {
+        return;
+      }
+      if (message.error) {
+        const err = new Error(message.error.message);
+        err.name = message.error.name;
+        finish(err);
+        return;
+      }
+      const { result } = message;
+      result.atoms = reviveAtoms(result.atoms);
+      finish(null, result);
+    };
+
+    const onAbort = () => {
+      worker.postMessage({ type: ABORT_MESSAGE, id });
+      try {
+        throwIfAborted(signal);
+      } catch (err) {
+        finish(err);
+      }
+    };
+
+    stopListening = listenToWorker(worker, onMessage, err => finish(err));
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    // URLs can't be posted, so they're sent as strings.
+    const isUrl = typeof URL !== 'undefined' && file instanceof URL;
+    try {
+      worker.postMessage({ type: PARSE_MESSAGE, id, file: isUrl ? file.href : file, isUrl, options: parseOptions });
+    } catch (err) {
+      finish(err);
+    }
+  });
+}
+
+export {
+  createMessageHandler,
+  parseInWorker,
+};
@@ -0,0 +1,144 @@
+/*
+  mp4-info - writer.js
+
+  Serializing atoms. An atom to write is one of:
+
+  - {type, data}: an atom with the given contents.
+  - {type, children}: a container, with child atoms to write.
+  - {raw}: bytes written as-is, with no header. Used for the fields
+    before a container's children, such as a full atom's version
+    and flags, and for any bytes between children.
+
+  Atoms get a 64-bit header if their size needs one, or if they
+  have `largeSize: true`.
+*/
+
+/**
+ * Gets the size of an atom to write, including its header.
+ *
+ * @arg {Object} atom - atom to write.
+ * @returns {Number} size in bytes.
+ */
+function getAtomSize(atom) {
+  if (atom.raw) {
+    return atom.raw.length;
+  }
+  let size = 0;
+  if (atom.data) {
+    size = atom.data.length;
+  } else if (atom.children) {
+    for (const child of atom.children) {
+      size += getAtomSize(child);
+    }
+  }
+  return size + (atom.largeSize || size + 8 > 0xffffffff ? 16 : 8);
+}
+
+/**
+ * Writes an atom into a buffer.
+ *
+ * @arg {Object} atom - atom to write.
+ * @arg {Uint8Array} buff - buffer to write into.
+ * @arg {Number} n - position to write at.
+ * @returns {Number} position after the atom.
+ */
+function writeAtom(atom, buff, n) {
+  if (atom.raw) {
+    buff.set(atom.raw, n);
+    return n + atom.raw.length;
+  }
+
+  const size = getAtomSize(atom);
+  const view = new DataView(buff.buffer, buff.byteOffset, buff.byteLength);
+  const isLarge = atom.largeSize || size > 0xffffffff;
+
+  view.setUint32(n, isLarge ? 1 : size);
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(n + 4 + i, atom.type.charCodeAt(i));
+  }
+  n += 8;
+  if (isLarge) {
+    view.setUint32(n, Math.floor(size / 2 ** 32));
+    view.setUint32(n + 4, size % 2 ** 32);
+    n += 8;
+  }
+
+  if (atom.data) {
+    buff.set(atom.data, n);
+    n += atom.data.length;
+  } else if (atom.children) {
+    for (const child of atom.children) {
+      n = writeAtom(child, buff, n);
+    }
+  }
+
+  return n;
+}
+
+/**
+ * Serializes an atom.
+ *
+ * @arg {Object} atom - atom to write.
+ * @returns {Uint8Array} atom bytes.
+ */
+function serializeAtom(atom) {
+  const buff = new Uint8Array(getAtomSize(atom));
+  writeAtom(atom, buff, 0);
+  return buff;
+}
+
+/**
+ * Converts a parsed atom into an atom to write, so it can be changed.
+ *
+ * `replace` is called for each atom in the tree, and can return an atom
+ * to write in its place, or null to remove it. Atoms it returns undefined
+ * for are kept, with their children converted in turn. Any bytes that
+ * aren't in a child atom are kept as they are.
+ *
+ * @arg {Object} atom - parsed atom, from `consumeAtoms`.
+ * @arg {Uint8Array} bytes - file bytes from `offset` onwards, covering the atom.
+ * @arg {Number} offset - file position of `bytes`.
+ * @arg {Function} [replace] - called with each parsed atom.
+ * @returns {Object|null} atom to write.
+ */
+function fromParsedAtom(atom, bytes, offset, replace = () => undefined) {
+
+  const replacement = replace(atom);
+  if (replacement !== undefined) {
+    return replacement;
+  }
+
+  const start = atom.offset - offset;
+  const contentStart = start + atom.headerSize;
+  const end = start + atom.size;
+  const largeSize = atom.headerSize === 16;
+
+  if (!atom.atoms || atom.atoms.length === 0) {
+    return { type: atom.type, data: bytes.subarray(contentStart, end), largeSize };
+  }
+
+  const children = [];
+  let n = contentStart;
+  for (const child of atom.atoms) {
+    const childStart = child.offset - offset;
+    if (childStart > n) {
+      children.push({ raw: bytes.subarray(n, childStart) });
+    }
+    const converted = fromParsedAtom(child, bytes, offset, replace);
+    if (converted) {
+      children.push(converted);
+    }
+    n = childStart + child.size;
+  }
+  if (end > n) {
+    children.push({ raw: bytes.subarray(n, end) });
+  }
+
+  return { type: atom.type, children, largeSize };
+}
+
+export {
+  getAtomSize,
+  serializeAtom,
+  fromParsedAtom,
+};
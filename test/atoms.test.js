@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { consumeAtoms, findAtom, findAllAtoms, walkAtoms } from '../src/index.js';
+import { reviveAtoms } from '../src/atoms.js';
+import { box, createTestFile } from './helpers.js';
+
+async function readTestFile() {
+  const file = createTestFile({ udta: box('udta', box('free', [1, 2, 3, 4]), box('free', [5, 6])) });
+  return consumeAtoms(file, 0, file.length);
+}
+
+const typesOf = atoms => atoms.map(atom => atom.type);
+
+test('finds atoms by path, index and wildcard', async () => {
+  const atoms = await readTestFile();
+
+  assert.equal(findAllAtoms(atoms, 'moov/trak').length, 2);
+  assert.equal(findAtom(atoms, 'moov/trak[2]/mdia/hdlr').data.subtype, 'soun');
+  assert.equal(findAtom(atoms, 'moov/trak[3]'), undefined);
+  assert.deepEqual(findAllAtoms(atoms, 'trak'), []);
+  assert.deepEqual(typesOf(findAllAtoms(atoms, 'moov/*')), ['mvhd', 'trak', 'trak', 'udta']);
+  assert.deepEqual(typesOf(findAllAtoms(atoms, 'moov/*/mdia')), ['mdia', 'mdia']);
+  assert.deepEqual(findAllAtoms(atoms, 'moov/udta/free[2]').map(atom => atom.size), [10]);
+
+  // '**' searches at any depth, including none, in file order.
+  assert.deepEqual(findAllAtoms(atoms, '**/hdlr').map(atom => atom.data.subtype), ['vide', 'soun']);
+  assert.deepEqual(typesOf(findAllAtoms(atoms, '**/moov')), ['moov']);
+  assert.deepEqual(typesOf(findAllAtoms(atoms, 'moov/trak[2]/**/stsd/*')), ['mp4a']);
+  const all = [];
+  walkAtoms(atoms, atom => all.push(atom));
+  assert.deepEqual(findAllAtoms(atoms, '**'), all);
+
+  assert.throws(() => findAllAtoms(atoms, ''), /Invalid atom selector ""/);
+  assert.throws(() => findAllAtoms(atoms, 'moov/trak[x]'), /Invalid atom selector "moov\/trak\[x\]"/);
+});
+
+test('filters atoms with a predicate', async () => {
+  const atoms = await readTestFile();
+  const isSound = trak => trak.find('mdia/hdlr').data.subtype === 'soun';
+
+  assert.deepEqual(findAllAtoms(atoms, 'moov/trak', isSound), [findAtom(atoms, 'moov/trak[2]')]);
+  assert.equal(findAtom(atoms, 'moov/trak', trak => !isSound(trak)), findAtom(atoms, 'moov/trak[1]'));
+
+  // A predicate on its own tests every atom.
+  assert.deepEqual(typesOf(findAllAtoms(atoms, atom => atom.size === 10)), ['free']);
+  assert.equal(findAllAtoms(atoms, atom => atom.type === 'stsd').length, 2);
+});
+
+test('links atoms to their parent and siblings', async () => {
+  const atoms = await readTestFile();
+  const [ftyp, moov, mdat] = atoms;
+  const trak = moov.find('trak[2]');
+  const hdlr = trak.find('mdia/hdlr');
+
+  assert.equal(ftyp.parent, null);
+  assert.equal(moov.siblings, atoms);
+  assert.equal(hdlr.parent, trak.find('mdia'));
+  assert.equal(hdlr.parent.parent, trak);
+  assert.deepEqual(typesOf(hdlr.siblings), ['mdhd', 'hdlr', 'minf']);
+  assert.equal(trak.siblings, moov.children);
+  assert.deepEqual(ftyp.children, []);
+
+  assert.equal(hdlr.path, 'moov/trak[2]/mdia/hdlr');
+  assert.equal(moov.find('udta/free[2]').path, 'moov/udta/free[2]');
+  assert.equal(mdat.path, 'mdat[1]');
+
+  // Paths are selectors for the atoms they name.
+  walkAtoms(atoms, atom => assert.equal(findAtom(atoms, atom.path), atom));
+
+  // The walk can skip the atoms inside an atom.
+  const depths = [];
+  moov.walk((atom, depth) => {
+    depths.push(`${atom.type} ${depth}`);
+    return atom.type !== 'trak';
+  });
+  assert.deepEqual(depths, ['moov 0', 'mvhd 1', 'trak 1', 'trak 1', 'udta 1', 'free 2', 'free 2']);
+});
+
+test('serializes a tree without its parent and sibling links', async () => {
+  const atoms = await readTestFile();
+  const json = JSON.stringify(atoms);
+  const parsed = JSON.parse(json);
+
+  assert.deepEqual(Object.keys(parsed[1]).sort(), ['atoms', 'headerSize', 'offset', 'size', 'type']);
+  assert.ok(!json.includes('"parent"'));
+  assert.ok(!json.includes('"siblings"'));
+
+  // Reviving the tree brings the links back.
+  const revived = reviveAtoms(parsed);
+  assert.equal(JSON.stringify(revived), json);
+  const hdlr = findAtom(revived, 'moov/trak[2]/mdia/hdlr');
+  assert.equal(hdlr.path, 'moov/trak[2]/mdia/hdlr');
+  assert.equal(hdlr.parent.parent.parent, revived[1]);
+});
@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createTestFile } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+let dir;
+let video;
+let notVideo;
+let missing;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'mp4-info-cli-'));
+  video = join(dir, 'video.mp4');
+  notVideo = join(dir, 'notes.txt');
+  missing = join(dir, 'missing.mp4');
+  await writeFile(video, createTestFile());
+  await writeFile(notVideo, 'Not a video, just some text.\n');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+/**
+ * Runs the tool.
+ *
+ * @arg {Array} args - command-line arguments.
+ * @returns {Promise<Object>} {code, stdout, stderr}.
+ */
+function run(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('prints a summary of each file', async () => {
+  const { code, stdout, stderr } = await run(video);
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+  const lines = stdout.trimEnd().split('\n');
+  assert.equal(lines[0], video);
+  assert.match(lines[1], /^ {2}Container {3}mp4 \(video\/mp4\), brands isom, iso2, avc1, mp41$/);
+  assert.equal(lines[2], '  Size        1.9 KB');
+  assert.equal(lines[3], '  Duration    0:00:00.334');
+  assert.equal(lines[4], '  Tracks');
+  assert.equal(lines[5], '    1  video  avc1  640x360  29.97 fps  0:00:00.334  eng');
+  assert.match(lines[6], /^ {4}2 {2}audio {2}mp4a {2}2 ch {2}44100 Hz {2}0:00:00\.093/);
+});
+
+test('prints the atom tree', async () => {
+  const { code, stdout } = await run('--tree', video);
+  assert.equal(code, 0);
+  const lines = stdout.trimEnd().split('\n');
+  assert.equal(lines[0], 'ftyp  offset 0  size 32');
+  assert.match(lines[1], /^moov {2}offset 32 {2}size \d+$/);
+  assert.match(lines[2], /^ {2}mvhd {2}offset 40 {2}size 108$/);
+  assert.match(lines[lines.length - 1], /^mdat {2}offset \d+ {2}size 1008$/);
+  assert.ok(lines.some(line => /^ {10}stsd {2}offset \d+/.test(line)));
+});
+
+test('prints one CSV row or JSON line per file', async () => {
+  const csv = await run('--csv', video, notVideo);
+  assert.equal(csv.code, 1);
+  assert.equal(csv.stderr, '');
+  const rows = csv.stdout.trimEnd().split('\n');
+  assert.equal(rows[0], 'file,status,error,size,container,mimeType,duration,isFragmented,trackCount,width,height,frameRate,videoCodec,audioCodec,channelCount,sampleRate');
+  assert.match(rows[1], new RegExp(`^${video},ok,,\\d+,mp4,video/mp4,0.334,false,2,640,360,29.97\\d*,avc1,mp4a,2,44100$`));
+  assert.match(rows[2], new RegExp(`^${notVideo},invalid,`));
+
+  const ndjson = await run('--ndjson', video, missing);
+  assert.equal(ndjson.code, 2);
+  const [ok, unreadable] = ndjson.stdout.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual([ok.file, ok.status, ok.trackCount, ok.width], [video, 'ok', 2, 640]);
+  assert.deepEqual([unreadable.file, unreadable.status], [missing, 'unreadable']);
+  assert.match(unreadable.error, /ENOENT/);
+});
+
+test('prints the full result as JSON', async () => {
+  const { code, stdout } = await run('--json', video);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.size, createTestFile().length);
+  assert.equal(result.tracks.length, 2);
+  assert.deepEqual(result.atoms.map(atom => atom.type), ['ftyp', 'moov', 'mdat']);
+
+  // Several files are keyed by file.
+  const several = JSON.parse((await run('--json', video, missing)).stdout);
+  assert.deepEqual(Object.keys(several), [video, missing]);
+  assert.match(several[missing].error, /ENOENT/);
+});
+
+test('prints the atoms at a path', async () => {
+  const csv = await run('--csv', '--path', 'moov/trak/mdia/hdlr', video);
+  assert.equal(csv.code, 0);
+  const rows = csv.stdout.trimEnd().split('\n');
+  assert.equal(rows[0], 'file,path,type,offset,size');
+  assert.match(rows[1], new RegExp(`^${video},moov/trak\\[1\\]/mdia/hdlr,hdlr,\\d+,45$`));
+  assert.match(rows[2], new RegExp(`^${video},moov/trak\\[2\\]/mdia/hdlr,hdlr,\\d+,45$`));
+
+  const json = JSON.parse((await run('--path', '**/stsd/*', video)).stdout);
+  assert.deepEqual(json.map(atom => atom.path), ['moov/trak[1]/mdia/minf/stbl/stsd/avc1', 'moov/trak[2]/mdia/minf/stbl/stsd/mp4a']);
+});
+
+test('exits with 1 for an invalid file, and 2 for one that can\'t be read', async () => {
+  const invalid = await run(notVideo);
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, new RegExp(`^mp4-info: ${notVideo}: `));
+
+  const unreadable = await run(missing);
+  assert.equal(unreadable.code, 2);
+  assert.match(unreadable.stderr, new RegExp(`^mp4-info: ${missing}: ENOENT`));
+  assert.equal((await run(dir)).code, 2);
+
+  // The worst of several files wins.
+  assert.equal((await run(video, notVideo, missing)).code, 2);
+  assert.equal((await run(video, notVideo)).code, 1);
+
+  // A glob that matches nothing can't be read.
+  assert.equal((await run(join(dir, '*.mov'))).code, 2);
+  assert.equal((await run('--csv', join(dir, '*.mp4'))).code, 0);
+});
+
+test('exits with 64 for wrong options', async () => {
+  for (const args of [[], ['--tree', '--json', video], ['--path', 'moov/trak[x]', video], ['--nope', video]]) {
+    const { code, stdout, stderr } = await run(...args);
+    assert.equal(code, 64, args.join(' '));
+    assert.equal(stdout, '');
+    assert.notEqual(stderr, '');
+  }
+
+  const help = await run('--help');
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: mp4-info \[options\] <file\.\.\.>/);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info } from '../src/index.js';
+import { u8, u16, u32, str, box, fullBox, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, stbl, visualSampleEntry, audioSampleEntry } from './helpers.js';
+
+// A 4:2:0 8-bit high profile extension, after the parameter sets of an 'avcC'.
+const AVC_HIGH_EXTENSION = [0xfd, 0xf8, 0xf8, 0];
+
+function avcC(profile, compatibility, level, extension = []) {
+  return box('avcC', u8(1), u8(profile), u8(compatibility), u8(level), u8(0xff), u8(0xe1),
+    u16(4), [0x67, profile, compatibility, level], u8(1), u16(2), [0x68, 0xce], extension);
+}
+
+function esds(objectTypeIndication, audioSpecificConfig) {
+  const decoderConfig = [4, 13 + 2 + audioSpecificConfig.length, objectTypeIndication, 0x15, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0,
+    5, audioSpecificConfig.length, ...audioSpecificConfig];
+  return fullBox('esds', 0, 0, [3, 3 + decoderConfig.length + 3, 0, 1, 0, ...decoderConfig, 6, 1, 2]);
+}
+
+/**
+ * Reads the track of a file with one track, with the given sample entry.
+ */
+async function readTrack(handlerType, sampleEntry) {
+  const file = toBytes([ftyp(), box('moov',
+    mvhd(1000, 1000),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(1000, 1000), hdlr(handlerType, ''),
+      box('minf', stbl(sampleEntry, [10], 1000, 0)))))]);
+  const info = await getMp4Info(file);
+  return info.tracks[0];
+}
+
+const readVideo = (type, ...children) => readTrack('vide', visualSampleEntry(type, 640, 360, ...children));
+const readAudio = (type, ...children) => readTrack('soun', audioSampleEntry(type, 2, 16, 48000, ...children));
+
+test('gets H.264 codec strings from avcC', async () => {
+  const high = await readVideo('avc1', avcC(0x64, 0, 0x1f, AVC_HIGH_EXTENSION));
+  assert.equal(high.codec, 'avc1.64001F');
+  assert.deepEqual(high.codecInfo, { profile: 100, profileName: 'High', level: 3.1, bitDepth: 8, chromaSubsampling: '4:2:0' });
+
+  const baseline = await readVideo('avc3', avcC(0x42, 0xc0, 0x1e));
+  assert.equal(baseline.codec, 'avc3.42C01E');
+  assert.equal(baseline.codecInfo.profileName, 'Constrained Baseline');
+  assert.equal(baseline.codecInfo.level, 3);
+});
+
+test('gets H.265 codec strings from hvcC', async () => {
+
+  // Main profile, compatible with Main and Main 10, level 3.1, with one constraint flag byte.
+  const hvcC = box('hvcC', u8(1), u8(0x01), u32(0x60000000), [0xb0, 0, 0, 0, 0, 0], u8(93),
+    u16(0xf000), u8(0xfc), u8(0xfd), u8(0xf8), u8(0xf8), u16(0), u8(0x0f), u8(0));
+  const track = await readVideo('hvc1', hvcC);
+  assert.equal(track.codec, 'hvc1.1.6.L93.B0');
+  assert.deepEqual(track.codecInfo, {
+    profile: 1, profileName: 'Main', level: 3.1, tier: 'Main', bitDepth: 8, chromaSubsampling: '4:2:0'
+  });
+
+  // Main 10, high tier, with no constraint flags.
+  const main10 = box('hvcC', u8(1), u8(0x22), u32(0x20000000), [0, 0, 0, 0, 0, 0], u8(120),
+    u16(0xf000), u8(0xfc), u8(0xfd), u8(0xfa), u8(0xfa), u16(0), u8(0x0f), u8(0));
+  const track10 = await readVideo('hev1', main10);
+  assert.equal(track10.codec, 'hev1.2.4.H120');
+  assert.equal(track10.codecInfo.bitDepth, 10);
+});
+
+test('gets AV1 codec strings from av1C', async () => {
+
+  // Main profile, level 4.0 (8), main tier, 8-bit 4:2:0.
+  const track = await readVideo('av01', box('av1C', u8(0x81), u8(0x08), u8(0x0c), u8(0)));
+  assert.equal(track.codec, 'av01.0.08M.08');
+  assert.deepEqual(track.codecInfo, {
+    profile: 0, profileName: 'Main', level: 4, tier: 'Main', bitDepth: 8, chromaSubsampling: '4:2:0'
+  });
+
+  // High tier, 10-bit.
+  const tenBit = await readVideo('av01', box('av1C', u8(0x81), u8(0x0d), u8(0xcc), u8(0)));
+  assert.equal(tenBit.codec, 'av01.0.13H.10');
+});
+
+test('gets VP9 codec strings from vpcC', async () => {
+
+  // Profile 0, level 3.1, 8-bit 4:2:0.
+  const track = await readVideo('vp09', fullBox('vpcC', 1, 0, u8(0), u8(31), u8(0x82), u8(1), u8(1), u8(1), u16(0)));
+  assert.equal(track.codec, 'vp09.00.31.08');
+  assert.deepEqual(track.codecInfo, { profile: 0, level: 3.1, bitDepth: 8, chromaSubsampling: '4:2:0' });
+
+  // Profile 2, 10-bit.
+  const tenBit = await readVideo('vp09', fullBox('vpcC', 1, 0, u8(2), u8(40), u8(0xa2), u8(9), u8(16), u8(9), u16(0)));
+  assert.equal(tenBit.codec, 'vp09.02.40.10');
+});
+
+test('gets AAC codec strings from esds', async () => {
+
+  // AAC LC (object type 2), 48 kHz, stereo.
+  const track = await readAudio('mp4a', esds(0x40, [0x11, 0x90]));
+  assert.equal(track.codec, 'mp4a.40.2');
+  assert.deepEqual(track.codecInfo, { objectTypeIndication: 0x40, profile: 2, profileName: 'AAC LC' });
+
+  // QuickTime files keep it in a 'wave' atom.
+  const quickTime = await readAudio('mp4a', box('wave', box('frma', str('mp4a')), esds(0x40, [0x11, 0x90])));
+  assert.equal(quickTime.codec, 'mp4a.40.2');
+
+  // MP3 has no audio object type.
+  assert.equal((await readAudio('mp4a', esds(0x6b, []))).codec, 'mp4a.6B');
+});
+
+test('writes some formats in lower case', async () => {
+  assert.equal((await readAudio('Opus')).codec, 'opus');
+  assert.equal((await readAudio('fLaC')).codec, 'flac');
+  assert.equal((await readAudio('ac-3')).codec, 'ac-3');
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFastStartBlob, createFastStartStream, consumeAtoms, findAllAtoms, getMp4Info, getStreamingReport, createBufferSource } from '../src/index.js';
+import { getFastStartParts } from '../src/faststart.js';
+import { serializeAtom, fromParsedAtom } from '../src/writer.js';
+import { u32, u64, str, box, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, avc1, mp4a, stbl, createTestFile, createSparseSource, indexOfType } from './helpers.js';
+
+const CHUNK_OFFSETS = 'moov/trak/mdia/minf/stbl/*';
+
+/**
+ * Creates a file with 'moov' after 'mdat', and media data that differs at every byte position.
+ */
+function createMoovLastFile() {
+  const bytes = createTestFile({ moovFirst: false });
+  const mdat = indexOfType(bytes, 'mdat');
+  for (let i = mdat + 8; i < mdat + 1008; i++) {
+    bytes[i] = i % 251;
+  }
+  return bytes;
+}
+
+/**
+ * Reads the chunk offsets of each track, from 'stco' or 'co64'.
+ */
+async function getChunkOffsets(bytes) {
+  const atoms = await consumeAtoms(bytes, 0, bytes.length, { parseSampleTables: true });
+  return findAllAtoms(atoms, CHUNK_OFFSETS, atom => atom.type === 'stco' || atom.type === 'co64')
+    .map(atom => ({ type: atom.type, chunkOffsets: atom.data.chunkOffsets }));
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(...chunk);
+  }
+  return new Uint8Array(chunks);
+}
+
+test('moves moov ahead of mdat, and shifts the chunk offsets with the media data', async () => {
+  const input = createMoovLastFile();
+  const output = new Uint8Array(await (await createFastStartBlob(input)).arrayBuffer());
+
+  assert.equal(output.length, input.length);
+  const atoms = await consumeAtoms(output, 0, output.length);
+  assert.deepEqual(atoms.map(atom => atom.type), ['ftyp', 'moov', 'mdat']);
+
+  // 'moov' is now before the media data, which moves along by its size.
+  const moovSize = atoms[1].size;
+  const before = await getChunkOffsets(input);
+  const after = await getChunkOffsets(output);
+  assert.deepEqual(after, before.map(({ type, chunkOffsets }) => ({ type, chunkOffsets: chunkOffsets.map(offset => offset + moovSize) })));
+
+  // The chunks point at the same media data as before.
+  after.forEach(({ chunkOffsets }, i) => {
+    const offset = before[i].chunkOffsets[0];
+    assert.deepEqual(output.slice(chunkOffsets[0], chunkOffsets[0] + 20), input.slice(offset, offset + 20));
+  });
+
+  assert.equal((await getStreamingReport(output)).isFastStart, true);
+  assert.deepEqual((await getMp4Info(output)).tracks, (await getMp4Info(input)).tracks);
+});
+
+test('leaves a file with moov first as it is', async () => {
+  const input = createTestFile();
+  assert.deepEqual(await getFastStartParts(createBufferSource(input), await consumeAtoms(input, 0, input.length)), [{ offset: 0, size: input.length }]);
+  assert.deepEqual(new Uint8Array(await (await createFastStartBlob(input)).arrayBuffer()), input);
+});
+
+test('upgrades every stco to co64 when an offset moves past 4 GiB', async () => {
+
+  // 'mdat' ends just before 4 GiB, so moving 'moov' ahead of it pushes its last chunk past.
+  const header = toBytes(ftyp());
+  const mdatSize = 2 ** 32 - 256 - header.length;
+  const firstChunk = header.length + 16;
+  const lastChunk = header.length + mdatSize - 100;
+  const moov = toBytes(box('moov',
+    mvhd(1000, 334),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(30000, 1001), hdlr('vide', 'VideoHandler'),
+      box('minf', stbl(avc1(640, 360), [50], 1001, firstChunk)))),
+    box('trak', tkhd(2, 0, 0), box('mdia', mdhd(44100, 1024), hdlr('soun', 'SoundHandler'),
+      box('minf', stbl(mp4a(2, 16, 44100), [20], 1024, lastChunk))))));
+  const source = createSparseSource(header.length + mdatSize + moov.length, [
+    { offset: 0, bytes: header },
+    { offset: header.length, bytes: toBytes([u32(1), str('mdat'), u64(mdatSize)]) },
+    { offset: header.length + mdatSize, bytes: moov },
+  ]);
+
+  const parts = await getFastStartParts(source, await consumeAtoms(source, 0, source.size));
+  assert.deepEqual(parts.map(part => part.bytes ? 'bytes' : part), [
+    { offset: 0, size: header.length },
+    'bytes',
+    { offset: header.length, size: mdatSize },
+  ]);
+
+  // Each of the two offsets takes 4 more bytes.
+  const moovBytes = parts[1].bytes;
+  assert.equal(moovBytes.length, moov.length + 8);
+  assert.deepEqual(await getChunkOffsets(new Uint8Array([...header, ...moovBytes])), [
+    { type: 'co64', chunkOffsets: [firstChunk + moovBytes.length] },
+    { type: 'co64', chunkOffsets: [lastChunk + moovBytes.length] },
+  ]);
+  assert.ok(lastChunk + moovBytes.length > 0xffffffff);
+});
+
+test('writes the same file as a stream as a Blob', async () => {
+  const input = createMoovLastFile();
+  const fromBlob = new Uint8Array(await (await createFastStartBlob(input)).arrayBuffer());
+  assert.deepEqual(await readStream(await createFastStartStream(input)), fromBlob);
+
+  // Blobs are sliced rather than read, and keep their type.
+  const blob = await createFastStartBlob(new Blob([input], { type: 'video/mp4' }));
+  assert.equal(blob.type, 'video/mp4');
+  assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), fromBlob);
+});
+
+test('writes a parsed atom back as it was', async () => {
+  const input = createTestFile({ udta: box('udta', box('free', [1, 2, 3])) });
+  const atoms = await consumeAtoms(input, 0, input.length);
+  const moov = atoms.find(atom => atom.type === 'moov');
+  assert.deepEqual(serializeAtom(fromParsedAtom(moov, input, 0)), input.slice(moov.offset, moov.offset + moov.size));
+
+  // Atoms can be replaced or removed.
+  const withoutUdta = serializeAtom(fromParsedAtom(moov, input, 0, atom => atom.type === 'udta' ? null : undefined));
+  assert.equal(withoutUdta.length, moov.size - 19);
+  const larger = serializeAtom(fromParsedAtom(moov, input, 0, atom => atom.type === 'free' ? { type: 'free', data: new Uint8Array(10) } : undefined));
+  assert.equal(larger.length, moov.size + 7);
+});
@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info } from '../src/index.js';
+import { u8, u16, u32, u64, zeros, box, fullBox, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, avc1, mp4a } from './helpers.js';
+
+// Sample table of a track whose samples are all in fragments.
+function emptyStbl(sampleEntry) {
+  return box('stbl',
+    fullBox('stsd', 0, 0, u32(1), sampleEntry),
+    fullBox('stts', 0, 0, u32(0)),
+    fullBox('stsc', 0, 0, u32(0)),
+    fullBox('stsz', 0, 0, u32(0), u32(0)),
+    fullBox('stco', 0, 0, u32(0)));
+}
+
+function trex(trackId, defaultSampleDuration) {
+  return fullBox('trex', 0, 0, u32(trackId), u32(1), u32(defaultSampleDuration), u32(0), u32(0));
+}
+
+/**
+ * Builds a fragmented file, with a 30000 Hz video track and a 48000 Hz audio track.
+ *
+ * Video samples take their duration from 'trex' in the first fragment, and
+ * from 'tfhd' in the second. Audio samples have their own, in 'trun'.
+ * The fragments are indexed by 'sidx' before them, and by 'mfra' after.
+ *
+ * @returns {Object} file, and the offsets and sizes of its parts.
+ */
+function createFragmentedFile() {
+  const header = ftyp('iso6', ['iso6', 'dash']);
+  const moov = box('moov',
+    mvhd(1000, 0),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(30000, 0), hdlr('vide', 'VideoHandler'),
+      box('minf', emptyStbl(avc1(640, 360))))),
+    box('trak', tkhd(2, 0, 0), box('mdia', mdhd(48000, 0), hdlr('soun', 'SoundHandler'),
+      box('minf', emptyStbl(mp4a(2, 16, 48000))))),
+    box('mvex', fullBox('mehd', 0, 0, u32(2000)), trex(1, 1001), trex(2, 1024)));
+
+  const fragment = (sequenceNumber, videoTfhd, videoTime, audioTime) => [
+    box('moof',
+      fullBox('mfhd', 0, 0, u32(sequenceNumber)),
+      box('traf',
+        videoTfhd,
+        fullBox('tfdt', 1, 0, u64(videoTime)),
+        fullBox('trun', 0, 0x200, u32(2), u32(10), u32(10))),
+      box('traf',
+        fullBox('tfhd', 0, 0x20000, u32(2)),
+        fullBox('tfdt', 0, 0, u32(audioTime)),
+        fullBox('trun', 0, 0x300, u32(3), u32(1024), u32(5), u32(1024), u32(5), u32(1024), u32(5)))),
+    box('mdat', zeros(35)),
+  ];
+  const first = fragment(1, fullBox('tfhd', 0, 0x20000, u32(1)), 0, 0).flat(Infinity);
+  const second = fragment(2, fullBox('tfhd', 0, 0x20008, u32(1), u32(500)), 2002, 3072).flat(Infinity);
+
+  const sidx = fullBox('sidx', 0, 0, u32(1), u32(30000), u32(0), u32(0), u16(0), u16(2),
+    u32(first.length), u32(2002), u32(0x90000000),
+    u32(second.length), u32(1000), u32(0x90000000));
+
+  const firstOffset = header.length + moov.length + sidx.length;
+  const secondOffset = firstOffset + first.length;
+
+  // Track 1 has 8-bit numbers, and track 2 16-bit numbers and 64-bit times.
+  const tfra = [
+    fullBox('tfra', 0, 0, u32(1), u32(0), u32(2),
+      u32(0), u32(firstOffset), u8(1), u8(1), u8(1),
+      u32(2002), u32(secondOffset), u8(1), u8(1), u8(1)),
+    fullBox('tfra', 1, 0, u32(2), u32(0x15), u32(1),
+      u64(3072), u64(secondOffset), u16(2), u16(1), u16(1)),
+  ];
+  const tfraSize = tfra.reduce((total, atom) => total + atom.length, 0);
+  const mfra = box('mfra', tfra, fullBox('mfro', 0, 0, u32(8 + tfraSize + 16)));
+
+  return {
+    file: toBytes([header, moov, sidx, first, second, mfra]),
+    sidxEnd: firstOffset,
+    fragments: [{ offset: firstOffset, size: first.length }, { offset: secondOffset, size: second.length }],
+  };
+}
+
+// Fragment times are in seconds, from the earliest start and longest track.
+test('sums up each fragment, with durations from trex, tfhd and trun', async () => {
+  const { file, fragments } = createFragmentedFile();
+  const info = await getMp4Info(file);
+
+  assert.equal(info.isFragmented, true);
+  assert.deepEqual(info.fragments, [
+    {
+      offset: fragments[0].offset,
+      size: fragments[0].size,
+      sequenceNumber: 1,
+      sampleCount: 5,
+      baseDecodeTime: 0,
+      duration: 2002 / 30000,
+      tracks: [
+        { trackId: 1, sampleCount: 2, duration: 2002, baseDecodeTime: 0 },
+        { trackId: 2, sampleCount: 3, duration: 3072, baseDecodeTime: 0 },
+      ],
+    },
+    {
+      offset: fragments[1].offset,
+      size: fragments[1].size,
+      sequenceNumber: 2,
+      sampleCount: 5,
+      baseDecodeTime: 3072 / 48000,
+      duration: 3072 / 48000,
+      tracks: [
+        { trackId: 1, sampleCount: 2, duration: 1000, baseDecodeTime: 2002 },
+        { trackId: 2, sampleCount: 3, duration: 3072, baseDecodeTime: 3072 },
+      ],
+    },
+  ]);
+});
+
+test('gets track totals and the duration from the fragments', async () => {
+  const info = await getMp4Info(createFragmentedFile().file);
+  const [video, audio] = info.tracks;
+
+  assert.equal(video.sampleCount, 4);
+  assert.equal(video.duration, 3002 / 30000);
+  assert.equal(video.isVariableFrameRate, true);
+  assert.equal(audio.sampleCount, 6);
+  assert.equal(audio.duration, 6144 / 48000);
+
+  // 'moov' has no duration, so it comes from 'mehd', in the movie timescale.
+  assert.equal(info.duration, 2);
+});
+
+test('reads segment indexes from sidx', async () => {
+  const { file, sidxEnd, fragments } = createFragmentedFile();
+  const info = await getMp4Info(file);
+
+  assert.deepEqual(info.segmentIndexes, [{
+    referenceId: 1,
+    timeScale: 30000,
+    references: [
+      { type: 'media', offset: sidxEnd, size: fragments[0].size, time: 0, duration: 2002, startsWithSap: true, sapType: 1 },
+      { type: 'media', offset: fragments[1].offset, size: fragments[1].size, time: 2002, duration: 1000, startsWithSap: true, sapType: 1 },
+    ],
+  }]);
+});
+
+test('reads random access points from mfra', async () => {
+  const { file, fragments } = createFragmentedFile();
+  const info = await getMp4Info(file);
+
+  assert.deepEqual(info.randomAccess, [
+    {
+      trackId: 1,
+      timeScale: 30000,
+      entries: [
+        { time: 0, moofOffset: fragments[0].offset, trafNumber: 1, trunNumber: 1, sampleNumber: 1 },
+        { time: 2002, moofOffset: fragments[1].offset, trafNumber: 1, trunNumber: 1, sampleNumber: 1 },
+      ],
+    },
+    {
+      trackId: 2,
+      timeScale: 48000,
+      entries: [
+        { time: 3072, moofOffset: fragments[1].offset, trafNumber: 2, trunNumber: 1, sampleNumber: 1 },
+      ],
+    },
+  ]);
+});
+
+test('counts a file with trex but no fragments yet as fragmented', async () => {
+  const file = toBytes([ftyp('iso6', ['iso6']), box('moov',
+    mvhd(1000, 0),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(30000, 0), hdlr('vide', 'VideoHandler'),
+      box('minf', emptyStbl(avc1(640, 360))))),
+    box('mvex', trex(1, 1001)))]);
+  const info = await getMp4Info(file);
+  assert.equal(info.isFragmented, true);
+  assert.deepEqual(info.fragments, []);
+  assert.equal(info.segmentIndexes, undefined);
+  assert.equal(info.randomAccess, undefined);
+});
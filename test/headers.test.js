@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info, consumeAtomHeader, consumeAtoms } from '../src/index.js';
+import { IDENTITY_MATRIX, u16, u32, u64, zeros, str, box, fullBox, toBytes, ftyp, hdlr, avc1, stbl, createSparseSource } from './helpers.js';
+
+// Times past the 32-bit range: 2^32 seconds after 1904 is 2040-02-06T06:28:16Z.
+const CREATION_TIME = 2 ** 32 + 3600;
+const MODIFICATION_TIME = 2 ** 32 + 7200;
+const MOVIE_DURATION = 2 ** 32 + 16;
+const MEDIA_DURATION = 2 ** 40 + 90000;
+
+// An 'mdat' with a 64-bit size, larger than 4 GiB.
+const MDAT_SIZE = 5 * 2 ** 30 + 123;
+
+function mvhdV1(timeScale, duration) {
+  return fullBox('mvhd', 1, 0, u64(CREATION_TIME), u64(MODIFICATION_TIME), u32(timeScale), u64(duration),
+    u32(0x10000), u16(0x100), zeros(10), IDENTITY_MATRIX.map(u32), zeros(24), u32(2));
+}
+
+function tkhdV1(id, duration, width, height) {
+  return fullBox('tkhd', 1, 3, u64(CREATION_TIME), u64(MODIFICATION_TIME), u32(id), u32(0), u64(duration),
+    zeros(8), u16(0), u16(0), u16(0), u16(0), IDENTITY_MATRIX.map(u32), u32(width * 0x10000), u32(height * 0x10000));
+}
+
+function mdhdV1(timeScale, duration) {
+  return fullBox('mdhd', 1, 0, u64(CREATION_TIME), u64(MODIFICATION_TIME), u32(timeScale), u64(duration),
+    u16(0x15c7), u16(0));
+}
+
+/**
+ * Creates a file with an 'mdat' over 4 GiB, followed by a 'moov' of version 1 headers.
+ */
+function createLargeFile() {
+  const header = toBytes(ftyp());
+  const mdatHeader = toBytes([u32(1), str('mdat'), u64(MDAT_SIZE)]);
+  const moov = toBytes(box('moov',
+    mvhdV1(1000, MOVIE_DURATION),
+    box('trak', tkhdV1(1, MOVIE_DURATION, 1920, 1080), box('mdia', mdhdV1(90000, MEDIA_DURATION), hdlr('vide', 'VideoHandler'),
+      box('minf', stbl(avc1(1920, 1080), [100], 3000, header.length + 16))))));
+  const moovOffset = header.length + MDAT_SIZE;
+
+  return createSparseSource(moovOffset + moov.length, [
+    { offset: 0, bytes: header },
+    { offset: header.length, bytes: mdatHeader },
+    { offset: moovOffset, bytes: moov },
+  ]);
+}
+
+test('reads a 64-bit atom size', async () => {
+  const bytes = toBytes([u32(1), str('mdat'), u64(2 ** 32 + 24), zeros(8)]);
+  const atom = await consumeAtomHeader(createSparseSource(2 ** 32 + 24, [{ offset: 0, bytes }]), 0, 2 ** 32 + 24);
+  assert.equal(atom.type, 'mdat');
+  assert.equal(atom.size, 4294967320);
+  assert.equal(atom.headerSize, 16);
+});
+
+test('rejects a 64-bit atom size smaller than its header', async () => {
+  const bytes = toBytes([u32(1), str('free'), u64(12)]);
+  await assert.rejects(consumeAtomHeader(bytes, 0, bytes.length), /Invalid Atom Size/);
+});
+
+test('reads atoms after an mdat over 4 GiB', async () => {
+  const source = createLargeFile();
+  const atoms = await consumeAtoms(source, 0, source.size);
+  assert.deepEqual(atoms.map(({ type, offset, size, headerSize }) => ({ type, offset, size, headerSize })), [
+    { type: 'ftyp', offset: 0, size: 32, headerSize: 8 },
+    { type: 'mdat', offset: 32, size: 5368709243, headerSize: 16 },
+    { type: 'moov', offset: 5368709275, size: atoms[2].size, headerSize: 8 },
+  ]);
+});
+
+test('reads version 1 mvhd, tkhd and mdhd with 64-bit times', async () => {
+  const info = await getMp4Info(createLargeFile());
+
+  const mvhd = info.atoms[2].find('mvhd');
+  assert.equal(mvhd.data.version, 1);
+  assert.equal(mvhd.data.creationTime, 4294970896);
+  assert.equal(mvhd.data.modificationTime, 4294974496);
+  assert.equal(mvhd.data.timeScale, 1000);
+  assert.equal(mvhd.data.duration, 4294967312);
+  assert.equal(mvhd.data.rate, 1);
+  assert.equal(mvhd.data.volume, 1);
+
+  const tkhd = info.atoms[2].find('trak/tkhd');
+  assert.equal(tkhd.data.version, 1);
+  assert.equal(tkhd.data.trackId, 1);
+  assert.equal(tkhd.data.duration, 4294967312);
+  assert.equal(tkhd.data.width, 1920);
+  assert.equal(tkhd.data.height, 1080);
+
+  const mdhd = info.atoms[2].find('trak/mdia/mdhd');
+  assert.equal(mdhd.data.version, 1);
+  assert.equal(mdhd.data.timeScale, 90000);
+  assert.equal(mdhd.data.duration, 1099511717776);
+  assert.equal(mdhd.data.languageCode, 'eng');
+
+  assert.equal(info.duration, 4294967.312);
+  assert.equal(info.creationDate.toISOString(), '2040-02-06T07:28:16.000Z');
+  assert.equal(info.modificationDate.toISOString(), '2040-02-06T08:28:16.000Z');
+  assert.equal(info.tracks[0].duration, 1099511717776 / 90000);
+  assert.equal(info.tracks[0].creationDate.toISOString(), '2040-02-06T07:28:16.000Z');
+  assert.equal(info.width, 1920);
+  assert.equal(info.height, 1080);
+});
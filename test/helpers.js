@@ -0,0 +1,222 @@
+/*
+  mp4-info - test/helpers.js
+
+  Builds small synthetic files for the tests, so no media files need
+  to be checked in. Builders return plain arrays of bytes, which can be
+  nested in each other, and `toBytes` turns the result into a Uint8Array.
+*/
+
+// Identity transformation matrix, as in 'mvhd' and 'tkhd'.
+const IDENTITY_MATRIX = [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000];
+
+function u8(n) {
+  return [n & 0xff];
+}
+
+function u16(n) {
+  return [(n >> 8) & 0xff, n & 0xff];
+}
+
+function u24(n) {
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+function u32(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function u64(n) {
+  const big = BigInt(n);
+  return [...u32(Number(big >> 32n)), ...u32(Number(big & 0xffffffffn))];
+}
+
+function f64(n) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, n);
+  return [...new Uint8Array(view.buffer)];
+}
+
+function zeros(count) {
+  return new Array(count).fill(0);
+}
+
+/**
+ * Gets the bytes of a string of single-byte characters, such as '©nam'.
+ */
+function str(text) {
+  return [...text].map(char => char.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Builds an atom, from any number of (nested arrays of) bytes.
+ */
+function box(type, ...parts) {
+  const body = parts.flat(Infinity);
+  return [...u32(body.length + 8), ...str(type), ...body];
+}
+
+/**
+ * Builds a full box, with a version and flags.
+ */
+function fullBox(type, version, flags, ...parts) {
+  return box(type, u8(version), u24(flags), ...parts);
+}
+
+function toBytes(parts) {
+  return new Uint8Array(parts.flat(Infinity));
+}
+
+function ftyp(majorBrand = 'isom', compatibleBrands = ['isom', 'iso2', 'avc1', 'mp41']) {
+  return box('ftyp', str(majorBrand), u32(512), compatibleBrands.map(str));
+}
+
+function mvhd(timeScale, duration) {
+  return fullBox('mvhd', 0, 0, u32(1), u32(2), u32(timeScale), u32(duration), u32(0x10000), u16(0x100),
+    zeros(10), IDENTITY_MATRIX.map(u32), zeros(24), u32(3));
+}
+
+function tkhd(id, width, height) {
+  return fullBox('tkhd', 0, 3, u32(1), u32(2), u32(id), u32(0), u32(1000), zeros(8),
+    u16(0), u16(0), u16(0), u16(0), IDENTITY_MATRIX.map(u32), u32(width * 0x10000), u32(height * 0x10000));
+}
+
+function mdhd(timeScale, duration) {
+  return fullBox('mdhd', 0, 0, u32(1), u32(2), u32(timeScale), u32(duration), u16(0x15c7), u16(0));
+}
+
+function hdlr(subtype, name) {
+  return fullBox('hdlr', 0, 0, u32(0), str(subtype), zeros(12), str(name), [0]);
+}
+
+/**
+ * Builds a visual sample entry, such as 'avc1' or 'hvc1'.
+ */
+function visualSampleEntry(type, width, height, ...children) {
+  return box(type, zeros(6), u16(1), zeros(16), u16(width), u16(height), u32(0x480000), u32(0x480000),
+    u32(0), u16(1), zeros(32), u16(24), u16(0xffff), children);
+}
+
+/**
+ * Builds a version 0 audio sample entry, such as 'mp4a' or 'Opus'.
+ */
+function audioSampleEntry(type, channelCount, sampleSize, sampleRate, ...children) {
+  return box(type, zeros(6), u16(1), zeros(8), u16(channelCount), u16(sampleSize), u16(0), u16(0),
+    u32(sampleRate * 0x10000), children);
+}
+
+function avc1(width, height, ...children) {
+  return visualSampleEntry('avc1', width, height, ...children);
+}
+
+function mp4a(channelCount, sampleSize, sampleRate, ...children) {
+  return audioSampleEntry('mp4a', channelCount, sampleSize, sampleRate, ...children);
+}
+
+/**
+ * Builds a sample table, of `sizes.length` samples of `delta` each, in one chunk at `chunkOffset`.
+ */
+function stbl(sampleEntry, sizes, delta, chunkOffset) {
+  return box('stbl',
+    fullBox('stsd', 0, 0, u32(1), sampleEntry),
+    fullBox('stts', 0, 0, u32(1), u32(sizes.length), u32(delta)),
+    fullBox('stsc', 0, 0, u32(1), u32(1), u32(sizes.length), u32(1)),
+    fullBox('stsz', 0, 0, u32(0), u32(sizes.length), sizes.map(u32)),
+    fullBox('stco', 0, 0, u32(1), u32(chunkOffset)));
+}
+
+/**
+ * Builds a file with a 640x360 video track and a stereo audio track,
+ * 0.334 seconds long.
+ *
+ * @arg {Object} [options].
+ * @arg {Boolean} [options.moovFirst] - put 'moov' before 'mdat'. Defaults to true.
+ * @arg {Number} [options.mdatSize] - bytes of media data. Defaults to 1000.
+ * @arg {Array} [options.udta] - 'udta' atom to add to 'moov'.
+ * @returns {Uint8Array} file.
+ */
+function createTestFile({ moovFirst = true, mdatSize = 1000, udta = [] } = {}) {
+  const videoSizes = [100, 50, 50, 50, 50, 100, 50, 50, 50, 50];
+  const audioSizes = [20, 20, 20, 20];
+
+  const buildMoov = mdatStart => box('moov',
+    mvhd(1000, 334),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(30000, 10010), hdlr('vide', 'VideoHandler'),
+      box('minf', stbl(avc1(640, 360), videoSizes, 1001, mdatStart)))),
+    box('trak', tkhd(2, 0, 0), box('mdia', mdhd(44100, 4096), hdlr('soun', 'SoundHandler'),
+      box('minf', stbl(mp4a(2, 16, 44100), audioSizes, 1024, mdatStart + 600)))),
+    udta);
+
+  const header = ftyp();
+  const mdat = box('mdat', zeros(mdatSize));
+  if (moovFirst) {
+    const moovSize = buildMoov(0).length;
+    return toBytes([header, buildMoov(header.length + moovSize + 8), mdat]);
+  }
+  return toBytes([header, mdat, buildMoov(header.length + 8)]);
+}
+
+/**
+ * Creates a byte source for a file that's mostly zeros, from the parts of it that aren't.
+ *
+ * @arg {Number} size - file size.
+ * @arg {Array} parts - {offset, bytes}.
+ * @returns {Object} byte source.
+ */
+function createSparseSource(size, parts) {
+  return {
+    size,
+    async read(start, end) {
+      end = Math.min(end, size);
+      const result = new Uint8Array(Math.max(end - start, 0));
+      for (const { offset, bytes } of parts) {
+        const from = Math.max(start, offset);
+        const to = Math.min(end, offset + bytes.length);
+        if (from < to) {
+          result.set(bytes.subarray(from - offset, to - offset), from - start);
+        }
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Finds the offset of the first atom of a type in a file's bytes.
+ */
+function indexOfType(bytes, type) {
+  const [a, b, c, d] = str(type);
+  for (let i = 4; i < bytes.length - 3; i++) {
+    if (bytes[i] === a && bytes[i + 1] === b && bytes[i + 2] === c && bytes[i + 3] === d) {
+      return i - 4;
+    }
+  }
+  return -1;
+}
+
+export {
+  IDENTITY_MATRIX,
+  u8,
+  u16,
+  u24,
+  u32,
+  u64,
+  f64,
+  zeros,
+  str,
+  box,
+  fullBox,
+  toBytes,
+  ftyp,
+  mvhd,
+  tkhd,
+  mdhd,
+  hdlr,
+  visualSampleEntry,
+  audioSampleEntry,
+  avc1,
+  mp4a,
+  stbl,
+  createTestFile,
+  createSparseSource,
+  indexOfType,
+};
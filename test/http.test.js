@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { getMp4Info, createHttpSource } from '../src/index.js';
+import { createTestFile, indexOfType } from './helpers.js';
+
+const BLOCK_SIZE = 4096;
+
+/**
+ * Serves a file, answering Range requests with "206 Partial Content",
+ * and records the ranges requested.
+ *
+ * @returns {Promise<Object>} {url, requests, close}.
+ */
+async function serve(file) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const match = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+    if (!match) {
+      res.writeHead(200, { 'Content-Length': file.length });
+      res.end(file);
+      return;
+    }
+    const start = Number(match[1]);
+    const end = Math.min(Number(match[2]), file.length - 1);
+    requests.push({ start, end });
+    res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${file.length}` });
+    res.end(file.subarray(start, end + 1));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/video.mp4`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+test('reads a file with moov at the end without requesting mdat', async () => {
+  const file = createTestFile({ moovFirst: false, mdatSize: 1024 * 1024 });
+  const moovOffset = indexOfType(file, 'moov');
+  const server = await serve(file);
+  try {
+    const source = await createHttpSource(server.url, { blockSize: BLOCK_SIZE });
+    const info = await getMp4Info(source);
+
+    assert.equal(info.duration, 0.334);
+    assert.equal(info.width, 640);
+    assert.deepEqual(info.atoms.map(atom => atom.type), ['ftyp', 'mdat', 'moov']);
+
+    // Only the first block, with the 'mdat' header, and the blocks with 'moov' are requested.
+    const moovBlockStart = Math.floor(moovOffset / BLOCK_SIZE) * BLOCK_SIZE;
+    for (const { start, end } of server.requests) {
+      assert.ok(end < BLOCK_SIZE || start >= moovBlockStart, `requested bytes ${start}-${end}`);
+    }
+    const requested = server.requests.reduce((total, { start, end }) => total + end - start + 1, 0);
+    assert.ok(requested <= 2 * BLOCK_SIZE, `requested ${requested} bytes`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('batches small reads through the block cache', async () => {
+  const file = createTestFile({ moovFirst: false, mdatSize: 1024 * 1024 });
+  const server = await serve(file);
+  try {
+    const source = await createHttpSource(new URL(server.url), { blockSize: BLOCK_SIZE });
+    let reads = 0;
+    const countingSource = {
+      size: source.size,
+      read(start, end) {
+        reads++;
+        return source.read(start, end);
+      },
+    };
+    await getMp4Info(countingSource);
+
+    // Without 'prefetch', each atom header is a separate read, which the cache
+    // serves from the first block and the one or two blocks holding 'moov'.
+    assert.ok(reads > 40, `made ${reads} reads`);
+    assert.ok(server.requests.length <= 3, `made ${server.requests.length} requests`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('reads the same bytes as the file', async () => {
+  const file = createTestFile({ mdatSize: 3 * BLOCK_SIZE + 17 });
+  const server = await serve(file);
+  try {
+    const source = await createHttpSource(server.url, { blockSize: BLOCK_SIZE, cacheSize: 2 * BLOCK_SIZE });
+    assert.equal(source.size, file.length);
+    assert.deepEqual(await source.read(0, file.length), file);
+    assert.deepEqual(await source.read(BLOCK_SIZE - 3, BLOCK_SIZE + 5), file.subarray(BLOCK_SIZE - 3, BLOCK_SIZE + 5));
+  } finally {
+    await server.close();
+  }
+});
+
+test('sends extra headers and fails without Range support', async () => {
+  let authorization;
+  const server = createServer((req, res) => {
+    authorization = req.headers.authorization;
+    res.writeHead(200);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/video.mp4`;
+    await assert.rejects(createHttpSource(url, { headers: { Authorization: 'Bearer token' } }), /status 200/);
+    assert.equal(authorization, 'Bearer token');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
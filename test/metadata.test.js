@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info, writeMetadata } from '../src/index.js';
+import { str, box, fullBox, hdlr, createTestFile } from './helpers.js';
+
+/**
+ * Writes tags to a file, and parses the result.
+ */
+async function writeAndRead(file, changes, options) {
+  const blob = await writeMetadata(file, changes);
+  return getMp4Info(new Uint8Array(await blob.arrayBuffer()), options);
+}
+
+/**
+ * Gets the types of the atoms in a list, such as ['hdlr', 'ilst'].
+ */
+function getTypes(atoms) {
+  return atoms.map(atom => atom.type);
+}
+
+test('adds an item list to a file with no udta', async () => {
+  const info = await writeAndRead(createTestFile(), { title: 'Holiday' });
+  assert.equal(info.tags.title, 'Holiday');
+
+  const moov = info.atoms.find(atom => atom.type === 'moov');
+  assert.equal(moov.findAll('udta').length, 1);
+  assert.deepEqual(getTypes(moov.find('udta/meta').children), ['hdlr', 'ilst']);
+  assert.equal(moov.find('udta/meta/hdlr').data.subtype, 'mdir');
+});
+
+test('adds an item list to the meta a file already has', async () => {
+  const udta = box('udta', fullBox('meta', 0, 0, hdlr('mdir', '')), box('©too', [0, 4, 0x55, 0xc4], str('Lavf')));
+  const info = await writeAndRead(createTestFile({ udta }), { title: 'Holiday' });
+  assert.equal(info.tags.title, 'Holiday');
+  assert.equal(info.tags.encoder, 'Lavf');
+
+  const moov = info.atoms.find(atom => atom.type === 'moov');
+  assert.equal(moov.findAll('udta').length, 1);
+  assert.deepEqual(getTypes(moov.find('udta').children), ['meta', '©too']);
+  assert.deepEqual(getTypes(moov.find('udta/meta').children), ['hdlr', 'ilst']);
+});
+
+test('adds a handler to a meta with no children', async () => {
+  const udta = box('udta', fullBox('meta', 0, 0));
+  const info = await writeAndRead(createTestFile({ udta }), { title: 'Holiday', artist: 'Me' });
+  assert.equal(info.tags.title, 'Holiday');
+  assert.equal(info.tags.artist, 'Me');
+
+  const moov = info.atoms.find(atom => atom.type === 'moov');
+  assert.equal(moov.findAll('udta/meta').length, 1);
+  assert.deepEqual(getTypes(moov.find('udta/meta').children), ['hdlr', 'ilst']);
+  assert.equal(moov.find('udta/meta/hdlr').data.subtype, 'mdir');
+});
+
+test('keeps chunk offsets pointing at the same media data', async () => {
+  const file = createTestFile({ udta: box('udta', fullBox('meta', 0, 0, hdlr('mdir', ''))) });
+  const before = await getMp4Info(file, { parseSampleTables: true });
+  const after = await writeAndRead(file, { title: 'Holiday' }, { parseSampleTables: true });
+
+  const getChunkOffset = info => info.atoms[1].find('trak[1]/**/stco').data.chunkOffsets[0];
+  const growth = after.atoms[1].size - before.atoms[1].size;
+  assert.ok(growth > 0);
+  assert.equal(getChunkOffset(after), getChunkOffset(before) + growth);
+});
+
+test('adds several QuickTime-only tags to a file with no QuickTime metadata', async () => {
+  const info = await writeAndRead(createTestFile(), {
+    'com.apple.quicktime.location.accuracy.horizontal': '5',
+    'com.apple.quicktime.content.identifier': 'abc',
+    'title': 'Holiday',
+  });
+  assert.equal(info.tags['com.apple.quicktime.location.accuracy.horizontal'], '5');
+  assert.equal(info.tags['com.apple.quicktime.content.identifier'], 'abc');
+  assert.equal(info.tags.title, 'Holiday');
+
+  const moov = info.atoms.find(atom => atom.type === 'moov');
+  assert.equal(moov.findAll('meta/keys').length, 1);
+  assert.deepEqual(moov.find('meta/keys').data.keys.map(entry => entry.key), ['com.apple.quicktime.location.accuracy.horizontal', 'com.apple.quicktime.content.identifier']);
+});
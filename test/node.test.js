@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, open, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { createFileSource, getMp4Info, createFastStartStream } from '../src/node.js';
+import { box, zeros, toBytes, createTestFile } from './helpers.js';
+
+let dir;
+let pattern;
+let video;
+let notVideo;
+let noMoov;
+
+// Each byte is its offset, modulo 251, so any range read can be checked.
+const PATTERN = Uint8Array.from({ length: 1000 }, (_, i) => i % 251);
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'mp4-info-node-'));
+  pattern = join(dir, 'pattern.bin');
+  video = join(dir, 'video.mp4');
+  notVideo = join(dir, 'notes.txt');
+  noMoov = join(dir, 'no-moov.mp4');
+  await writeFile(pattern, PATTERN);
+  await writeFile(video, createTestFile());
+  await writeFile(notVideo, 'Not a video, just some text.\n');
+  await writeFile(noMoov, toBytes([box('mdat', zeros(16))]));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+/**
+ * Gets the descriptor the next file opened would have. Files are given
+ * the lowest one free, so it moves on if a file is left open.
+ *
+ * @returns {Promise<Number>} file descriptor.
+ */
+async function nextFd() {
+  const handle = await open(pattern, 'r');
+  const { fd } = handle;
+  await handle.close();
+  return fd;
+}
+
+test('reads byte ranges of a file', async () => {
+  for (const file of [pattern, pathToFileURL(pattern)]) {
+    const source = await createFileSource(file);
+    try {
+      assert.equal(source.size, PATTERN.length);
+      assert.deepEqual([...await source.read(0, 8)], [...PATTERN.subarray(0, 8)]);
+      assert.deepEqual([...await source.read(250, 260)], [...PATTERN.subarray(250, 260)]);
+
+      // Ranges past the end are cut short, and empty ranges are empty.
+      assert.deepEqual([...await source.read(990, 2000)], [...PATTERN.subarray(990)]);
+      assert.equal((await source.read(500, 500)).length, 0);
+      assert.equal((await source.read(2000, 3000)).length, 0);
+    } finally {
+      await source.close();
+    }
+  }
+
+  await assert.rejects(createFileSource(42), /"file" must be a path or FileHandle/);
+});
+
+test('closes files it opens after parsing, and after an error', async () => {
+  const fd = await nextFd();
+
+  const info = await getMp4Info(video);
+  assert.equal(info.tracks.length, 2);
+  assert.equal(await nextFd(), fd);
+
+  await assert.rejects(getMp4Info(notVideo));
+  assert.equal(await nextFd(), fd);
+
+  // A stream's file is closed when the stream ends, or at once if it can't be made.
+  const stream = await createFastStartStream(video);
+  assert.notEqual(await nextFd(), fd);
+  for await (const chunk of stream) {
+    assert.ok(chunk.length > 0);
+  }
+  assert.equal(await nextFd(), fd);
+
+  await assert.rejects(createFastStartStream(noMoov), /moov/);
+  assert.equal(await nextFd(), fd);
+});
+
+test('leaves a given file handle open', async () => {
+  const handle = await open(video, 'r');
+  try {
+    assert.equal((await getMp4Info(handle)).tracks.length, 2);
+
+    const source = await createFileSource(handle);
+    await source.close();
+    assert.equal(handle.fd >= 0, true);
+    assert.equal(Buffer.from(await source.read(4, 8)).toString(), 'ftyp');
+  } finally {
+    await handle.close();
+  }
+});
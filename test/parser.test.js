@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info, createMp4Parser } from '../src/index.js';
+import { createAtomSplitter } from '../src/parser.js';
+import { u32, u64, zeros, str, box, fullBox, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, avc1, createTestFile, indexOfType } from './helpers.js';
+
+/**
+ * Builds a fragmented file, with two fragments of two samples each.
+ */
+function createFragmentedFile() {
+  const fragment = sequenceNumber => [
+    box('moof',
+      fullBox('mfhd', 0, 0, u32(sequenceNumber)),
+      box('traf',
+        fullBox('tfhd', 0, 0x20008, u32(1), u32(1001)),
+        fullBox('trun', 0, 0x200, u32(2), u32(10), u32(10)))),
+    box('mdat', zeros(20)),
+  ];
+  return toBytes([
+    ftyp('iso6', ['iso6', 'dash']),
+    box('moov',
+      mvhd(1000, 0),
+      box('trak', tkhd(1, 640, 360), box('mdia', mdhd(30000, 0), hdlr('vide', 'VideoHandler'),
+        box('minf', box('stbl',
+          fullBox('stsd', 0, 0, u32(1), avc1(640, 360)),
+          fullBox('stts', 0, 0, u32(0)),
+          fullBox('stsc', 0, 0, u32(0)),
+          fullBox('stsz', 0, 0, u32(0), u32(0)),
+          fullBox('stco', 0, 0, u32(0)))))),
+      box('mvex', fullBox('trex', 0, 0, u32(1), u32(1), u32(1001), u32(0), u32(0)))),
+    fragment(1),
+    fragment(2),
+  ]);
+}
+
+/**
+ * Pushes a file into a parser in chunks of `chunkSize` bytes, and ends it.
+ */
+async function parseInChunks(parser, bytes, chunkSize) {
+  for (let n = 0; n < bytes.length; n += chunkSize) {
+    await parser.push(bytes.slice(n, n + chunkSize));
+  }
+  return parser.end();
+}
+
+/**
+ * Gets the parts of a result that don't depend on how it was read.
+ */
+function withoutAtoms(result) {
+  const copy = Object.assign({}, result);
+  delete copy.atoms;
+  return copy;
+}
+
+const describeAtoms = atoms => atoms.map(({ type, offset, size }) => ({ type, offset, size }));
+
+test('gives the same result in 7 byte chunks as getMp4Info', async () => {
+  for (const file of [createTestFile(), createTestFile({ moovFirst: false }), createFragmentedFile()]) {
+    const expected = await getMp4Info(file);
+    const result = await parseInChunks(createMp4Parser(), file, 7);
+    assert.deepEqual(withoutAtoms(result), withoutAtoms(expected));
+    assert.deepEqual(describeAtoms(result.atoms), describeAtoms(expected.atoms));
+  }
+
+  const fragmented = await parseInChunks(createMp4Parser(), createFragmentedFile(), 7);
+  assert.equal(fragmented.fragments.length, 2);
+});
+
+test('emits ftyp, moov and moof events in file order', async () => {
+  const events = [];
+  const parser = createMp4Parser();
+  parser.on('atom', atom => events.push(`atom ${atom.type}`));
+  for (const event of ['ftyp', 'moov', 'moof']) {
+    parser.on(event, atom => events.push(`${event} ${atom.offset}`));
+  }
+  parser.on('info', () => events.push('info'));
+  parser.on('end', () => events.push('end'));
+
+  const file = createFragmentedFile();
+  const moov = indexOfType(file, 'moov');
+  const moof = indexOfType(file, 'moof');
+  const secondMoof = moof + indexOfType(file.subarray(moof + 8), 'moof') + 8;
+  await parseInChunks(parser, file, 100);
+
+  assert.deepEqual(events, [
+    'atom ftyp', 'ftyp 0',
+    'atom moov', `moov ${moov}`, 'info',
+    'atom moof', `moof ${moof}`, 'atom mdat',
+    'atom moof', `moof ${secondMoof}`, 'atom mdat',
+    'end',
+  ]);
+});
+
+test('resolves info as soon as moov has been read', async () => {
+  const file = createTestFile();
+  const parser = createMp4Parser();
+  await parser.push(file.subarray(0, indexOfType(file, 'mdat')));
+  const info = await parser.info;
+  assert.equal(info.tracks.length, 2);
+  await parser.push(file.subarray(indexOfType(file, 'mdat')));
+  await parser.end();
+});
+
+test('skips mdat without keeping its bytes', () => {
+  const found = [];
+  const splitter = createAtomSplitter({
+    shouldKeep: type => type !== 'mdat',
+    onAtom: (atom, bytes) => found.push([atom.type, atom.size, bytes && bytes.length]),
+  });
+
+  // A 64-bit 'mdat' of 4 GiB, pushed a chunk at a time without being stored.
+  const mdatSize = 2 ** 32;
+  const chunk = new Uint8Array(2 ** 24);
+  splitter.push(toBytes([ftyp(), u32(1), str('mdat'), u64(mdatSize)]));
+  for (let received = 16; received < mdatSize; received += chunk.length) {
+    splitter.push(chunk.subarray(0, Math.min(chunk.length, mdatSize - received)));
+  }
+  splitter.push(toBytes(box('free', zeros(4))));
+  assert.deepEqual(splitter.end(), { atom: null, bytes: null, received: 0, header: new Uint8Array(0) });
+
+  assert.deepEqual(found, [['ftyp', 32, 32], ['mdat', mdatSize, null], ['free', 12, 12]]);
+});
+
+test('rejects a file that ends partway through an atom, unless tolerant', async () => {
+  const file = createTestFile();
+  const cut = file.subarray(0, file.length - 100);
+
+  const parser = createMp4Parser();
+  const errors = [];
+  parser.on('error', err => errors.push(err));
+  await assert.rejects(parseInChunks(parser, cut, 7), /Invalid Atom Size/);
+  assert.equal(errors.length, 1);
+
+  // 'moov' was read before the file ended, so the info was found.
+  assert.equal((await parser.info).tracks.length, 2);
+
+  const result = await parseInChunks(createMp4Parser({ tolerant: true }), cut, 7);
+  const mdat = result.atoms.find(atom => atom.type === 'mdat');
+  assert.equal(mdat.truncated, true);
+  assert.equal(mdat.availableBytes, mdat.size - 100);
+  assert.deepEqual(withoutAtoms(result), withoutAtoms(await getMp4Info(cut, { tolerant: true })));
+
+  // A partial atom header is cut short too.
+  const withPartialHeader = toBytes([...file, 0, 0, 1]);
+  await assert.rejects(parseInChunks(createMp4Parser(), withPartialHeader, 7), /Invalid Atom Size/);
+  assert.equal((await parseInChunks(createMp4Parser({ tolerant: true }), withPartialHeader, 7)).tracks.length, 2);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerBox, consumeAtoms, getMp4Info } from '../src/index.js';
+import { u8, u16, u32, str, box, toBytes, createTestFile } from './helpers.js';
+
+test('reads a registered atom with fields', async () => {
+  registerBox('xtst', {
+    fields: [
+      { name: 'version', type: 'uint8' },
+      { name: 'names', type: 'array', fields: [{ name: 'length', type: 'uint8' }, { name: 'name', type: 'string', length: item => item.length }] },
+    ],
+  });
+  const bytes = toBytes(box('xtst', u8(1), u8(3), str('one'), u8(3), str('two')));
+  const [atom] = await consumeAtoms(bytes, 0, bytes.length);
+  assert.deepEqual(atom.data, { version: 1, names: [{ length: 3, name: 'one' }, { length: 3, name: 'two' }] });
+});
+
+test('stops reading an array with no count at an item that reads no bytes', async () => {
+  registerBox('xemp', {
+    fields: [
+      { name: 'size', type: 'uint16' },
+      { name: 'items', type: 'array', fields: [{ name: 'text', type: 'string', length: (item, data) => data.size }] },
+    ],
+  });
+  const bytes = toBytes(box('xemp', u16(0), str('left over')));
+  const [atom] = await consumeAtoms(bytes, 0, bytes.length);
+  assert.deepEqual(atom.data, { size: 0, items: [] });
+});
+
+test('reads a registered uuid atom from a file', async () => {
+  const uuid = '8974dbce-7be7-4c51-84f9-7148f9882554';
+  registerBox(uuid, {
+    fullBox: true,
+    fields: [
+      { name: 'trackId', type: 'uint32' },
+      { name: 'label', type: 'string' },
+    ],
+  });
+  const extendedType = uuid.replace(/-/g, '').match(/../g).map(hex => parseInt(hex, 16));
+  const vendorAtom = box('uuid', extendedType, u8(0), [0, 0, 0], u32(7), str('Front camera'));
+  const file = createTestFile({ udta: box('udta', vendorAtom) });
+
+  const info = await getMp4Info(file);
+  const atom = info.atoms[1].find('udta/uuid');
+  assert.equal(atom.uuid, uuid);
+  assert.deepEqual(atom.data, { version: 0, flags: 0, trackId: 7, label: 'Front camera' });
+});
+
+test('reads a field list given by a function of the parse context', async () => {
+  registerBox('xctx', {
+    fields: context => context.parseSampleTables ? [{ name: 'values', type: 'array', items: 'uint16' }] : undefined,
+  });
+  const bytes = toBytes(box('xctx', u16(1), u16(2), u16(3)));
+  assert.equal((await consumeAtoms(bytes, 0, bytes.length))[0].data, undefined);
+  const [atom] = await consumeAtoms(bytes, 0, bytes.length, { parseSampleTables: true });
+  assert.deepEqual(atom.data, { values: [1, 2, 3] });
+});
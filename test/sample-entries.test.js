@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info } from '../src/index.js';
+import { u16, u32, f64, zeros, box, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, stbl, createTestFile } from './helpers.js';
+
+/**
+ * Builds a QuickTime version 2 audio sample entry, as written for 'lpcm'
+ * audio, which stores the sample rate as a 64-bit float.
+ */
+function lpcmV2(channelCount, bitsPerChannel, sampleRate, ...children) {
+  return box('lpcm', zeros(6), u16(1), u16(2), u16(0), u32(0),
+    u16(3), u16(16), u16(0xfffe), u16(0), u32(0x10000),  // Always the same.
+    u32(72),  // sizeOfStructOnly.
+    f64(sampleRate), u32(channelCount), u32(0x7f000000), u32(bitsPerChannel),
+    u32(0xc),  // Signed integer, packed.
+    u32(channelCount * bitsPerChannel / 8), u32(1),
+    children);
+}
+
+/**
+ * Builds a QuickTime file with one audio track.
+ */
+function createAudioFile(sampleEntry) {
+  return toBytes([ftyp('qt  ', ['qt  ']), box('moov',
+    mvhd(1000, 1000),
+    box('trak', tkhd(1, 0, 0), box('mdia', mdhd(96000, 96000), hdlr('soun', 'SoundHandler'),
+      box('minf', stbl(sampleEntry, [96000 * 18], 96000, 0)))))]);
+}
+
+test('reads a QuickTime version 2 audio sample entry', async () => {
+  const info = await getMp4Info(createAudioFile(lpcmV2(6, 24, 96000, box('chan', zeros(12)))));
+  const [track] = info.tracks;
+  assert.equal(track.format, 'lpcm');
+  assert.equal(track.sampleRate, 96000);
+  assert.equal(track.channelCount, 6);
+  assert.equal(track.sampleSize, 24);
+
+  // The child atoms follow the version 2 fields.
+  const entry = info.atoms[1].find('trak/mdia/minf/stbl/stsd/lpcm');
+  assert.deepEqual(entry.atoms.map(atom => atom.type), ['chan']);
+});
+
+test('reads a version 0 audio sample entry', async () => {
+  const entry = box('twos', zeros(6), u16(1), u16(0), u16(0), u32(0), u16(2), u16(16), u16(0), u16(0), u32(44100 * 0x10000));
+  const [track] = (await getMp4Info(createAudioFile(entry))).tracks;
+  assert.equal(track.format, 'twos');
+  assert.equal(track.sampleRate, 44100);
+  assert.equal(track.channelCount, 2);
+  assert.equal(track.sampleSize, 16);
+});
+
+test('reads the fields of each visual sample entry', async () => {
+  const info = await getMp4Info(createTestFile());
+  const stsd = info.atoms[1].find('trak/mdia/minf/stbl/stsd');
+  assert.deepEqual(stsd.children[0].data, {
+    dataReferenceIndex: 1,
+    width: 640,
+    height: 360,
+    horizontalResolution: 72,
+    verticalResolution: 72,
+    frameCount: 1,
+    depth: 24,
+    resolution: 72,
+  });
+  assert.deepEqual(stsd.data, Object.assign({ format: 'avc1' }, stsd.children[0].data));
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info, getSampleIndex, consumeAtoms, findAtom, validate } from '../src/index.js';
+import { u8, u16, u24, u32, box, fullBox, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, avc1 } from './helpers.js';
+
+/**
+ * Builds a file with one video track, whose sample sizes are in a 'stz2'
+ * of `fieldSize` bits, packed from `sizeBytes`.
+ */
+function createStz2File(fieldSize, sampleCount, sizeBytes) {
+  const moov = box('moov',
+    mvhd(1000, 100),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(30000, sampleCount * 1001), hdlr('vide', 'VideoHandler'),
+      box('minf', box('stbl',
+        fullBox('stsd', 0, 0, u32(1), avc1(640, 360)),
+        fullBox('stts', 0, 0, u32(1), u32(sampleCount), u32(1001)),
+        fullBox('stsc', 0, 0, u32(1), u32(1), u32(sampleCount), u32(1)),
+        fullBox('stz2', 0, 0, u24(0), u8(fieldSize), u32(sampleCount), sizeBytes),
+        fullBox('stco', 0, 0, u32(1), u32(0)))))));
+  return toBytes([ftyp(), moov]);
+}
+
+/**
+ * Reads the video track of a file built from sample tables, each as a list of entries.
+ *
+ * @arg {Object} tables - {timeScale, stts, ctts, stss, stsc, sizes, sampleSize, chunkOffsets}.
+ * @arg {Object} [options] - parse options.
+ * @returns {Promise<Object>} video properties, and the track.
+ */
+async function readTables(tables, options) {
+  const { timeScale = 30000, stts, ctts, stss, stsc = [], sizes = [], sampleSize = 0, chunkOffsets = [] } = tables;
+  const sampleCount = stts.reduce((total, [count]) => total + count, 0);
+  const duration = stts.reduce((total, [count, delta]) => total + count * delta, 0);
+  const entries = (type, rows) => rows ? fullBox(type, 0, 0, u32(rows.length), rows.map(row => row.map(u32))) : [];
+
+  const moov = box('moov',
+    mvhd(1000, Math.round(duration * 1000 / timeScale)),
+    box('trak', tkhd(1, 640, 360), box('mdia', mdhd(timeScale, duration), hdlr('vide', 'VideoHandler'),
+      box('minf', box('stbl',
+        fullBox('stsd', 0, 0, u32(1), avc1(640, 360)),
+        entries('stts', stts),
+        entries('ctts', ctts),
+        stss ? fullBox('stss', 0, 0, u32(stss.length), stss.map(u32)) : [],
+        entries('stsc', stsc),
+        fullBox('stsz', 0, 0, u32(sampleSize), u32(sampleCount), sampleSize ? [] : sizes.map(u32)),
+        fullBox('stco', 0, 0, u32(chunkOffsets.length), chunkOffsets.map(u32)))))));
+  const info = await getMp4Info(toBytes([ftyp(), moov]), options);
+  return { info, track: info.tracks[0] };
+}
+
+test('gets a constant frame rate exactly', async () => {
+  const { info, track } = await readTables({ stts: [[10, 1001]] });
+  assert.equal(track.frameRate, 30000 / 1001);
+  assert.equal(track.frameRateRational, '30000/1001');
+  assert.equal(track.isVariableFrameRate, false);
+  assert.equal(track.minFrameDuration, 1001 / 30000);
+  assert.equal(track.maxFrameDuration, 1001 / 30000);
+  assert.equal(info.frameRate, 30000 / 1001);
+  assert.equal(info.frameRateRational, '30000/1001');
+
+  // The last sample's delta, often a guess by the muxer, is left out.
+  const lastDelta = (await readTables({ stts: [[9, 1001], [1, 500]] })).track;
+  assert.equal(lastDelta.isVariableFrameRate, false);
+  assert.equal(lastDelta.maxFrameDuration, 1001 / 30000);
+
+  // Deltas a tick apart are rounding.
+  const rounded = (await readTables({ timeScale: 1000, stts: [[5, 33], [5, 34]] })).track;
+  assert.equal(rounded.isVariableFrameRate, false);
+  assert.equal(rounded.frameRateRational, '2000/67');
+});
+
+test('gets the average rate of a variable frame rate', async () => {
+  const { track } = await readTables({ stts: [[5, 1000], [5, 2000]] });
+  assert.equal(track.isVariableFrameRate, true);
+  assert.equal(track.frameRate, 20);
+  assert.equal(track.frameRateRational, '20/1');
+  assert.equal(track.minFrameDuration, 1000 / 30000);
+  assert.equal(track.maxFrameDuration, 2000 / 30000);
+  assert.equal(track.averageFrameDuration, 0.05);
+});
+
+test('combines the sample tables into an index of samples', async () => {
+  const { track } = await readTables({
+    timeScale: 1000,
+    stts: [[4, 1000], [2, 500]],
+    ctts: [[1, 1000], [2, 3000], [3, 0]],
+    stss: [1, 4],
+
+    // Two samples in the first chunk, one in the second, and three in the third.
+    stsc: [[1, 2, 1], [2, 1, 1], [3, 3, 1]],
+    sizes: [100, 10, 20, 100, 30, 40],
+    chunkOffsets: [1000, 2000, 3000],
+  }, { parseSampleTables: true });
+
+  assert.deepEqual(getSampleIndex(track), [
+    { offset: 1000, size: 100, dts: 0, cts: 1000, duration: 1000, isKeyframe: true },
+    { offset: 1100, size: 10, dts: 1000, cts: 4000, duration: 1000, isKeyframe: false },
+    { offset: 2000, size: 20, dts: 2000, cts: 5000, duration: 1000, isKeyframe: false },
+    { offset: 3000, size: 100, dts: 3000, cts: 3000, duration: 1000, isKeyframe: true },
+    { offset: 3100, size: 30, dts: 4000, cts: 4000, duration: 500, isKeyframe: false },
+    { offset: 3130, size: 40, dts: 4500, cts: 4500, duration: 500, isKeyframe: false },
+  ]);
+});
+
+test('indexes samples of a constant size, which are all keyframes without stss', async () => {
+  const { track } = await readTables({
+    stts: [[4, 1001]],
+    stsc: [[1, 2, 1]],
+    sampleSize: 50,
+    chunkOffsets: [100, 500],
+  }, { parseSampleTables: true });
+
+  assert.deepEqual(getSampleIndex(track).map(({ offset, size, dts, cts, isKeyframe }) => [offset, size, dts, cts, isKeyframe]), [
+    [100, 50, 0, 0, true],
+    [150, 50, 1001, 1001, true],
+    [500, 50, 2002, 2002, true],
+    [550, 50, 3003, 3003, true],
+  ]);
+
+  // Without the sample tables, there's no index.
+  const { track: withoutTables } = await readTables({ stts: [[4, 1001]], stsc: [[1, 2, 1]], sampleSize: 50, chunkOffsets: [100, 500] });
+  assert.throws(() => getSampleIndex(withoutTables), /parseSampleTables: true/);
+});
+
+async function readStz2(file, options) {
+  const atoms = await consumeAtoms(file, 0, file.length, Object.assign({ parseSampleTables: true }, options));
+  return findAtom(atoms, '**/stz2');
+}
+
+test('reads 4, 8 and 16 bit stz2 sample sizes', async () => {
+  const nibbles = await readStz2(createStz2File(4, 3, [0x12, 0x30]));
+  assert.deepEqual(nibbles.data, { fieldSize: 4, sampleSize: 0, sampleCount: 3, entrySizes: [1, 2, 3] });
+
+  const bytes = await readStz2(createStz2File(8, 3, [10, 20, 255]));
+  assert.deepEqual(bytes.data.entrySizes, [10, 20, 255]);
+
+  const words = await readStz2(createStz2File(16, 2, [u16(1000), u16(65535)]));
+  assert.deepEqual(words.data.entrySizes, [1000, 65535]);
+});
+
+test('rejects any other stz2 field size, unless tolerant', async () => {
+  for (const fieldSize of [0, 1, 12, 32]) {
+    const file = createStz2File(fieldSize, 2, [0, 0, 0, 0, 0, 0, 0, 0]);
+    const message = new RegExp(`Invalid stz2 field size of ${fieldSize} bits`);
+    await assert.rejects(readStz2(file), message);
+    await assert.rejects(getMp4Info(file), message);
+
+    // In tolerant mode, it's kept without data, and reported by `validate`.
+    const stz2 = await readStz2(file, { tolerant: true });
+    assert.equal(stz2.data, undefined);
+    assert.equal((await getMp4Info(file, { tolerant: true })).tracks.length, 1);
+    const diagnostics = await validate(file);
+    assert.deepEqual(diagnostics.map(({ code, path }) => ({ code, path })), [
+      { code: 'invalid-atom', path: 'moov/trak[1]/mdia/minf/stbl/stz2' },
+    ]);
+    assert.match(diagnostics[0].message, message);
+  }
+});
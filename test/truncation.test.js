@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMp4Info, consumeAtoms } from '../src/index.js';
+import { u8, u16, u32, u64, zeros, str, box, fullBox, toBytes, ftyp, mvhd, tkhd, mdhd, hdlr, avc1, mp4a, indexOfType } from './helpers.js';
+
+// Chapter titles, as text track samples: a 16-bit length and the text.
+const CHAPTER_SAMPLES = [[u16(5), str('Intro')], [u16(4), str('Main')]];
+
+function avcC() {
+  return box('avcC', u8(1), u8(0x64), u8(0), u8(0x1f), u8(0xff), u8(0xe1), u16(4), [0x67, 0x64, 0, 0x1f], u8(1), u16(2), [0x68, 0xce]);
+}
+
+function esds() {
+  const decoderSpecificInfo = [5, 2, 0x12, 0x10];
+  const decoderConfig = [4, 13 + decoderSpecificInfo.length, 0x40, 0x15, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, ...decoderSpecificInfo];
+  return fullBox('esds', 0, 0, [3, 3 + decoderConfig.length + 3, 0, 1, 0, ...decoderConfig, 6, 1, 2]);
+}
+
+/**
+ * Builds a sample table with every table, for samples of `sizes` in one chunk at `chunkOffset`.
+ */
+function stbl(sampleEntry, sizes, delta, chunkOffset) {
+  return box('stbl',
+    fullBox('stsd', 0, 0, u32(1), sampleEntry),
+    fullBox('stts', 0, 0, u32(1), u32(sizes.length), u32(delta)),
+    fullBox('ctts', 0, 0, u32(1), u32(sizes.length), u32(delta)),
+    fullBox('stss', 0, 0, u32(1), u32(1)),
+    fullBox('stsc', 0, 0, u32(1), u32(1), u32(sizes.length), u32(1)),
+    fullBox('stsz', 0, 0, u32(0), u32(sizes.length), sizes.map(u32)),
+    fullBox('stco', 0, 0, u32(1), u32(chunkOffset)));
+}
+
+function metadataItem(type, text) {
+  return box(type, box('data', u32(1), u32(0), str(text)));
+}
+
+/**
+ * Builds a file using most of the atoms that are read: tracks with edit lists,
+ * codec configuration and a chapter track, tags in all three places, Nero
+ * chapters, fragments, and the seek indexes.
+ */
+function createFullFile() {
+  const buildMoov = mdatStart => box('moov',
+    mvhd(1000, 334),
+    box('trak',
+      tkhd(1, 640, 360),
+      box('tref', box('chap', u32(3))),
+      box('edts', fullBox('elst', 0, 0, u32(1), u32(334), u32(0), u32(0x10000))),
+      box('mdia', mdhd(30000, 10010), hdlr('vide', 'VideoHandler'),
+        box('minf', stbl(avc1(640, 360, avcC(), box('pasp', u32(1), u32(1))), [100, 50], 1001, mdatStart)))),
+    box('trak',
+      tkhd(2, 0, 0),
+      box('edts', fullBox('elst', 0, 0, u32(1), u32(334), u32(1024), u32(0x10000))),
+      box('mdia', mdhd(44100, 4096), hdlr('soun', 'SoundHandler'),
+        box('minf', stbl(mp4a(2, 16, 44100, esds()), [20, 20], 1024, mdatStart + 150)))),
+    box('trak',
+      tkhd(3, 0, 0),
+      box('mdia', mdhd(1000, 334), hdlr('text', 'ChapterHandler'),
+        box('minf', stbl(box('text', zeros(8)), [7, 6], 167, mdatStart + 190)))),
+    box('mvex', fullBox('mehd', 0, 0, u32(334)), fullBox('trex', 0, 0, u32(1), u32(1), u32(1001), u32(0), u32(0))),
+    box('meta', hdlr('mdta', ''),
+      box('keys', u32(0), u32(1), box('mdta', str('com.apple.quicktime.make'))),
+      box('ilst', box(String.fromCharCode(0, 0, 0, 1), box('data', u32(1), u32(0), str('Acme'))))),
+    box('udta',
+      fullBox('chpl', 1, 0, u32(0), u8(2), u64(0), u8(5), str('Start'), u64(1670000), u8(3), str('End')),
+      box('©too', u16(4), u16(0x55c4), str('Lavf')),
+      fullBox('meta', 0, 0, hdlr('mdir', ''), box('ilst', metadataItem('©nam', 'Title'), metadataItem('©ART', 'Artist')))));
+
+  const header = ftyp();
+  const moovSize = buildMoov(0).length;
+  const mdatStart = header.length + moovSize + 8;
+  const mdat = box('mdat', zeros(190), CHAPTER_SAMPLES);
+
+  const moof = box('moof',
+    fullBox('mfhd', 0, 0, u32(1)),
+    box('traf',
+      fullBox('tfhd', 0, 0x20008, u32(1), u32(1001)),
+      fullBox('tfdt', 1, 0, u64(10010)),
+      fullBox('trun', 0, 0x301, u32(2), u32(0), u32(1001), u32(10), u32(1001), u32(10))));
+  const fragmentMdat = box('mdat', zeros(20));
+  const fragmentOffset = mdatStart - 8 + mdat.length;
+  const sidx = fullBox('sidx', 0, 0, u32(1), u32(30000), u32(0), u32(0), u16(0), u16(1),
+    u32(moof.length + fragmentMdat.length), u32(2002), u32(0x90000000));
+  const tfra = fullBox('tfra', 0, 0, u32(1), u32(0), u32(1), u32(10010), u32(fragmentOffset + sidx.length), u8(1), u8(1), u8(1));
+  const mfra = box('mfra', tfra, fullBox('mfro', 0, 0, u32(8 + tfra.length + 16)));
+
+  return toBytes([header, buildMoov(mdatStart), mdat, sidx, moof, fragmentMdat, mfra]);
+}
+
+test('reads the full file', async () => {
+  const info = await getMp4Info(createFullFile());
+  assert.equal(info.tracks.length, 3);
+  assert.equal(info.tracks[0].codec, 'avc1.64001F');
+  assert.equal(info.tracks[1].codec, 'mp4a.40.2');
+  assert.deepEqual(info.tags, { make: 'Acme', title: 'Title', artist: 'Artist', encoder: 'Lavf' });
+  assert.deepEqual(info.chapters.map(chapter => chapter.title), ['Intro', 'Main']);
+  assert.equal(info.fragments.length, 1);
+  assert.equal(info.segmentIndexes.length, 1);
+  assert.equal(info.randomAccess.length, 1);
+});
+
+test('resolves when the file is cut short at any point, in tolerant mode', async () => {
+  const file = createFullFile();
+  const moovEnd = indexOfType(file, 'mdat');
+  for (let end = 8; end < file.length; end++) {
+    const info = await getMp4Info(file.subarray(0, end), { tolerant: true });
+    assert.ok(!Number.isNaN(info.duration), `duration is NaN when cut at ${end}`);
+    for (const track of info.tracks) {
+      assert.ok(!Number.isNaN(track.duration), `track duration is NaN when cut at ${end}`);
+    }
+    if (end > moovEnd) {
+      assert.equal(info.tracks.length, 3);
+      assert.equal(info.tags.title, 'Title');
+    }
+  }
+});
+
+test('rejects a file cut short inside moov, by default', async () => {
+  const file = createFullFile();
+  await assert.rejects(getMp4Info(file.subarray(0, indexOfType(file, 'mvex'))), /Invalid Atom Size/);
+});
+
+test('keeps a sample entry that is cut short, in tolerant mode', async () => {
+  const file = createFullFile();
+  const bytes = file.subarray(0, indexOfType(file, 'avcC') + 12);
+  const atoms = await consumeAtoms(bytes, 0, bytes.length, { tolerant: true });
+
+  const entry = atoms[1].find('trak/mdia/minf/stbl/stsd/avc1');
+  assert.equal(entry.truncated, true);
+  assert.equal(entry.find('avcC').truncated, true);
+  assert.equal(entry.find('avcC').path, 'moov/trak[1]/mdia/minf/stbl/stsd/avc1/avcC');
+
+  const info = await getMp4Info(bytes, { tolerant: true });
+  assert.equal(info.tracks[0].format, 'avc1');
+  assert.equal(info.tracks[0].width, 640);
+  assert.equal(info.tracks[0].codec, 'avc1.64001F');
+});
+
+test('reads what it can of a chapter track that is cut short, in tolerant mode', async () => {
+  const file = createFullFile();
+
+  // The chapter track's 'stco' is the last one in the file.
+  let stco = -1;
+  for (let offset = indexOfType(file, 'stco'); offset !== -1 && offset < indexOfType(file, 'mvex');) {
+    stco = offset;
+    const next = indexOfType(file.subarray(offset + 8), 'stco');
+    offset = next === -1 ? -1 : offset + 8 + next;
+  }
+  const info = await getMp4Info(file.subarray(0, stco + 14), { tolerant: true });
+  assert.equal(info.tracks.length, 3);
+  assert.deepEqual(info.chapters, []);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validate } from '../src/index.js';
+import { u32, zeros, str, box, toBytes, ftyp, createTestFile, indexOfType } from './helpers.js';
+
+/**
+ * Sets a 32-bit number in a file's bytes.
+ */
+function setU32(bytes, offset, n) {
+  bytes.set(u32(n), offset);
+}
+
+const codesOf = diagnostics => diagnostics.map(({ severity, code, path }) => ({ severity, code, path }));
+
+test('a valid file has no diagnostics', async () => {
+  assert.deepEqual(await validate(createTestFile()), []);
+  assert.deepEqual(await validate(createTestFile({ moovFirst: false })), []);
+});
+
+test('a file without moov is reported', async () => {
+  const diagnostics = await validate(toBytes([ftyp(), box('mdat', zeros(100))]));
+  assert.deepEqual(codesOf(diagnostics), [{ severity: 'error', code: 'missing-atom', path: '' }]);
+});
+
+test('an atom running past the end of its parent is reported', async () => {
+
+  // 'udta' says it's 100 bytes, but 'moov' ends 12 bytes in.
+  const udta = [u32(100), str('udta'), box('free', zeros(4))];
+  const diagnostics = await validate(createTestFile({ udta }));
+  assert.deepEqual(codesOf(diagnostics), [{ severity: 'error', code: 'overrun', path: 'moov/udta' }]);
+  assert.match(diagnostics[0].message, /runs 80 bytes past the end of 'moov'/);
+});
+
+test('chunks outside mdat are reported', async () => {
+  const bytes = createTestFile();
+  setU32(bytes, indexOfType(bytes, 'stco') + 16, 0x7fff0000);
+  const diagnostics = await validate(bytes);
+  assert.deepEqual(codesOf(diagnostics), [
+    { severity: 'error', code: 'chunk-outside-mdat', path: 'moov/trak[1]/mdia/minf/stbl/stco' }
+  ]);
+  assert.match(diagnostics[0].message, /1 of 1 chunks are outside 'mdat', starting with chunk 1 at offset 2147418112/);
+});
+
+test('sample tables that disagree are reported', async () => {
+  const bytes = createTestFile();
+  setU32(bytes, indexOfType(bytes, 'stts') + 16, 9);
+  const diagnostics = await validate(bytes);
+  assert.deepEqual(codesOf(diagnostics), [
+    { severity: 'error', code: 'sample-count-mismatch', path: 'moov/trak[1]/mdia/minf/stbl/stts' }
+  ]);
+  assert.match(diagnostics[0].message, /'stts' has 9 samples, but 'stsz' has 10/);
+});
+
+test('a file cut short is reported once', async () => {
+  const file = createTestFile();
+
+  // Cut partway through the first track's sample table, leaving a partial atom header at the end.
+  const cutInMoov = file.slice(0, indexOfType(file, 'stsz') + 4);
+  const diagnostics = await validate(cutInMoov);
+  assert.deepEqual(codesOf(diagnostics), [{ severity: 'error', code: 'truncated', path: 'moov' }]);
+  assert.match(diagnostics[0].message, /'moov' is \d+ bytes, but only \d+ are in the file/);
+
+  const cutInMdat = file.slice(0, file.length - 500);
+  assert.deepEqual(codesOf(await validate(cutInMdat)), [{ severity: 'error', code: 'truncated', path: 'mdat[1]' }]);
+});
+
+test('bytes after the last atom are a warning', async () => {
+  const file = createTestFile();
+  const diagnostics = await validate(toBytes([...file, 1, 2, 3]));
+  assert.deepEqual(diagnostics, [{
+    severity: 'warning',
+    code: 'trailing-bytes',
+    path: '',
+    offset: file.length,
+    message: '3 bytes after the last atom in the file'
+  }]);
+
+  // A QuickTime terminator isn't reported.
+  assert.deepEqual(await validate(toBytes([...file, 0, 0, 0, 0])), []);
+});
+
+test('atom headers with an invalid type or size are reported', async () => {
+  const udta = box('udta', box('free', zeros(4)));
+
+  const badType = createTestFile({ udta });
+  badType.set([1, 2, 3, 4], indexOfType(badType, 'udta') + 4);
+  assert.deepEqual(codesOf(await validate(badType)), [{ severity: 'error', code: 'invalid-type', path: 'moov' }]);
+
+  const badSize = createTestFile({ udta });
+  setU32(badSize, indexOfType(badSize, 'udta'), 4);
+  assert.deepEqual(codesOf(await validate(badSize)), [{ severity: 'error', code: 'invalid-size', path: 'moov' }]);
+});
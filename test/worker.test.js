@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { getMp4Info } from '../src/node.js';
+import { getMp4InfoInWorker } from '../src/node-worker.js';
+import { createTestFile, indexOfType } from './helpers.js';
+
+/**
+ * Starts a worker running the Node.js worker script, as a caller passing in its own would.
+ */
+function startWorker() {
+  return new Worker(new URL('../src/node-worker.js', import.meta.url), { workerData: { isMp4InfoWorker: true } });
+}
+
+test('parses a path and bytes in a worker, as on the main thread', async () => {
+  const file = createTestFile();
+  const dir = await mkdtemp(join(tmpdir(), 'mp4-info-'));
+  try {
+    const path = join(dir, 'video.mp4');
+    await writeFile(path, file);
+    const expected = await getMp4Info(path);
+
+    const fromPath = await getMp4InfoInWorker(path);
+    assert.deepEqual(fromPath, expected);
+    assert.equal(fromPath.atoms[1].find('trak/mdia/minf/stbl/stsd/avc1').path, 'moov/trak[1]/mdia/minf/stbl/stsd/avc1');
+
+    assert.deepEqual(await getMp4InfoInWorker(file), expected);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
+
+test('rejects with the error thrown in the worker', async () => {
+  const file = createTestFile();
+  await assert.rejects(getMp4InfoInWorker(file.subarray(0, indexOfType(file, 'mdat') - 10)), /Invalid Atom Size/);
+});
+
+test('rejects when aborted before parsing starts', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(getMp4InfoInWorker(createTestFile(), { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('rejects when aborted while the worker is starting', async () => {
+  const controller = new AbortController();
+  const promise = getMp4InfoInWorker(createTestFile(), { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(promise, { name: 'AbortError' });
+});
+
+test('keeps a worker passed in, which parses again after an abort', async () => {
+  const worker = startWorker();
+  try {
+    const controller = new AbortController();
+    const aborted = getMp4InfoInWorker(createTestFile(), { worker, signal: controller.signal });
+    setImmediate(() => controller.abort());
+    await assert.rejects(aborted, { name: 'AbortError' });
+
+    const info = await getMp4InfoInWorker(createTestFile(), { worker });
+    assert.equal(info.duration, 0.334);
+    assert.equal(info.width, 640);
+  } finally {
+    await worker.terminate();
+  }
+});